@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:net';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createLoopback, createReceiver, createSender } from '../src/protocol/index.js';
+import { createDiskSink } from './files.js';
+
+const ROOT = dirname(dirname(fileURLToPath(import.meta.url)));
+
+const bytesOf = async (blob) => new Uint8Array(await blob.arrayBuffer());
+
+test('saves into a folder on disk without overwriting', async () => {
+  const root = await mkdtemp(join(tmpdir(), 'vantal-'));
+  try {
+    const sinks = [];
+    const receiver = createReceiver({
+      createSink: ({ path, type }) => {
+        const sink = createDiskSink(root, path, type);
+        sinks.push(sink);
+        return sink;
+      }
+    });
+    const completed = [];
+    receiver.on('complete', file => completed.push(file));
+    const sender = createSender({ minChunkSize: 1024, maxChunkSize: 1024 });
+    const link = createLoopback();
+    const ready = new Promise(resolve => sender.once('ready', resolve));
+    receiver.addConnection(link.host);
+    sender.attach(link.sender);
+    await ready;
+
+    const file = new File([new Uint8Array(4000).map((_, i) => i & 255)], 'scan.pdf');
+    await sender.sendFile(file, { path: '../scans/scan.pdf' });
+    await sender.sendFile(file, { path: 'scans/scan.pdf' });
+
+    assert.deepEqual(sinks.map(sink => sink.location), [join(root, 'scans', 'scan.pdf'), join(root, 'scans', 'scan (1).pdf')]);
+    assert.equal(completed[1].verified, true);
+    assert.deepEqual(new Uint8Array(await readFile(sinks[1].location)), await bytesOf(file));
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
+
+test('keeps files a sender names outside the folder inside it', async () => {
+  const base = await mkdtemp(join(tmpdir(), 'vantal-'));
+  const root = join(base, 'inbox');
+  try {
+    const paths = ['a\\..\\..\\x.txt', '../../y.txt', 'C:\\Windows\\z.txt', '/etc/w.txt', 'scans/./../v.txt'];
+    const locations = [];
+    for (const path of paths) {
+      const sink = createDiskSink(root, path, 'text/plain');
+      sink.write(new TextEncoder().encode(path));
+      await sink.close();
+      locations.push(sink.location);
+    }
+    assert.deepEqual(locations, [
+      join(root, 'a', 'x.txt'),
+      join(root, 'y.txt'),
+      join(root, 'Windows', 'z.txt'),
+      join(root, 'etc', 'w.txt'),
+      join(root, 'scans', 'v.txt')
+    ]);
+    assert.deepEqual((await readdir(base)).sort(), ['inbox']);
+  } finally {
+    await rm(base, { recursive: true, force: true });
+  }
+});
+
+// --- Against a real signaling server ---
+
+const freePort = async () => {
+  const server = createServer().listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const { port } = server.address();
+  server.close();
+  await once(server, 'close');
+  return port;
+};
+
+// Node child process; output collects stdout and stderr for waitForOutput and failure messages
+const run = (args, env = {}) => {
+  const child = spawn(process.execPath, args, { cwd: ROOT, env: { ...process.env, ...env } });
+  child.output = '';
+  child.stdout.on('data', (data) => { child.output += data; });
+  child.stderr.on('data', (data) => { child.output += data; });
+  return child;
+};
+
+const waitForOutput = (child, text, ms = 15000) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`Timed out waiting for "${text}". Output:\n${child.output}`)), ms);
+  const check = () => {
+    if (!child.output.includes(text)) return;
+    clearTimeout(timer);
+    child.stdout.off('data', check);
+    resolve();
+  };
+  child.stdout.on('data', check);
+  check();
+});
+
+const exitCode = (child, ms = 30000) => new Promise((resolve, reject) => {
+  if (child.exitCode !== null) {
+    resolve(child.exitCode);
+    return;
+  }
+  const timer = setTimeout(() => reject(new Error(`Timed out waiting for exit. Output:\n${child.output}`)), ms);
+  child.once('exit', (code) => {
+    clearTimeout(timer);
+    resolve(code);
+  });
+});
+
+test('hosts a room and sends a file to it over the local signaling server', { timeout: 60000 }, async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'vantal-cli-'));
+  const children = [];
+  try {
+    const port = await freePort();
+    const server = run(['server/signaling.js'], { PORT: String(port) });
+    children.push(server);
+    await waitForOutput(server, 'signaling on');
+
+    const flags = ['--server', `127.0.0.1:${port}`, '--pin', '2468'];
+    const host = run(['cli/vantal.js', 'host', 'CLI Test', '--out', join(dir, 'inbox'), ...flags]);
+    children.push(host);
+    await waitForOutput(host, 'Waiting for senders');
+
+    await writeFile(join(dir, 'note.txt'), 'hello from the cli\n');
+    const send = run(['cli/vantal.js', 'send', 'cli test', join(dir, 'note.txt'), ...flags]);
+    children.push(send);
+    assert.equal(await exitCode(send), 0, send.output);
+    assert.match(send.output, /1 of 1 files sent/);
+
+    await waitForOutput(host, '✓ note.txt');
+    assert.equal(await readFile(join(dir, 'inbox', 'note.txt'), 'utf8'), 'hello from the cli\n');
+  } finally {
+    children.forEach(child => child.exitCode === null && child.kill());
+    await Promise.all(children.map(child => (child.exitCode === null ? once(child, 'exit') : null)));
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,145 @@
+// Disk side of the CLI: a storage sink that writes incoming files into a
+// directory, and turning command-line paths and globs into files to send.
+import { mkdir, open, readdir, rm, stat } from 'node:fs/promises';
+import { openAsBlob } from 'node:fs';
+import { basename, extname, isAbsolute, join, relative, resolve, sep } from 'node:path';
+import { makeSink, safeSegments } from '../src/storage.js';
+
+// Never overwrite, like the folder sink: "scan.pdf" becomes "scan (1).pdf"
+const openUnique = async (dir, name) => {
+  const ext = extname(name);
+  const base = ext ? name.slice(0, -ext.length) : name;
+  for (let n = 0; ; n++) {
+    const location = join(dir, n === 0 ? name : `${base} (${n})${ext}`);
+    try {
+      return { location, handle: await open(location, 'wx') };
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+  }
+};
+
+// Same shape as the browser sinks. `location` is where the file ended up once opened.
+export const createDiskSink = (root, path, type) => {
+  let location = null;
+  let handle = null;
+  const sink = makeSink({
+    open: async () => {
+      const segments = safeSegments(path);
+      const name = segments.pop() || 'file';
+      const dir = join(root, ...segments);
+      // Whatever the sender named, nothing is written outside root
+      const inside = relative(resolve(root), resolve(dir, name));
+      if (!inside || inside === '..' || inside.startsWith(`..${sep}`) || isAbsolute(inside)) throw new Error(`Refusing to save outside ${root}: ${path}`);
+      await mkdir(dir, { recursive: true });
+      ({ location, handle } = await openUnique(dir, name));
+    },
+    write: (chunk) => handle.write(ArrayBuffer.isView(chunk) ? chunk : new Uint8Array(chunk)),
+    finish: async () => {
+      await handle.close();
+      handle = null;
+      return openAsBlob(location, { type });
+    },
+    discard: async () => {
+      if (handle) await handle.close();
+      if (location) await rm(location, { force: true });
+    }
+  });
+  return {
+    ...sink,
+    get location() {
+      return location;
+    }
+  };
+};
+
+// Enough for the host's allowed-types policy and the app's previews
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.html': 'text/html',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic',
+  '.svg': 'image/svg+xml',
+  '.zip': 'application/zip',
+  '.mp3': 'audio/mpeg',
+  '.mp4': 'video/mp4'
+};
+
+export const mimeType = (name) => MIME_TYPES[extname(name).toLowerCase()] || '';
+
+const GLOB_CHARS = /[*?[{]/;
+
+// "scans/**/*.{pdf,docx}" -> a RegExp for paths relative to "scans"
+const globToRegExp = (pattern) => {
+  const segments = pattern.split('/');
+  const source = segments.map((segment, i) => {
+    if (segment === '**') return i === segments.length - 1 ? '.*' : '(?:[^/]+/)*';
+    const part = segment
+      .replace(/[.+^$()|\\]/g, '\\$&')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\?/g, '[^/]')
+      .replace(/\{([^}]*)\}/g, (match, options) => `(?:${options.split(',').join('|')})`);
+    return i === segments.length - 1 ? part : `${part}/`;
+  }).join('');
+  return new RegExp(`^${source}$`);
+};
+
+// Every file under dir, as paths relative to it with forward slashes
+const walk = async (dir, prefix = '') => {
+  const entries = await readdir(join(dir, prefix), { withFileTypes: true });
+  const files = [];
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const path = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) files.push(...await walk(dir, path));
+    else if (entry.isFile()) files.push(path);
+  }
+  return files;
+};
+
+// Arguments -> [{ location, path }]. A folder keeps its name and layout on the
+// host, like dropping a folder in the app; a glob keeps paths below its fixed part.
+export const listFiles = async (args) => {
+  const found = [];
+  for (const arg of args) {
+    const pattern = arg.split(sep).join('/');
+    if (GLOB_CHARS.test(pattern)) {
+      const segments = pattern.split('/');
+      const fixed = segments.findIndex(segment => GLOB_CHARS.test(segment));
+      const base = segments.slice(0, fixed).join('/') || '.';
+      const matcher = globToRegExp(segments.slice(fixed).join('/'));
+      const paths = await walk(base).catch(() => []);
+      paths.filter(path => matcher.test(path)).forEach(path => found.push({ location: join(base, path), path }));
+      continue;
+    }
+    const info = await stat(arg).catch(() => null);
+    if (!info) throw new Error(`${arg}: no such file or folder`);
+    if (info.isDirectory()) {
+      const name = basename(resolve(arg));
+      (await walk(arg)).forEach(path => found.push({ location: join(arg, path), path: `${name}/${path}` }));
+    } else {
+      found.push({ location: arg, path: basename(arg) });
+    }
+  }
+  // The same file named twice (e.g. by two globs) is sent once
+  return found.filter((item, i) => found.findIndex(other => relative(other.location, item.location) === '') === i);
+};
+
+// A disk-backed File the protocol can slice without reading it all into memory
+export const loadFile = async ({ location, path }) => {
+  const info = await stat(location);
+  const name = basename(path);
+  return new File([await openAsBlob(location)], name, { type: mimeType(name), lastModified: info.mtimeMs });
+};
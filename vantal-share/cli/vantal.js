@@ -0,0 +1,267 @@
+// Headless VantalShare for scripts and back-office machines. It speaks the same
+// protocol as the web app (PIN, encryption, checksums), so phones can send to a
+// room it hosts and it can drop files into a room a shop has open in the browser.
+//
+//   npm run cli -- host front-desk --out ./inbox [--pin 1234]
+//   npm run cli -- send front-desk scans/*.pdf report.docx [--pin 1234]
+//
+// Signaling defaults to the public PeerJS cloud, like the app. For a self-hosted
+// server (`npm run signal`) add --server 192.168.1.10:9000; --path, --secure,
+// --key and --ice mirror the VITE_PEER_* settings in .env.example.
+// Quote globs ('scans/**/*.pdf') to let the CLI expand them instead of the shell.
+import { parseArgs } from 'node:util';
+import { mkdir } from 'node:fs/promises';
+import { relative, resolve } from 'node:path';
+import polyfill from 'node-datachannel/polyfill';
+import WebSocket from 'ws';
+import { DEFAULT_POLICY, createPeerTransport, createReceiver, createSender } from '../src/protocol/index.js';
+import { DEFAULT_PEER_PATH, buildPeerOptions } from '../src/signaling.js';
+import { describeJob } from '../src/printJobs.js';
+import { normalizeRoomId } from '../src/rooms.js';
+import { createDiskSink, listFiles, loadFile } from './files.js';
+
+// PeerJS keeps handing ICE candidates to a connection it already closed and
+// crashes reporting the failure; drop them instead
+class RTCPeerConnection extends polyfill.RTCPeerConnection {
+  #closed = false;
+
+  close() {
+    this.#closed = true;
+    super.close();
+  }
+
+  async addIceCandidate(candidate) {
+    if (!this.#closed) await super.addIceCandidate(candidate);
+  }
+}
+
+// PeerJS checks for WebRTC when it loads, so the globals go in first
+Object.assign(globalThis, polyfill, { RTCPeerConnection, WebSocket });
+const { default: peerjs } = await import('peerjs');
+const Peer = peerjs.Peer || peerjs;
+
+const CONNECT_TIMEOUT_MS = 15000;
+const RETRY_LIMIT = 5;
+const RETRY_DELAY_MS = 2000;
+
+const USAGE = `Usage:
+  vantal host <room> [--out dir] [--pin pin] [--allow .pdf,image/*] [--max-size MB]
+  vantal send <room> <file|folder|glob>... [--pin pin]
+
+Signaling: [--server host[:port]] [--path /vantal] [--secure] [--key peerjs] [--ice "url [user pass]"]...
+Other: [--verbose] [--help]`;
+
+const { values: flags, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    out: { type: 'string', default: 'received' },
+    pin: { type: 'string', default: '' },
+    allow: { type: 'string', default: '' },
+    'max-size': { type: 'string', default: '' },
+    server: { type: 'string', default: '' },
+    path: { type: 'string', default: DEFAULT_PEER_PATH },
+    secure: { type: 'boolean', default: false },
+    key: { type: 'string', default: '' },
+    ice: { type: 'string', multiple: true, default: [] },
+    verbose: { type: 'boolean', short: 'v', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+  }
+});
+
+const fail = (message) => {
+  console.error(`Error: ${message}`);
+  process.exit(1);
+};
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+const peerOptions = () => {
+  const [host, port = ''] = flags.server.split(':');
+  return buildPeerOptions({
+    host,
+    port,
+    path: flags.path,
+    secure: flags.secure,
+    key: flags.key,
+    iceServers: flags.ice.join('\n')
+  });
+};
+
+const logProtocol = (message) => {
+  if (flags.verbose) console.log(`  [debug] ${message}`);
+};
+
+// --- Host: save everything senders drop into a folder ---
+const host = async (room) => {
+  const root = resolve(flags.out);
+  await mkdir(root, { recursive: true });
+  const policy = { ...DEFAULT_POLICY, allowedTypes: flags.allow, maxSizeMB: flags['max-size'] };
+  const sinks = new Map(); // fileId -> disk sink, to report where each file landed
+
+  const receiver = createReceiver({
+    pin: flags.pin,
+    getPolicy: () => policy,
+    createSink: ({ fileId, path, type }) => {
+      const sink = createDiskSink(root, path, type);
+      sinks.set(fileId, sink);
+      return sink;
+    }
+  });
+  receiver.on('log', logProtocol);
+  receiver.on('protocol-error', ({ senderId, error }) => console.warn(`! ${senderId} sent a bad message: ${error}`));
+  receiver.on('sender-joined', ({ senderId }) => console.log(`+ ${senderId} joined`));
+  receiver.on('sender-left', ({ senderId }) => console.log(`- ${senderId} left`));
+  receiver.on('encryption', ({ senderId, fingerprint }) => console.log(`  ${senderId} is encrypted, safety code ${fingerprint}`));
+  receiver.on('complete', (file) => {
+    const sink = sinks.get(file.fileId);
+    sinks.delete(file.fileId);
+    const where = sink && sink.location ? relative(root, sink.location) : file.path;
+    console.log(`✓ ${where} (${formatSize(file.size)}) from ${file.senderId}`);
+    if (!file.verified) console.warn(`! ${where}: ${file.problem.reason}`);
+    if (file.job) console.log(`  Print job: ${describeJob(file.job)}${file.job.note ? ` — "${file.job.note}"` : ''}`);
+  });
+  receiver.on('error', ({ senderId, fileId, reason }) => {
+    sinks.delete(fileId);
+    console.error(`✗ File from ${senderId} was not saved: ${reason}`);
+  });
+  receiver.on('snippet', ({ senderId, text }) => console.log(`✎ Text from ${senderId}:\n${text}`));
+
+  const peer = new Peer(normalizeRoomId(room), peerOptions());
+  peer.on('open', (id) => {
+    console.log(`Hosting room "${id}"${flags.pin ? ' with a PIN' : ''}. Saving to ${root}`);
+    console.log('Waiting for senders (Ctrl+C to stop)...');
+  });
+  peer.on('connection', (connection) => {
+    connection.on('open', () => receiver.addConnection(createPeerTransport(connection, peer.id)));
+  });
+  peer.on('error', (err) => {
+    if (err.type === 'unavailable-id') fail(`Room "${normalizeRoomId(room)}" is already open somewhere else.`);
+    console.error(`Peer error: ${err.type}`);
+    if (['browser-incompatible', 'invalid-id', 'invalid-key', 'server-error', 'ssl-unavailable'].includes(err.type)) process.exit(1);
+  });
+  let stopping = false;
+  peer.on('disconnected', () => {
+    if (stopping) return;
+    console.warn('! Lost the signaling server, reconnecting...');
+    setTimeout(() => !peer.destroyed && peer.reconnect(), 3000);
+  });
+
+  process.on('SIGINT', () => {
+    stopping = true;
+    receiver.close();
+    peer.destroy();
+    process.exit(0);
+  });
+};
+
+// --- Send: drop files into a room, one after another ---
+const send = async (room, args) => {
+  const items = await listFiles(args).catch(e => fail(e.message));
+  if (items.length === 0) fail('No files matched.');
+  const roomId = normalizeRoomId(room);
+
+  const peer = new Peer(peerOptions());
+  const session = createSender();
+  // Used for the host's challenge as soon as it arrives
+  if (flags.pin) session.submitPin(flags.pin);
+
+  session.on('log', logProtocol);
+  session.on('protocol-error', ({ error }) => console.warn(`! Host sent a bad message: ${error}`));
+  session.on('pin-required', () => fail(`Room "${roomId}" needs a PIN: pass --pin.`));
+  session.on('auth-failed', ({ reason }) => fail(reason));
+  session.on('encryption', ({ enabled, fingerprint }) => {
+    console.log(enabled ? `Encrypted, safety code ${fingerprint}` : 'Not encrypted: the host does not support it.');
+  });
+  session.on('job-status', ({ fileId, status }) => logProtocol(`Job ${fileId} is now ${status}`));
+  if (process.stdout.isTTY) {
+    session.on('progress', ({ sent, size }) => {
+      process.stdout.write(`\r  ${size > 0 ? Math.round((sent / size) * 100) : 100}%`);
+    });
+  }
+
+  let connection = null;
+  let attempts = 0;
+  let finished = false;
+
+  // WebRTC setup in Node fails now and then, and links drop; like the app, try
+  // again a few times. An interrupted file resumes where it stopped.
+  const retry = (failed, reason) => {
+    if (finished || !failed || connection !== failed) return;
+    connection = null;
+    // Let PeerJS finish reporting errors it already has queued for this connection
+    setTimeout(() => failed.close());
+    if (attempts >= RETRY_LIMIT) fail(`${reason} Gave up after ${RETRY_LIMIT} attempts.`);
+    attempts++;
+    console.warn(`! ${reason} Retrying (${attempts}/${RETRY_LIMIT})...`);
+    setTimeout(connect, RETRY_DELAY_MS);
+  };
+
+  const connect = () => {
+    const current = peer.connect(roomId, { reliable: true });
+    connection = current;
+    // PeerJS does not always report a host that never answers
+    const timeout = setTimeout(() => retry(current, `Room "${roomId}" did not answer.`), CONNECT_TIMEOUT_MS);
+    current.on('open', () => {
+      clearTimeout(timeout);
+      if (connection !== current) return;
+      console.log(`Connected to "${roomId}".`);
+      const transport = createPeerTransport(current, peer.id);
+      transport.on('close', () => retry(current, 'Lost the connection to the host.'));
+      session.attach(transport);
+    });
+    current.on('close', () => {
+      clearTimeout(timeout);
+      retry(current, 'Could not connect.');
+    });
+  };
+
+  peer.on('error', (err) => {
+    if (err.type === 'peer-unavailable') fail(`Room "${roomId}" is not open.`);
+    // Raised for the one connection this peer has
+    if (err.type === 'webrtc') retry(connection, 'Could not connect.');
+    else fail(`Peer error: ${err.type}`);
+  });
+  session.on('ready', () => {
+    attempts = 0;
+  });
+
+  await new Promise(resolveReady => {
+    session.once('ready', resolveReady);
+    peer.on('open', connect);
+  });
+
+  let failures = 0;
+  for (const item of items) {
+    const file = await loadFile(item);
+    console.log(`→ ${item.path} (${formatSize(file.size)})`);
+    const result = await session.sendFile(file, { path: item.path });
+    if (process.stdout.isTTY) process.stdout.write('\r');
+    if (result.status === 'verified') {
+      console.log('✓ Delivered and verified');
+    } else {
+      failures++;
+      console.error(`✗ ${result.reason || 'Not delivered'}`);
+    }
+  }
+
+  console.log(`${items.length - failures} of ${items.length} files sent.`);
+  finished = true;
+  session.close();
+  peer.destroy();
+  process.exit(failures > 0 ? 1 : 0);
+};
+
+const [command, room, ...rest] = positionals;
+if (flags.help || !command) {
+  console.log(USAGE);
+  process.exit(flags.help ? 0 : 1);
+}
+if (!room) fail(`Which room? ${command === 'send' ? 'vantal send <room> <files>' : 'vantal host <room>'}`);
+
+if (command === 'host') await host(room);
+else if (command === 'send') await send(room, rest);
+else fail(`Unknown command "${command}".\n${USAGE}`);
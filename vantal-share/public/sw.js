@@ -0,0 +1,103 @@
+// Service worker: keeps the app shell available offline (the shop's LAN
+// signaling server still works without internet), receives files shared from
+// the OS share sheet and focuses the app when a notification is tapped.
+// Plain script, not bundled: keep the inbox names in sync with src/shareInbox.js.
+const SHELL_CACHE = 'vantal-shell-v1';
+const SHELL = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg', '/icon-maskable.svg'];
+const INBOX_DB = 'vantal-share-inbox';
+const INBOX_STORE = 'items';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== SHELL_CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const idbRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openInbox = () => {
+  const request = indexedDB.open(INBOX_DB, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(INBOX_STORE, { autoIncrement: true });
+  return idbRequest(request);
+};
+
+// Web Share Target: stash what was shared, then open the app to send it
+const receiveShare = async (request) => {
+  const form = await request.formData();
+  const files = form.getAll('files').filter(file => file instanceof File && file.size > 0);
+  const text = ['title', 'text', 'url'].map(field => form.get(field)).filter(Boolean).join('\n').trim();
+
+  const db = await openInbox();
+  try {
+    const store = db.transaction(INBOX_STORE, 'readwrite').objectStore(INBOX_STORE);
+    const sharedAt = Date.now();
+    await Promise.all([
+      ...files.map(file => idbRequest(store.add({ file, sharedAt }))),
+      ...(text ? [idbRequest(store.add({ text, sharedAt }))] : [])
+    ]);
+  } finally {
+    db.close();
+  }
+  return Response.redirect('/?shared=1', 303);
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.method === 'POST' && url.pathname === '/share-target') {
+    event.respondWith(receiveShare(request).catch(() => Response.redirect('/', 303)));
+    return;
+  }
+  if (request.method !== 'GET') return;
+
+  // Pages: network first so a new build is picked up, the cached shell when offline
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          // Keep the offline copy pointing at the assets of the current build
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(SHELL_CACHE).then(cache => cache.put('/index.html', copy));
+          }
+          return response;
+        })
+        .catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  // Build assets have content hashes in their names, so a cached copy never goes stale
+  if (url.pathname.startsWith('/assets/') || SHELL.includes(url.pathname)) {
+    event.respondWith(
+      caches.match(request).then(cached => cached || fetch(request).then(response => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(SHELL_CACHE).then(cache => cache.put(request, copy));
+        }
+        return response;
+      }))
+    );
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+      const open = windows.find(client => 'focus' in client);
+      return open ? open.focus() : self.clients.openWindow('/');
+    })
+  );
+});
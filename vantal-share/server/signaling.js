@@ -0,0 +1,32 @@
+// Local PeerJS signaling server, so a shop can run VantalShare on its own
+// network without the public PeerJS cloud. Files never pass through here;
+// it only introduces browsers to each other.
+//
+//   npm run signal                      # ws://<this-machine>:9000/vantal
+//   PORT=9443 SSL_KEY=key.pem SSL_CERT=cert.pem npm run signal
+//
+// Point the app at it with VITE_PEER_HOST / VITE_PEER_PORT / VITE_PEER_PATH
+// (see .env.example) or from Network Settings on the start screen.
+import { readFileSync } from 'node:fs';
+import { PeerServer } from 'peer';
+import { DEFAULT_PEER_PATH } from '../src/signaling.js';
+
+const port = Number(process.env.PORT) || 9000;
+const path = process.env.PEER_PATH || DEFAULT_PEER_PATH;
+const ssl = process.env.SSL_KEY && process.env.SSL_CERT
+  ? { key: readFileSync(process.env.SSL_KEY, 'utf8'), cert: readFileSync(process.env.SSL_CERT, 'utf8') }
+  : undefined;
+
+const server = PeerServer({
+  port,
+  path,
+  ssl,
+  key: process.env.PEER_KEY || 'peerjs',
+  allow_discovery: false, // Room names are the only way to find a host
+  proxied: process.env.PROXIED === 'true'
+});
+
+server.on('connection', (client) => console.log(`[signal] connected: ${client.getId()}`));
+server.on('disconnect', (client) => console.log(`[signal] left: ${client.getId()}`));
+
+console.log(`VantalShare signaling on ${ssl ? 'https' : 'http'}://0.0.0.0:${port}${path}`);
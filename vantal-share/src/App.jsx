@@ -14,344 +14,641 @@ import {
   XCircle,
   Terminal,
   Activity,
-  Play
+  Play,
+  Users,
+  FolderOpen,
+  ChevronUp,
+  ChevronDown,
+  X,
+  ShieldCheck,
+  ShieldAlert,
+  HardDrive,
+  SlidersHorizontal,
+  Check,
+  Ban,
+  Lock,
+  QrCode,
+  Copy,
+  Settings,
+  Search,
+  Trash2,
+  Database,
+  Archive,
+  Eye,
+  ChevronLeft,
+  ChevronRight,
+  Send,
+  MessageSquare,
+  Clipboard,
+  ExternalLink,
+  RefreshCw,
+  History,
+  ImageDown,
+  Printer,
+  Bell,
+  BellOff,
+  Share2,
+  Languages
 } from 'lucide-react';
+import QRCode from 'qrcode';
+import { supportsFolderSave } from './storage.js';
+import { JOB_STATUSES, MAX_JOB_COPIES, MAX_JOB_NOTE_LENGTH, MAX_SNIPPET_LENGTH, REASONS } from './protocol/index.js';
+import {
+  DEFAULT_PEER_PATH,
+  loadSignalingSettings,
+  saveSignalingSettings,
+  resetSignalingSettings
+} from './signaling.js';
+import { getStorageEstimate } from './history.js';
+import { safeZipPath, saveZip, uniqueZipPaths } from './zip.js';
+import { notificationsSupported } from './notify.js';
+import { PAPER_SIZES, describeJob, toPrintJob } from './printJobs.js';
+import { LANGUAGES, loadLanguage, saveLanguage, translate } from './i18n.js';
+import { IMAGE_FORMATS, MAX_DIMENSIONS, supportsWebp } from './imageCompress.js';
+import { forgetRoom } from './recentRooms.js';
+import { buildJoinUrl } from './rooms.js';
+import { LOG_LEVELS, LOG_CATEGORIES, createLogBuffer, exportLogs, filterLogs, formatLogLine } from './logs.js';
+import { formatBytes, formatDuration } from './format.js';
+import { isLinkedCounter, useHost } from './useHost.js';
+import { RETRY_LIMIT, useSender } from './useSender.js';
+import { readConnectionStats, throughput } from './diagnostics.js';
 
-// --- PeerJS Loader ---
-const loadPeerJS = () => {
-  return new Promise((resolve, reject) => {
-    if (window.Peer) return resolve(window.Peer);
-    const script = document.createElement('script');
-    script.src = "https://unpkg.com/peerjs@1.5.2/dist/peerjs.min.js";
-    script.onload = () => resolve(window.Peer);
-    script.onerror = () => reject(new Error("Failed to load PeerJS"));
-    document.head.appendChild(script);
-  });
+// Shared rooms: where the main counter sends each new customer file.
+// Any file can still be sent to a counter by hand from its card. Labels: routing.*
+const ROUTING_MODES = ['manual', 'mirror', 'round-robin'];
+
+// --- File History Filters ---
+// Labels: category.* and date.* in src/locales
+const FILE_CATEGORIES = ['all', 'image', 'video', 'audio', 'pdf', 'document', 'other', 'snippet'];
+
+const DOCUMENT_EXTENSIONS = /\.(docx?|xlsx?|pptx?|odt|ods|odp|rtf|txt|csv|md)$/i;
+
+const fileCategory = (name, type) => {
+  const mime = type || '';
+  if (mime.startsWith('image/')) return 'image';
+  if (mime.startsWith('video/')) return 'video';
+  if (mime.startsWith('audio/')) return 'audio';
+  if (mime === 'application/pdf' || /\.pdf$/i.test(name)) return 'pdf';
+  if (mime.startsWith('text/') || DOCUMENT_EXTENSIONS.test(name)) return 'document';
+  return 'other';
+};
+
+// Range -> days back, 0 for no limit
+const DATE_RANGES = { any: 0, today: 1, week: 7, month: 30 };
+
+// Snippets share the feed with files: { kind: 'snippet', text, ... }
+const matchesHistoryFilter = (file, { query, category, date }) => {
+  const isSnippet = file.kind === 'snippet';
+  const text = query.trim().toLowerCase();
+  if (text && !(isSnippet ? file.text : file.path).toLowerCase().includes(text)) return false;
+  if (category !== 'all' && (isSnippet ? 'snippet' : fileCategory(file.name, file.type)) !== category) return false;
+  const days = DATE_RANGES[date];
+  if (days === 1) return new Date(file.receivedAt).toDateString() === new Date().toDateString();
+  if (days > 1) return Date.now() - file.receivedAt < days * 24 * 60 * 60 * 1000;
+  return true;
 };
 
+const isLink = (text) => /^https?:\/\/\S+$/i.test(text.trim());
+
+// --- Inline Preview ---
+const TEXT_EXTENSIONS = /\.(txt|md|csv|log|json|xml|ya?ml|ini|html?|css|jsx?|tsx?|py|rb|php|java|kt|c|cc|cpp|h|hpp|cs|go|rs|sh|bat|ps1|sql)$/i;
+const TEXT_PREVIEW_LIMIT = 512 * 1024; // Bigger text files show their start only
+
+// image | video | audio | pdf | text, or null when the browser cannot show it
+const previewKind = (file) => {
+  if (!file.url) return null;
+  const category = fileCategory(file.name, file.type);
+  if (['image', 'video', 'audio', 'pdf'].includes(category)) return category;
+  const mime = file.type || '';
+  if (mime.startsWith('text/') || /json|xml|javascript/.test(mime) || TEXT_EXTENSIONS.test(file.name)) return 'text';
+  return null;
+};
+
+// The files the preview modal steps through, in list order
+const previewableFiles = (files, filter) => files
+  .filter(file => matchesHistoryFilter(file, filter) && previewKind(file));
+
 export default function App() {
   const [role, setRole] = useState('home'); 
-  const [customId, setCustomId] = useState('');
-  const [peerId, setPeerId] = useState('');
-  const [conn, setConn] = useState(null);
+  const [lang, setLang] = useState(loadLanguage); // UI language, see src/i18n.js
+  const langRef = useRef(lang);
+  langRef.current = lang;
+  const [announcement, setAnnouncement] = useState(''); // Text of the screen-reader live region
+  const announceTimer = useRef(null);
   const [status, setStatus] = useState('');
-  const [error, setError] = useState('');
-  const [files, setFiles] = useState([]); 
+  const [copiedSnippet, setCopiedSnippet] = useState(null);
   
   // --- Debug State ---
   const [showLogs, setShowLogs] = useState(false);
-  const [logs, setLogs] = useState([]);
+  const [logBuffer] = useState(createLogBuffer); // Bounded; survives leaving a room
+  const [logs, setLogs] = useState([]); // Snapshot of logBuffer, newest first
+  const [logFilter, setLogFilter] = useState({ minLevel: 'info', category: 'all' });
+  const [consoleTab, setConsoleTab] = useState('logs'); // logs | diagnostics
+  const [diagnostics, setDiagnostics] = useState([]); // One row per open connection
 
-  // Refs
+  // Connection refs, shared by the host and sender hooks and read by the diagnostics tab
   const peerEngine = useRef(null);
-  const incomingBuffer = useRef({}); 
+  const hostTransports = useRef(new Map()); // Host: senderId -> transport, for WebRTC stats
+  const senderTransport = useRef(null); // Sender: transport to the host
+  const activeTransfers = useRef(new Map()); // peerId -> name of the file moving on that connection
+  const lastStats = useRef(new Map()); // peerId -> previous stats reading, for throughput
 
-  // --- Sender Specific ---
-  const [targetId, setTargetId] = useState('');
-  const [uploadProgress, setUploadProgress] = useState(0); 
-  const [currentFileName, setCurrentFileName] = useState('');
+  const [showPolicy, setShowPolicy] = useState(false);
+  const [signaling, setSignaling] = useState(loadSignalingSettings); // Signaling server + ICE servers
+  const [showNetwork, setShowNetwork] = useState(false);
+  const [networkSaved, setNetworkSaved] = useState(false);
+  const [historyFilter, setHistoryFilter] = useState({ query: '', category: 'all', date: 'any' });
+  const [storageUsage, setStorageUsage] = useState(null); // { usage, quota } in bytes
+  const [selectedIds, setSelectedIds] = useState([]); // Host: files ticked for "Download selected"
+  const [zipProgress, setZipProgress] = useState(null); // { done, total } while an archive is written
+  const [previewId, setPreviewId] = useState(null); // Host: file open in the preview modal
+  const [previewText, setPreviewText] = useState(null); // { text, truncated } for text previews
+
+  const folderInput = useRef(null);
 
   // --- Logger Helper ---
-  const addLog = (msg) => {
-    const time = new Date().toLocaleTimeString().split(' ')[0];
-    setLogs(prev => [`[${time}] ${msg}`, ...prev]);
-    console.log(`[APP] ${msg}`);
+  // context: { level: debug|info|warn|error, category, peer, fileId }
+  const addLog = (msg, context) => {
+    const entry = logBuffer.push(msg, context);
+    setLogs(logBuffer.toArray());
+    console.log(`[APP] ${formatLogLine(entry)}`);
+  };
+
+  const clearLogs = () => {
+    logBuffer.clear();
+    setLogs([]);
+  };
+
+  const downloadLogs = (format) => {
+    const text = exportLogs(filterLogs(logs, logFilter), format);
+    const url = URL.createObjectURL(new Blob([text], { type: format === 'json' ? 'application/json' : 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `vantal-logs-${new Date().toISOString().replace(/[:.]/g, '-')}.${format === 'json' ? 'json' : 'txt'}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  // --- Language & Announcements ---
+  // Reads the ref, so protocol handlers registered before a switch use the new language
+  const t = (key, params) => translate(langRef.current, key, params);
+  // Refusals and failures arrive as { reason, code, params } from the protocol module.
+  // Plain strings (local errors, older history records) and unknown codes show as they are.
+  const tReason = (failure) => {
+    if (!failure) return '';
+    if (typeof failure === 'string') return failure;
+    return REASONS[failure.code] ? t(`reason.${failure.code}`, failure.params) : failure.reason;
   };
 
+  const changeLanguage = (next) => setLang(saveLanguage(next));
+
   useEffect(() => {
-    loadPeerJS().then(() => addLog("PeerJS Library Loaded")).catch(err => addLog(`PeerJS Load Error: ${err}`));
-    return () => {
-      if (peerEngine.current) peerEngine.current.destroy();
-    };
-  }, []);
+    document.documentElement.lang = lang;
+  }, [lang]);
+
+  // Cleared first so a repeated message ("A customer connected.") is read again
+  const announce = (message) => {
+    clearTimeout(announceTimer.current);
+    setAnnouncement('');
+    announceTimer.current = setTimeout(() => setAnnouncement(message), 100);
+  };
 
   // ============================
-  // HOST LOGIC (Receiver)
+  // HOST & SENDER LOGIC
   // ============================
-  const startHosting = async () => {
-    if (!customId) {
-      setError("Please enter a name for your shop.");
-      return;
-    }
-    setStatus('Initializing...');
-    addLog(`Starting Host with ID: ${customId}`);
-    setError('');
-    
-    const Peer = await loadPeerJS();
-    const cleanId = customId.trim().replace(/\s+/g, '-').toLowerCase();
-
-    const peer = new Peer(cleanId);
-
-    peer.on('open', (id) => {
-      setPeerId(id);
-      setStatus('Online & Waiting');
-      setRole('host');
-      addLog(`Host Online. ID: ${id}`);
-    });
-
-    peer.on('connection', (connection) => {
-      setConn(connection);
-      addLog(`New Connection from: ${connection.peer}`);
-      
-      connection.on('data', (data) => {
-        
-        // 1. FILE START (The Fix: Explicit Initialization)
-        if (data.type === 'file-start') {
-          addLog(`Signal: FILE START received for ${data.name}`);
-          // Force create buffer
-          incomingBuffer.current[data.fileId] = {
-            name: data.name,
-            size: data.size,
-            type: data.mime,
-            received: 0,
-            chunks: [],
-            lastLog: 0,
-            startTime: Date.now()
-          };
-        }
-        
-        // 2. CHUNK
-        else if (data.type === 'stream-chunk') {
-          handleStreamChunk(data);
-        }
-        
-        // 3. FILE END
-        else if (data.type === 'file-end') {
-          addLog(`Signal: FILE END received for ${data.fileId}`);
-          finishFile(data.fileId);
-        }
-      });
-      
-      connection.on('close', () => {
-        setConn(null);
-        addLog("Connection Closed");
-        incomingBuffer.current = {}; 
-      });
-    });
-
-    peer.on('error', (err) => {
-      addLog(`Peer Error: ${err.type}`);
-      if (err.type === 'unavailable-id') {
-        setError(`"${cleanId}" is taken. Try "${cleanId}-1"`);
-      } else {
-        setError(`Error: ${err.type}`);
-      }
-    });
-
-    peerEngine.current = peer;
-  };
+  // Connections and transfers live in src/useHost.js and src/useSender.js;
+  // everything below renders their state
+  const shared = { addLog, t, announce, signaling, setRole, setStatus, peerEngine, activeTransfers, lastStats };
+  const {
+    customId, setCustomId, peerId, error, files, senders, hostMode, counters, routing, setRouting,
+    roomTaken, counterLink, returnTransfers, setReturnTransfers, returnInput, snippets, notifyOn,
+    storageMode, setStorageMode, saveFolderName, policy, setPolicy, approvals, roomPin, setRoomPin,
+    startHosting, joinAsCounter, resolveApproval, toggleNotifications, setJobStatus, relayToCounter,
+    acceptCounter, declineCounter, pickReturnFiles, sendBack,
+    deleteFile: deleteHostFile,
+    destroyHost: stopHost
+  } = useHost({ ...shared, hostTransports });
+  const {
+    targetId, setTargetId, targetRoom, conn, retryInfo, recentRooms, setRecentRooms, sharedCount,
+    authed, pinPrompt, pinInput, setPinInput, authError, e2e, snippetText, setSnippetText,
+    snippetStatus, setSnippetStatus, fromHost, incomingFile, jobForm, setJobForm, editingJob,
+    setEditingJob, printJobs, uploadProgress, currentFileName, uploadPaused, uploadStage, uploadError,
+    transferStats, queue, imageOptions, setImageOptions, dragActive, setDragActive,
+    connectToHost, leaveRoom, joinRecentRoom, sendSnippet, pasteSnippet, submitPin, resumeUpload,
+    resetUpload, handleFileInput, handleDrop, moveQueueItem, cancelQueueItem, updateItemJob, clearFinished
+  } = useSender({ ...shared, tReason, setSignaling, senderTransport });
 
-  const handleStreamChunk = (data) => {
-    const { fileId, chunk } = data;
-    
-    // Safety: If buffer doesn't exist (missed the start signal?), create it now as fallback
-    if (!incomingBuffer.current[fileId]) {
-      addLog(`Warning: Received chunk for unknown file ${fileId}. Creating partial buffer.`);
-      incomingBuffer.current[fileId] = {
-        name: "Unknown File",
-        size: 0, 
-        type: "application/octet-stream",
-        received: 0,
-        chunks: [],
-        lastLog: 0
-      };
-    }
+  // Diagnostics tab: poll WebRTC stats for every open connection while it is shown
+  useEffect(() => {
+    if (!showLogs || consoleTab !== 'diagnostics') return;
+    let stopped = false;
+    const poll = async () => {
+      const transports = senderTransport.current
+        ? [[senderTransport.current.remoteId, senderTransport.current]]
+        : [...hostTransports.current.entries()];
+      const rows = await Promise.all(transports.map(async ([peer, transport]) => {
+        try {
+          const stats = await readConnectionStats(transport);
+          if (!stats) return { peer, type: 'unknown' };
+          const rate = throughput(lastStats.current.get(peer), stats);
+          lastStats.current.set(peer, stats);
+          return { peer, ...stats, ...rate, file: activeTransfers.current.get(peer) || '' };
+        } catch (e) {
+          return { peer, type: 'unknown', error: e.message };
+        }
+      }));
+      if (!stopped) setDiagnostics(rows);
+    };
+    poll();
+    const timer = setInterval(poll, 2000);
+    return () => {
+      stopped = true;
+      clearInterval(timer);
+    };
+  }, [showLogs, consoleTab]);
 
-    const buffer = incomingBuffer.current[fileId];
-    buffer.chunks.push(chunk);
-    buffer.received += chunk.byteLength;
+  // --- Host Join Link ---
+  const [joinQr, setJoinQr] = useState(''); // Data URL of the QR code image
+  const [showJoin, setShowJoin] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const joinUrl = peerId ? buildJoinUrl(peerId, signaling) : '';
 
-    // Detailed Log for the first chunk to prove it arrived
-    if (buffer.chunks.length === 1) {
-        addLog(`First Chunk Received! Size: ${chunk.byteLength} bytes.`);
+  useEffect(() => {
+    if (!joinUrl) {
+      setJoinQr('');
+      return;
     }
+    QRCode.toDataURL(joinUrl, { margin: 1, width: 240 })
+      .then(setJoinQr)
+      .catch(err => addLog(`QR Error: ${err.message}`, { level: 'error', category: 'app' }));
+  }, [joinUrl]);
 
-    // Log progress every 20%
-    if (buffer.size > 0) {
-        const percent = Math.floor((buffer.received / buffer.size) * 100);
-        if (percent % 20 === 0 && percent !== buffer.lastLog) {
-           addLog(`Receiving... ${percent}%`);
-           buffer.lastLog = percent;
-        }
+  const copyJoinLink = async () => {
+    try {
+      await navigator.clipboard.writeText(joinUrl);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (e) {
+      addLog(`Clipboard Error: ${e.message}`, { level: 'error', category: 'app' });
     }
   };
 
-  const finishFile = (fileId) => {
-    const buffer = incomingBuffer.current[fileId];
-    
-    if (!buffer || buffer.chunks.length === 0) {
-        addLog(`CRITICAL: Buffer empty for ${fileId}. Transfer failed.`);
-        return;
+  // ============================
+  // HOST SCREEN
+  // ============================
+  const copySnippet = async (snippet) => {
+    try {
+      await navigator.clipboard.writeText(snippet.text);
+      setCopiedSnippet(snippet.id);
+      setTimeout(() => setCopiedSnippet(current => current === snippet.id ? null : current), 2000);
+    } catch (e) {
+      addLog(`Clipboard Error: ${e.message}`, { level: 'error', category: 'app' });
     }
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+  };
+
+  // One folder per sender, keeping the relative paths they sent
+  const downloadZip = async (list) => {
+    const zippable = list.filter(file => file.blob);
+    const skipped = list.length - zippable.length;
+    if (skipped > 0) addLog(`ZIP: skipping ${skipped} file(s) already saved to a folder.`, { level: 'warn', category: 'storage' });
+    if (zippable.length === 0) return;
 
-    addLog(`Finalizing: ${buffer.chunks.length} chunks collected. Total: ${buffer.received} bytes.`);
+    const paths = uniqueZipPaths(zippable.map(file => `sender-${file.sender.slice(0, 8)}/${safeZipPath(file.path)}`));
+    const entries = zippable.map((file, i) => ({ path: paths[i], blob: file.blob, lastModified: file.receivedAt }));
+    const stamp = new Date().toISOString().slice(0, 10);
 
+    setZipProgress({ done: 0, total: entries.length });
     try {
-        const blob = new Blob(buffer.chunks, { type: buffer.type });
-        const url = URL.createObjectURL(blob);
-        
-        const newFile = {
-        id: fileId,
-        name: buffer.name,
-        size: (buffer.received / 1024).toFixed(1) + ' KB', // Use received size for accuracy
-        url: url,
-        timestamp: new Date().toLocaleTimeString()
-        };
-
-        setFiles(prev => [newFile, ...prev]);
-        addLog(`SUCCESS: File ready.`);
-        
-        // Clear Memory
-        delete incomingBuffer.current[fileId];
+      const saved = await saveZip(entries, `${peerId}-${stamp}.zip`, {
+        onEntry: () => setZipProgress(prev => prev && { ...prev, done: prev.done + 1 })
+      });
+      if (saved) addLog(`ZIP: saved ${entries.length} file(s).`, { category: 'storage' });
     } catch (e) {
-        addLog(`Blob Error: ${e.message}`);
+      addLog(`ZIP Error: ${e.message}`, { level: 'error', category: 'storage' });
+    } finally {
+      setZipProgress(null);
     }
   };
 
-  const destroyHost = () => {
-    if (peerEngine.current) peerEngine.current.destroy();
-    setRole('home');
-    setFiles([]);
-    setConn(null);
-    setPeerId('');
-    setCustomId('');
-    incomingBuffer.current = {};
-    setLogs([]);
+  const stepPreview = (direction) => {
+    const list = previewableFiles(files, historyFilter);
+    const index = list.findIndex(f => f.id === previewId);
+    if (list.length === 0 || index === -1) return;
+    setPreviewId(list[(index + direction + list.length) % list.length].id);
   };
 
-  // ============================
-  // SENDER LOGIC
-  // ============================
-  const connectToHost = async () => {
-    if (!targetId) return;
-    setStatus('Connecting...');
-    addLog(`Connecting to ${targetId}...`);
-    const Peer = await loadPeerJS();
-    
-    const peer = new Peer(); 
-    
-    peer.on('open', (myId) => {
-      addLog(`My Sender ID: ${myId}`);
-      const connection = peer.connect(targetId.trim().toLowerCase().replace(/\s+/g, '-'));
-      
-      connection.on('open', () => {
-        setConn(connection);
-        setStatus('Connected');
-        setRole('sender');
-        addLog(`Connected to Host!`);
-      });
-      
-      connection.on('error', (e) => {
-          setStatus('Connection Failed');
-          addLog(`Connection Error: ${e}`);
-      });
-      connection.on('close', () => {
-        setStatus('Disconnected');
-        setConn(null);
-        addLog('Host Disconnected');
-      });
-      
-      peerEngine.current = peer;
-    });
-    
-    peer.on('error', (err) => {
-        setStatus('Shop not found.');
-        addLog(`Peer Error: ${err.type}`);
-    });
-  };
+  useEffect(() => {
+    setPreviewText(null);
+    const file = files.find(f => f.id === previewId);
+    if (!file || previewKind(file) !== 'text') return;
+    let stale = false;
+    file.blob.slice(0, TEXT_PREVIEW_LIMIT).text()
+      .then(text => !stale && setPreviewText({ text, truncated: file.blob.size > TEXT_PREVIEW_LIMIT }))
+      .catch(e => !stale && setPreviewText({ text: `Could not read file: ${e.message}`, truncated: false }));
+    return () => { stale = true; };
+  }, [previewId]);
 
-  const sendFile = (e) => {
-    const file = e.target.files[0];
-    if (!file || !conn) return;
-
-    setCurrentFileName(file.name);
-    setUploadProgress(1);
-    addLog(`Starting Upload: ${file.name}`);
-
-    const CHUNK_SIZE = 16 * 1024; // 16KB safe chunk
-    const fileId = Math.random().toString(36).substr(2, 9);
-    let offset = 0;
-
-    // STEP 1: Send Explicit Start Signal
-    conn.send({
-        type: 'file-start',
-        fileId: fileId,
-        name: file.name,
-        size: file.size,
-        mime: file.type
-    });
-
-    const sendNextChunk = () => {
-      if (offset >= file.size) {
-        // STEP 3: Send Final Whistle
-        addLog(`Upload Complete. Sending END signal.`);
-        conn.send({
-            type: 'file-end',
-            fileId: fileId
-        });
-        
-        setUploadProgress(100);
-        setTimeout(() => {
-          setUploadProgress(0);
-          setCurrentFileName('');
-        }, 2500);
-        return;
-      }
-
-      // STEP 2: Stream Chunks
-      const slice = file.slice(offset, offset + CHUNK_SIZE);
-      const reader = new FileReader();
-
-      reader.onload = (event) => {
-        if (!conn.open) {
-            addLog("Connection lost.");
-            return; 
-        }
+  useEffect(() => {
+    if (!previewId) return;
+    // Close the preview if its file was deleted or filtered out
+    if (!previewableFiles(files, historyFilter).some(f => f.id === previewId)) {
+      setPreviewId(null);
+      return;
+    }
+    const onKey = (e) => {
+      if (e.key === 'Escape') setPreviewId(null);
+      if (e.key === 'ArrowLeft') stepPreview(-1);
+      if (e.key === 'ArrowRight') stepPreview(1);
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [previewId, files, historyFilter]);
 
-        conn.send({
-          type: 'stream-chunk',
-          fileId: fileId,
-          chunk: event.target.result
-        });
+  useEffect(() => {
+    if (role !== 'host') return;
+    getStorageEstimate().then(setStorageUsage).catch(() => setStorageUsage(null));
+  }, [role, files.length]);
 
-        offset += CHUNK_SIZE;
-        const percent = Math.min(100, Math.round((offset / file.size) * 100));
-        setUploadProgress(percent);
+  // The host hook owns the files; these also reset how the list was being browsed
+  const deleteFile = (file) => {
+    deleteHostFile(file);
+    setSelectedIds(prev => prev.filter(id => id !== file.id));
+  };
 
-        setTimeout(sendNextChunk, 0);
-      };
+  const destroyHost = () => {
+    stopHost();
+    setHistoryFilter({ query: '', category: 'all', date: 'any' });
+    setSelectedIds([]);
+    setPreviewId(null);
+    setShowJoin(false);
+  };
 
-      reader.readAsArrayBuffer(slice);
-    };
+  // ============================
+  // NETWORK SETTINGS
+  // ============================
+  const updateSignaling = (changes) => {
+    setSignaling(prev => ({ ...prev, ...changes }));
+    setNetworkSaved(false);
+  };
+
+  const saveNetworkSettings = () => {
+    saveSignalingSettings(signaling);
+    setNetworkSaved(true);
+    addLog(`Signaling: ${signaling.host || 'PeerJS cloud'} (saved)`, { category: 'network' });
+  };
 
-    // Small delay to ensure 'file-start' arrives first
-    setTimeout(sendNextChunk, 100);
+  const resetNetworkSettings = () => {
+    setSignaling(resetSignalingSettings());
+    setNetworkSaved(false);
+    addLog('Signaling settings reset to defaults.', { category: 'network' });
   };
 
   // ============================
   // UI COMPONENTS
   // ============================
 
-  const DebugConsole = () => (
-      <div className={`fixed bottom-0 left-0 right-0 bg-black/95 text-green-400 p-4 font-mono text-xs h-48 overflow-y-auto z-50 transition-transform duration-300 ${showLogs ? 'translate-y-0' : 'translate-y-full'}`}>
-          <div className="flex justify-between items-center mb-2 border-b border-green-900 pb-2 sticky top-0 bg-black">
-              <span className="font-bold flex items-center"><Terminal className="w-4 h-4 mr-2"/> System Logs</span>
-              <button onClick={() => setShowLogs(false)} className="text-red-400 hover:text-white">Close X</button>
+  // Called as a function like renderPreview, so the filters keep focus as logs stream in
+  const renderDebugConsole = () => (
+      <div className={`fixed bottom-0 left-0 right-0 bg-black/95 text-green-400 p-4 font-mono text-xs h-64 overflow-y-auto z-50 transition-transform duration-300 ${showLogs ? 'translate-y-0' : 'translate-y-full'}`}>
+          <div className="flex flex-wrap gap-2 justify-between items-center mb-2 border-b border-green-900 pb-2 sticky top-0 bg-black">
+              <div className="flex items-center space-x-3">
+                  <span className="font-bold flex items-center"><Terminal className="w-4 h-4 mr-2"/> System</span>
+                  {['logs', 'diagnostics'].map(tab => (
+                    <button
+                      key={tab}
+                      onClick={() => setConsoleTab(tab)}
+                      className={`uppercase ${consoleTab === tab ? 'text-white underline' : 'text-green-700 hover:text-green-400'}`}
+                    >
+                      {tab}
+                    </button>
+                  ))}
+              </div>
+              <div className="flex flex-wrap items-center gap-2">
+                  {consoleTab === 'logs' && (
+                    <>
+                      <select
+                        value={logFilter.minLevel}
+                        onChange={(e) => setLogFilter({ ...logFilter, minLevel: e.target.value })}
+                        className="bg-black border border-green-900 text-green-400 px-1"
+                        title="Minimum level"
+                      >
+                        {LOG_LEVELS.map(level => <option key={level} value={level}>{level}+</option>)}
+                      </select>
+                      <select
+                        value={logFilter.category}
+                        onChange={(e) => setLogFilter({ ...logFilter, category: e.target.value })}
+                        className="bg-black border border-green-900 text-green-400 px-1"
+                        title="Category"
+                      >
+                        <option value="all">all</option>
+                        {LOG_CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+                      </select>
+                      <button onClick={() => downloadLogs('json')} className="hover:text-white" title="Export shown logs as JSON">JSON</button>
+                      <button onClick={() => downloadLogs('text')} className="hover:text-white" title="Export shown logs as text">TXT</button>
+                      <button onClick={clearLogs} className="hover:text-white">Clear</button>
+                    </>
+                  )}
+                  <button onClick={() => setShowLogs(false)} className="text-red-400 hover:text-white">Close X</button>
+              </div>
           </div>
-          <div className="space-y-1">
-              {logs.length === 0 && <span className="opacity-50">System ready. Waiting for events...</span>}
-              {logs.map((log, i) => (
-                  <div key={i} className="break-all border-b border-green-900/30 pb-0.5">{log}</div>
-              ))}
+          {consoleTab === 'logs' ? (
+            <div className="space-y-1">
+                {logs.length === 0 && <span className="opacity-50">System ready. Waiting for events...</span>}
+                {filterLogs(logs, logFilter).map(entry => (
+                    <div key={entry.id} className={`break-all border-b border-green-900/30 pb-0.5 ${
+                      entry.level === 'error' ? 'text-red-400' : entry.level === 'warn' ? 'text-amber-300' : entry.level === 'debug' ? 'text-green-700' : ''
+                    }`}>
+                        [{new Date(entry.time).toLocaleTimeString()}] <span className="opacity-60">{entry.category}</span> {entry.message}
+                        {entry.fileId && <span className="opacity-50"> • {entry.fileId}</span>}
+                    </div>
+                ))}
+            </div>
+          ) : (
+            <div className="space-y-1">
+                {diagnostics.length === 0 && <span className="opacity-50">No open connections.</span>}
+                {diagnostics.map(row => (
+                    <div key={row.peer} className="border-b border-green-900/30 pb-1">
+                        <span className="text-white">{row.peer}</span>{' '}
+                        <span className={row.type === 'relayed' ? 'text-amber-300' : row.type === 'direct' ? 'text-emerald-300' : 'opacity-60'}>
+                          {row.type === 'relayed' ? 'RELAYED (TURN)' : row.type === 'direct' ? 'DIRECT' : 'unknown route'}
+                        </span>
+                        {row.localCandidate && <span className="opacity-60"> • {row.localCandidate}/{row.remoteCandidate} {row.protocol}</span>}
+                        {row.rttMs !== null && row.rttMs !== undefined && <span> • RTT {row.rttMs} ms</span>}
+                        {row.up !== undefined && <span> • ↑ {formatBytes(row.up)}/s ↓ {formatBytes(row.down)}/s</span>}
+                        {row.file && <span className="opacity-60"> • {row.file}</span>}
+                        {row.error && <span className="text-red-400"> • {row.error}</span>}
+                    </div>
+                ))}
+            </div>
+          )}
+      </div>
+  );
+
+  // Screen-reader only. Each screen renders it, so it is in the page whatever the role.
+  const renderAnnouncer = () => (
+      <div role="status" aria-live="polite" aria-atomic="true" className="sr-only">{announcement}</div>
+  );
+
+  const renderLanguagePicker = (dark) => (
+      <label className={`flex items-center text-xs ${dark ? 'text-slate-400' : 'text-slate-500'}`}>
+          <Languages className="w-4 h-4 mr-1" aria-hidden="true" />
+          <select
+            value={lang}
+            onChange={(e) => changeLanguage(e.target.value)}
+            aria-label={t('language')}
+            className={`border rounded-lg px-1 py-1 cursor-pointer ${dark ? 'bg-slate-900 border-slate-700 text-slate-200' : 'bg-white border-slate-200 text-slate-700'}`}
+          >
+            {LANGUAGES.map(language => <option key={language.id} value={language.id}>{language.label}</option>)}
+          </select>
+      </label>
+  );
+
+  const JoinPanel = () => (
+      <div className="flex flex-col sm:flex-row items-center gap-6 text-left">
+          {joinQr
+            ? <img src={joinQr} alt={t('join.qrAlt', { room: peerId })} className="w-40 h-40 rounded-xl bg-white p-2 flex-shrink-0" />
+            : <div className="w-40 h-40 rounded-xl bg-slate-800 flex items-center justify-center flex-shrink-0"><Loader2 className="w-6 h-6 animate-spin text-slate-500" /></div>}
+          <div className="min-w-0">
+              <p className="text-sm font-bold text-white">{t('join.scan')}</p>
+              <p className="text-xs text-slate-400 mt-1">{t('join.openLink')}</p>
+              <div className="mt-3 flex items-center space-x-2">
+                  <code className="text-xs bg-slate-950 border border-slate-800 rounded-lg px-3 py-2 text-blue-300 truncate max-w-[260px]">{joinUrl}</code>
+                  <button onClick={copyJoinLink} className="p-2 rounded-lg bg-slate-800 hover:bg-slate-700 text-slate-300 flex-shrink-0" title={t('join.copy')} aria-label={t('join.copy')}>
+                      {linkCopied ? <Check className="w-4 h-4 text-emerald-400" /> : <Copy className="w-4 h-4" />}
+                  </button>
+              </div>
           </div>
       </div>
   );
 
+  // Print options form, shared by the defaults panel and per-file editing
+  const renderJobFields = (job, onChange) => (
+    <div className="grid grid-cols-2 gap-2 text-xs text-slate-500">
+      <label>
+        {t('job.copies')}
+        <input
+          type="number"
+          min="1"
+          max={MAX_JOB_COPIES}
+          value={job.copies}
+          onChange={(e) => onChange({ copies: e.target.value })}
+          className="mt-1 w-full bg-white border border-slate-200 rounded-lg px-2 py-1 text-slate-700"
+        />
+      </label>
+      <label>
+        {t('job.paper')}
+        <select
+          value={job.paper}
+          onChange={(e) => onChange({ paper: e.target.value })}
+          className="mt-1 w-full bg-white border border-slate-200 rounded-lg px-1 py-1 text-slate-700"
+        >
+          {PAPER_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+        </select>
+      </label>
+      <label className="flex items-center">
+        <input type="checkbox" checked={job.color} onChange={(e) => onChange({ color: e.target.checked })} className="mr-2 accent-emerald-500" />
+        {t('job.color')}
+      </label>
+      <label className="flex items-center">
+        <input type="checkbox" checked={job.duplex} onChange={(e) => onChange({ duplex: e.target.checked })} className="mr-2 accent-emerald-500" />
+        {t('job.duplex')}
+      </label>
+      <input
+        type="text"
+        value={job.note || ''}
+        maxLength={MAX_JOB_NOTE_LENGTH}
+        onChange={(e) => onChange({ note: e.target.value })}
+        placeholder={t('job.notePlaceholder')}
+        aria-label={t('job.notePlaceholder')}
+        className="col-span-2 bg-white border border-slate-200 rounded-lg px-2 py-1 text-slate-700"
+      />
+      </div>
+  );
+
+  const renderThumbnail = (file) => {
+    const kind = previewKind(file);
+    const open = kind ? () => setPreviewId(file.id) : undefined;
+    if (kind === 'image') return (
+      <button onClick={open} className="w-12 h-12 rounded-lg overflow-hidden bg-slate-800 flex-shrink-0" title={t('common.preview')} aria-label={`${t('common.preview')}: ${file.name}`}>
+        <img src={file.url} alt="" loading="lazy" decoding="async" className="w-full h-full object-cover" />
+      </button>
+    );
+    if (kind === 'video') return (
+      <button onClick={open} className="relative w-12 h-12 rounded-lg overflow-hidden bg-slate-800 flex-shrink-0" title={t('common.preview')} aria-label={`${t('common.preview')}: ${file.name}`}>
+        {/* #t seeks past a black first frame */}
+        <video src={`${file.url}#t=0.1`} muted preload="metadata" className="w-full h-full object-cover pointer-events-none" />
+        <Play className="w-4 h-4 text-white absolute inset-0 m-auto drop-shadow" />
+      </button>
+    );
+    return (
+      <button onClick={open} disabled={!kind} className="bg-slate-800 p-3 rounded-lg flex-shrink-0 disabled:cursor-default" title={kind ? t('common.preview') : undefined} aria-label={kind ? `${t('common.preview')}: ${file.name}` : file.name}>
+        <FileText className="w-6 h-6 text-blue-400" />
+      </button>
+    );
+  };
+
+  // Called as a function, not rendered as <Component />, so a playing video
+  // is not remounted every time a log line or progress update re-renders App
+  const renderPreview = (list) => {
+    const index = list.findIndex(f => f.id === previewId);
+    if (index === -1) return null;
+    const file = list[index];
+    const kind = previewKind(file);
+    return (
+      <div className="fixed inset-0 z-50 bg-black/90 flex flex-col" onClick={() => setPreviewId(null)} role="dialog" aria-modal="true" aria-label={file.path}>
+          <div className="flex items-center justify-between p-4 text-slate-300" onClick={(e) => e.stopPropagation()}>
+              <div className="min-w-0">
+                  <p className="font-bold text-white truncate" title={file.path}>{file.path}</p>
+                  <p className="text-xs text-slate-500">{file.size} • {file.type || t('common.unknownType')} • {t('preview.position', { index: index + 1, total: list.length })}</p>
+              </div>
+              <div className="flex items-center space-x-2 flex-shrink-0">
+                  <a href={file.url} download={file.name} className="p-2 rounded-lg bg-slate-800 hover:bg-slate-700" title={t('common.save')} aria-label={t('common.save')}>
+                      <Download className="w-5 h-5" />
+                  </a>
+                  <button onClick={() => setPreviewId(null)} autoFocus className="p-2 rounded-lg bg-slate-800 hover:bg-slate-700" title={t('preview.close')} aria-label={t('preview.close')}>
+                      <X className="w-5 h-5" />
+                  </button>
+              </div>
+          </div>
+          <div className="flex-1 flex items-center justify-center gap-2 px-2 pb-4 min-h-0">
+              {list.length > 1 && (
+                <button onClick={(e) => { e.stopPropagation(); stepPreview(-1); }} className="p-3 rounded-full bg-slate-800/80 hover:bg-slate-700 text-white flex-shrink-0" title={t('preview.previous')} aria-label={t('preview.previous')}>
+                    <ChevronLeft className="w-6 h-6" />
+                </button>
+              )}
+              <div className="flex-1 h-full flex items-center justify-center min-w-0" onClick={(e) => e.stopPropagation()}>
+                  {kind === 'image' && <img src={file.url} alt={file.name} className="max-w-full max-h-full object-contain" />}
+                  {kind === 'video' && <video key={file.id} src={file.url} controls autoPlay className="max-w-full max-h-full" />}
+                  {kind === 'audio' && <audio key={file.id} src={file.url} controls autoPlay className="w-full max-w-lg" />}
+                  {kind === 'pdf' && <iframe key={file.id} src={file.url} title={file.name} className="w-full h-full bg-white rounded-lg" />}
+                  {kind === 'text' && (
+                    <pre className="w-full h-full overflow-auto bg-slate-950 border border-slate-800 rounded-lg p-4 text-xs text-slate-200 font-mono whitespace-pre-wrap break-words">
+                        {previewText ? previewText.text : t('preview.loading')}
+                        {previewText && previewText.truncated && `\n\n${t('preview.truncated', { size: formatBytes(TEXT_PREVIEW_LIMIT) })}`}
+                    </pre>
+                  )}
+              </div>
+              {list.length > 1 && (
+                <button onClick={(e) => { e.stopPropagation(); stepPreview(1); }} className="p-3 rounded-full bg-slate-800/80 hover:bg-slate-700 text-white flex-shrink-0" title={t('preview.next')} aria-label={t('preview.next')}>
+                    <ChevronRight className="w-6 h-6" />
+                </button>
+              )}
+          </div>
+      </div>
+    );
+  };
+
   const LogToggle = () => (
       <button 
         onClick={() => setShowLogs(!showLogs)}
         className="fixed bottom-4 right-4 bg-slate-800 text-slate-400 p-2 rounded-full hover:bg-slate-700 hover:text-white z-40 shadow-lg border border-slate-700"
-        title="Toggle Logs"
+        title={t('logs.toggle')}
+        aria-label={t('logs.toggle')}
+        aria-pressed={showLogs}
       >
         <Activity className="w-5 h-5" />
       </button>
@@ -360,7 +657,8 @@ export default function App() {
   if (role === 'home') {
     return (
       <div className="min-h-screen bg-slate-900 text-slate-100 flex items-center justify-center p-4 font-sans">
-        <DebugConsole />
+        {renderDebugConsole()}
+        {renderAnnouncer()}
         <LogToggle />
         <div className="max-w-4xl w-full grid grid-cols-1 md:grid-cols-2 gap-8">
           
@@ -368,41 +666,87 @@ export default function App() {
             <h1 className="text-4xl font-extrabold tracking-tight mb-2 text-white">
               <span className="text-blue-500">Vantal</span>Share
             </h1>
-            <p className="text-slate-400">Mark Cruz's Direct Link System (V2.8 Final Fix)</p>
+            <p className="text-slate-400">{t('home.tagline')}</p>
+            <div className="mt-3 flex justify-center">{renderLanguagePicker(true)}</div>
           </div>
 
+          {sharedCount > 0 && (
+            <div className="col-span-1 md:col-span-2 bg-emerald-900/30 border border-emerald-700/50 rounded-2xl px-4 py-3 text-sm text-emerald-200 flex items-center">
+              <Share2 className="w-4 h-4 mr-2 flex-shrink-0" />
+              {t('home.shared', { count: sharedCount })}
+            </div>
+          )}
+
           <div className="bg-slate-800 border-2 border-slate-700 rounded-3xl p-8 shadow-xl hover:border-blue-500 transition-colors">
             <div className="flex items-center space-x-4 mb-6">
                 <div className="bg-blue-600 w-12 h-12 rounded-xl flex items-center justify-center shadow-lg shadow-blue-600/20">
                     <Monitor className="w-6 h-6 text-white" />
                 </div>
                 <div>
-                    <h2 className="text-xl font-bold text-white">Receive Files</h2>
-                    <p className="text-xs text-slate-400">Host (Shop/Office)</p>
+                    <h2 className="text-xl font-bold text-white">{t('home.receiveTitle')}</h2>
+                    <p className="text-xs text-slate-400">{t('home.receiveSubtitle')}</p>
                 </div>
             </div>
             
             <div className="space-y-4">
                 <div>
-                    <label className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-1 block">Create Room Name</label>
+                    <label htmlFor="room-name" className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-1 block">{t('home.roomName')}</label>
                     <div className="relative">
                         <input
+                            id="room-name"
                             type="text"
-                            placeholder="e.g. vantal-laoag"
+                            placeholder={t('home.roomPlaceholder')}
                             className="w-full bg-slate-900 border border-slate-600 rounded-xl pl-4 pr-10 py-3 text-white placeholder:text-slate-600 focus:outline-none focus:border-blue-500 transition-colors font-mono"
                             value={customId}
                             onChange={(e) => setCustomId(e.target.value)}
+                            onKeyDown={(e) => e.key === 'Enter' && startHosting()}
                         />
                         <Edit3 className="w-4 h-4 text-slate-500 absolute right-4 top-4" />
                     </div>
-                    {error && <p className="text-red-400 text-xs mt-2 flex items-center"><XCircle className="w-3 h-3 mr-1"/> {error}</p>}
+                    {error && <p role="alert" className="text-red-400 text-xs mt-2 flex items-center"><XCircle className="w-3 h-3 mr-1"/> {error}</p>}
+                    {roomTaken && (
+                        <button
+                            onClick={joinAsCounter}
+                            className="mt-2 w-full flex items-center justify-center py-2 rounded-xl border border-blue-500/50 text-blue-300 hover:bg-blue-900/30 text-sm font-bold transition-colors"
+                        >
+                            <Monitor className="w-4 h-4 mr-2" /> {t('home.joinAsCounter', { room: roomTaken })}
+                        </button>
+                    )}
+                </div>
+                <div>
+                    <label htmlFor="room-pin" className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-1 block">{t('home.roomPin')}</label>
+                    <div className="relative">
+                        <input
+                            id="room-pin"
+                            type="password"
+                            placeholder={t('home.roomPinPlaceholder')}
+                            className="w-full bg-slate-900 border border-slate-600 rounded-xl pl-4 pr-10 py-3 text-white placeholder:text-slate-600 focus:outline-none focus:border-blue-500 transition-colors font-mono"
+                            value={roomPin}
+                            onChange={(e) => setRoomPin(e.target.value)}
+                            autoComplete="new-password"
+                        />
+                        <Lock className="w-4 h-4 text-slate-500 absolute right-4 top-4" />
+                    </div>
+                </div>
+                <div>
+                    <label htmlFor="storage-mode" className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-1 block">{t('home.storage')}</label>
+                    <select
+                        id="storage-mode"
+                        className="w-full bg-slate-900 border border-slate-600 rounded-xl px-4 py-3 text-white focus:outline-none focus:border-blue-500 transition-colors text-sm"
+                        value={storageMode}
+                        onChange={(e) => setStorageMode(e.target.value)}
+                    >
+                        <option value="auto">{t('home.storageAuto')}</option>
+                        <option value="browser">{t('home.storageBrowser')}</option>
+                        {supportsFolderSave() && <option value="folder">{t('home.storageFolder')}</option>}
+                    </select>
                 </div>
                 <button 
                     onClick={startHosting}
                     className="w-full bg-blue-600 hover:bg-blue-500 text-white font-bold py-3 rounded-xl transition-all shadow-lg shadow-blue-900/20 flex items-center justify-center space-x-2"
                 >
-                    <span>Start Receiving</span>
-                    <ArrowRight className="w-4 h-4" />
+                    <span>{t('home.start')}</span>
+                    <ArrowRight className="w-4 h-4" aria-hidden="true" />
                 </button>
             </div>
           </div>
@@ -413,31 +757,145 @@ export default function App() {
                     <Smartphone className="w-6 h-6 text-white" />
                 </div>
                 <div>
-                    <h2 className="text-xl font-bold text-white">Send Files</h2>
-                    <p className="text-xs text-slate-400">Customer/Client</p>
+                    <h2 className="text-xl font-bold text-white">{t('home.sendTitle')}</h2>
+                    <p className="text-xs text-slate-400">{t('home.sendSubtitle')}</p>
                 </div>
             </div>
 
             <div className="space-y-4">
                 <div>
-                     <label className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-1 block">Enter Room Name</label>
+                     <label htmlFor="target-room" className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-1 block">{t('home.enterRoom')}</label>
                     <input
+                    id="target-room"
                     type="text"
-                    placeholder="e.g. vantal-laoag"
+                    placeholder={t('home.roomPlaceholder')}
                     className="w-full bg-slate-900 border border-slate-600 rounded-xl px-4 py-3 text-white placeholder:text-slate-600 focus:outline-none focus:border-emerald-500 transition-colors font-mono"
                     value={targetId}
                     onChange={(e) => setTargetId(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && targetId && connectToHost()}
                     />
                 </div>
                 <button 
-                  onClick={connectToHost}
+                  onClick={() => connectToHost()}
                   disabled={!targetId}
                   className="w-full bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50 disabled:cursor-not-allowed text-white font-bold py-3 rounded-xl transition-colors shadow-lg shadow-emerald-900/20"
                 >
-                  Connect
+                  {t('home.connect')}
                 </button>
+                {recentRooms.length > 0 && (
+                  <div>
+                    <span className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-2 flex items-center">
+                      <History className="w-3 h-3 mr-1" /> {t('home.recentRooms')}
+                    </span>
+                    <div className="flex flex-wrap gap-2" role="group" aria-label={t('home.recentRooms')}>
+                      {recentRooms.map(entry => (
+                        <span key={entry.room} className="flex items-center bg-slate-900 border border-slate-700 rounded-full text-xs font-mono text-slate-300">
+                          <button
+                            onClick={() => joinRecentRoom(entry)}
+                            className="pl-3 pr-1 py-1.5 hover:text-emerald-400"
+                            title={entry.signal ? t('home.rejoinVia', { host: entry.signal.host }) : t('home.rejoin')}
+                          >
+                            {entry.room}
+                          </button>
+                          <button
+                            onClick={() => setRecentRooms(forgetRoom(entry.room))}
+                            className="pr-2 pl-1 py-1.5 text-slate-600 hover:text-red-400"
+                            title={t('home.forgetRoom')}
+                            aria-label={`${t('home.forgetRoom')}: ${entry.room}`}
+                          >
+                            <X className="w-3 h-3" />
+                          </button>
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                )}
             </div>
           </div>
+
+          <div className="col-span-1 md:col-span-2">
+            <button
+              onClick={() => setShowNetwork(!showNetwork)}
+              aria-expanded={showNetwork}
+              className="mx-auto flex items-center text-xs text-slate-500 hover:text-slate-300 transition-colors"
+            >
+              <Settings className="w-4 h-4 mr-1" aria-hidden="true" />
+              {t('network.toggle')} • <span className="font-mono ml-1">{signaling.host ? `${signaling.host}${signaling.port ? `:${signaling.port}` : ''}${signaling.path}` : t('network.cloud')}</span>
+            </button>
+            {showNetwork && (
+              <div className="mt-4 bg-slate-800 border-2 border-slate-700 rounded-3xl p-6 grid grid-cols-1 sm:grid-cols-4 gap-4 text-sm">
+                <div className="sm:col-span-2">
+                  <label htmlFor="signal-host" className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-1 block">{t('network.host')}</label>
+                  <input
+                    id="signal-host"
+                    type="text"
+                    placeholder={t('network.hostPlaceholder')}
+                    value={signaling.host}
+                    onChange={(e) => updateSignaling({ host: e.target.value.trim() })}
+                    className="w-full bg-slate-900 border border-slate-600 rounded-xl px-4 py-2 text-white placeholder:text-slate-600 focus:outline-none focus:border-blue-500 font-mono"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="signal-port" className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-1 block">{t('network.port')}</label>
+                  <input
+                    id="signal-port"
+                    type="number"
+                    min="1"
+                    placeholder="9000"
+                    value={signaling.port}
+                    onChange={(e) => updateSignaling({ port: e.target.value })}
+                    className="w-full bg-slate-900 border border-slate-600 rounded-xl px-4 py-2 text-white placeholder:text-slate-600 focus:outline-none focus:border-blue-500 font-mono"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="signal-path" className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-1 block">{t('network.path')}</label>
+                  <input
+                    id="signal-path"
+                    type="text"
+                    placeholder={DEFAULT_PEER_PATH}
+                    value={signaling.path}
+                    onChange={(e) => updateSignaling({ path: e.target.value.trim() })}
+                    className="w-full bg-slate-900 border border-slate-600 rounded-xl px-4 py-2 text-white placeholder:text-slate-600 focus:outline-none focus:border-blue-500 font-mono"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="signal-secure" className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-1 block">{t('network.secure')}</label>
+                  <select
+                    id="signal-secure"
+                    value={signaling.secure === null || signaling.secure === undefined ? 'auto' : String(signaling.secure)}
+                    onChange={(e) => updateSignaling({ secure: e.target.value === 'auto' ? null : e.target.value === 'true' })}
+                    className="w-full bg-slate-900 border border-slate-600 rounded-xl px-4 py-2 text-white focus:outline-none focus:border-blue-500"
+                  >
+                    <option value="auto">{t('network.matchPage')}</option>
+                    <option value="true">{t('network.yes')}</option>
+                    <option value="false">{t('network.no')}</option>
+                  </select>
+                </div>
+                <div className="sm:col-span-3">
+                  <label htmlFor="ice-servers" className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-1 block">{t('network.ice')}</label>
+                  <textarea
+                    id="ice-servers"
+                    rows={3}
+                    placeholder={'stun:stun.l.google.com:19302\nturn:turn.example.com:3478 username password'}
+                    value={signaling.iceServers}
+                    onChange={(e) => updateSignaling({ iceServers: e.target.value })}
+                    className="w-full bg-slate-900 border border-slate-600 rounded-xl px-4 py-2 text-white placeholder:text-slate-600 focus:outline-none focus:border-blue-500 font-mono text-xs"
+                  />
+                </div>
+                <div className="sm:col-span-4 flex items-center justify-between">
+                  <p className="text-xs text-slate-500">{t('network.selfHostBefore')} <code className="text-slate-300">npm run signal</code> {t('network.selfHostAfter')}</p>
+                  <div className="flex items-center space-x-2 flex-shrink-0">
+                    <button onClick={resetNetworkSettings} className="px-3 py-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-700 text-xs font-bold transition-colors">
+                      {t('network.reset')}
+                    </button>
+                    <button onClick={saveNetworkSettings} className="px-3 py-2 rounded-lg bg-blue-600 hover:bg-blue-500 text-white text-xs font-bold transition-colors flex items-center">
+                      {networkSaved && <Check className="w-3 h-3 mr-1" />} {t('common.save')}
+                    </button>
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
         </div>
       </div>
     );
@@ -445,62 +903,494 @@ export default function App() {
 
   // --- HOST SCREEN ---
   if (role === 'host') {
+    const feed = [...files, ...snippets].sort((a, b) => b.receivedAt - a.receivedAt);
+    const visibleFiles = feed.filter(item => matchesHistoryFilter(item, historyFilter));
+    const zippableVisible = visibleFiles.filter(file => file.blob);
+    const selectedFiles = files.filter(file => selectedIds.includes(file.id));
+    const previewable = previewableFiles(files, historyFilter);
     return (
       <div className="min-h-screen bg-slate-950 text-slate-200 p-6 font-sans">
-        <DebugConsole />
+        {renderDebugConsole()}
+        {renderAnnouncer()}
         <LogToggle />
+        {renderPreview(previewable)}
         <header className="max-w-3xl mx-auto flex items-center justify-between mb-8 sticky top-0 bg-slate-950/90 backdrop-blur-md z-10 py-4 border-b border-slate-800/50">
           <div className="flex items-center space-x-3">
              <div className="bg-blue-600 p-2 rounded-lg">
                 <Monitor className="w-5 h-5 text-white" />
              </div>
              <div>
-                <h1 className="font-bold text-lg leading-none">{customId}</h1>
-                <p className="text-xs text-slate-400 flex items-center mt-1">
-                   <span className={`w-2 h-2 rounded-full mr-2 ${conn ? 'bg-green-500 animate-pulse' : 'bg-yellow-500'}`}></span>
-                   {conn ? 'Sender Connected' : 'Waiting for Sender...'}
-                </p>
+                <h1 className="font-bold text-lg leading-none flex items-center">
+                  {customId}
+                  {roomPin && <Lock className="w-4 h-4 ml-2 text-slate-500"/>}
+                </h1>
+                {hostMode === 'counter' ? (
+                  <p className="text-xs text-slate-400 flex items-center mt-1">
+                     <span className={`w-2 h-2 rounded-full mr-2 ${counterLink === 'connected' ? 'bg-green-500' : 'bg-yellow-500 animate-pulse'}`}></span>
+                     {counterLink === 'connected' ? t('host.counterLinked')
+                       : counterLink === 'pin' ? t('host.counterPin')
+                       : counterLink === 'offline' ? t('host.counterOffline')
+                       : t('host.counterConnecting')}
+                  </p>
+                ) : (
+                  <p className="text-xs text-slate-400 flex items-center mt-1">
+                     <span className={`w-2 h-2 rounded-full mr-2 ${senders.length > 0 ? 'bg-green-500 animate-pulse' : 'bg-yellow-500'}`}></span>
+                     {senders.length > 0
+                       ? t('host.senders', { count: senders.length })
+                       : t('host.waiting')}
+                     {counters.length > 0 && ` • ${t('host.extraCounters', { count: counters.length })}`}
+                  </p>
+                )}
              </div>
           </div>
-          <button 
-            onClick={destroyHost}
-            className="p-2 text-slate-500 hover:text-red-400 hover:bg-red-900/20 rounded-lg transition-all"
-            title="Stop Hosting"
-          >
-            <Power className="w-5 h-5" />
-          </button>
+          {senders.length > 0 && (
+            <div className="flex items-center space-x-2 overflow-x-auto max-w-[50%]" role="group" aria-label={t('host.sendersLabel')}>
+              <Users className="w-4 h-4 text-slate-500 flex-shrink-0" aria-hidden="true" />
+              {senders.map(s => (
+                <span
+                  key={s.id}
+                  className="flex-shrink-0 bg-slate-800 border border-slate-700 rounded-full px-3 py-1 text-xs font-mono text-slate-300"
+                  title={t('host.connectedAt', { time: s.connectedAt })}
+                >
+                  {!s.authed && <Lock className="w-3 h-3 inline mr-1 text-amber-400" />}
+                  {s.id.slice(0, 8)} <span className="text-slate-500">• {s.fileCount}</span>
+                  {s.fingerprint && <span className="text-emerald-400 ml-1" title={t('host.securityCode')}>• {s.fingerprint}</span>}
+                  {s.authed && (
+                    <button onClick={() => pickReturnFiles(s.id)} className="ml-2 text-slate-400 hover:text-blue-400 align-middle" title={t('host.sendBack')} aria-label={`${t('host.sendBack')}: ${s.id.slice(0, 8)}`}>
+                      <Send className="w-3 h-3 inline" />
+                    </button>
+                  )}
+                </span>
+              ))}
+              <input type="file" multiple ref={returnInput} onChange={sendBack} className="hidden" />
+            </div>
+          )}
+          <div className="flex items-center space-x-1">
+            {renderLanguagePicker(true)}
+            {notificationsSupported() && (
+              <button
+                onClick={toggleNotifications}
+                className={`p-2 rounded-lg transition-all ${notifyOn ? 'text-blue-400 bg-blue-900/20' : 'text-slate-500 hover:text-white hover:bg-slate-800'}`}
+                title={notifyOn ? t('host.notifyOn') : t('host.notifyOff')}
+                aria-label={notifyOn ? t('host.notifyOn') : t('host.notifyOff')}
+              >
+                {notifyOn ? <Bell className="w-5 h-5" /> : <BellOff className="w-5 h-5" />}
+              </button>
+            )}
+            <button
+              onClick={() => setShowJoin(!showJoin)}
+              className={`p-2 rounded-lg transition-all ${showJoin ? 'text-blue-400 bg-blue-900/20' : 'text-slate-500 hover:text-white hover:bg-slate-800'}`}
+              title={t('host.joinQr')}
+              aria-label={t('host.joinQr')}
+              aria-pressed={showJoin}
+            >
+              <QrCode className="w-5 h-5" />
+            </button>
+            {hostMode === 'main' && (
+              <button
+                onClick={() => setShowPolicy(!showPolicy)}
+                className={`p-2 rounded-lg transition-all ${showPolicy ? 'text-blue-400 bg-blue-900/20' : 'text-slate-500 hover:text-white hover:bg-slate-800'}`}
+                title={t('host.policies')}
+                aria-label={t('host.policies')}
+                aria-pressed={showPolicy}
+              >
+                <SlidersHorizontal className="w-5 h-5" />
+              </button>
+            )}
+            <button 
+              onClick={destroyHost}
+              className="p-2 text-slate-500 hover:text-red-400 hover:bg-red-900/20 rounded-lg transition-all"
+              title={t('host.stop')}
+              aria-label={t('host.stop')}
+            >
+              <Power className="w-5 h-5" />
+            </button>
+          </div>
         </header>
 
         <main className="max-w-3xl mx-auto space-y-4">
-           {files.length === 0 ? (
+           {hostMode === 'main' && counters.length > 0 && (
+             <div className="bg-slate-900 rounded-xl p-4 border border-slate-800 flex flex-wrap items-center gap-2">
+               <span className="text-xs font-bold uppercase text-slate-400 flex items-center mr-2"><Monitor className="w-3 h-3 mr-1" /> {t('host.counters')}</span>
+               {counters.map(c => (
+                 <span key={c.id} className="bg-slate-800 border border-slate-700 rounded-full px-3 py-1 text-xs font-mono text-slate-300" title={t('host.joinedAt', { time: c.connectedAt })}>
+                   {!c.authed && <Lock className="w-3 h-3 inline mr-1 text-amber-400" />}
+                   {c.id.slice(0, 8)} <span className="text-slate-500">• {c.fileCount}</span>
+                   {c.authed && !c.accepted && (
+                     <>
+                       <span className="ml-2 text-amber-400">{t('host.counterRequest')}</span>
+                       <button onClick={() => acceptCounter(c.id)} className="ml-2 text-emerald-400 hover:text-emerald-300 align-middle" title={t('host.acceptCounter')} aria-label={`${t('host.acceptCounter')}: ${c.id.slice(0, 8)}`}>
+                         <Check className="w-3 h-3" />
+                       </button>
+                       <button onClick={() => declineCounter(c.id)} className="ml-1 text-red-400 hover:text-red-300 align-middle" title={t('host.declineCounter')} aria-label={`${t('host.declineCounter')}: ${c.id.slice(0, 8)}`}>
+                         <X className="w-3 h-3" />
+                       </button>
+                     </>
+                   )}
+                 </span>
+               ))}
+               <label className="ml-auto text-xs text-slate-400 flex items-center">
+                 {t('host.newFiles')}
+                 <select
+                   value={routing}
+                   onChange={(e) => setRouting(e.target.value)}
+                   className="ml-2 bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-slate-200"
+                 >
+                   {ROUTING_MODES.map(mode => <option key={mode} value={mode}>{t(`routing.${mode}`)}</option>)}
+                 </select>
+               </label>
+             </div>
+           )}
+
+           {returnTransfers.length > 0 && (
+             <div className="bg-slate-900 rounded-xl p-4 border border-slate-800">
+               <div className="flex items-center justify-between mb-2">
+                 <span className="text-xs font-bold uppercase text-slate-400 flex items-center"><Send className="w-3 h-3 mr-1" /> {t('host.sentToCustomers')}</span>
+                 {returnTransfers.some(transfer => ['verified', 'failed', 'cancelled'].includes(transfer.status)) && (
+                   <button
+                     onClick={() => setReturnTransfers(prev => prev.filter(transfer => !['verified', 'failed', 'cancelled'].includes(transfer.status)))}
+                     className="text-xs text-slate-500 hover:text-white"
+                   >
+                     {t('common.clearFinished')}
+                   </button>
+                 )}
+               </div>
+               <ul className="space-y-2">
+                 {returnTransfers.map(transfer => (
+                   <li key={transfer.id} className="text-xs">
+                     <div className="flex items-center justify-between">
+                       <span className="text-white truncate mr-2">{transfer.name} <span className="text-slate-500 font-mono">→ {transfer.senderId.slice(0, 8)}</span></span>
+                       <span className={`font-bold uppercase text-[10px] flex-shrink-0 ${
+                         transfer.status === 'verified' ? 'text-emerald-400' : transfer.status === 'failed' ? 'text-red-400' : 'text-blue-400'
+                       }`} title={tReason(transfer.error)}>
+                         {transfer.status === 'sending' ? `${transfer.progress}%` : t(`stage.${transfer.status}`)}
+                       </span>
+                     </div>
+                     {transfer.status === 'sending' && (
+                       <div className="w-full bg-slate-800 rounded-full h-1 mt-1 overflow-hidden" role="progressbar" aria-valuemin={0} aria-valuemax={100} aria-valuenow={transfer.progress} aria-label={transfer.name}>
+                         <div className="bg-blue-500 h-1 transition-all duration-300" style={{ width: `${transfer.progress}%` }}></div>
+                       </div>
+                     )}
+                     {transfer.status === 'failed' && transfer.error && <p className="text-red-400/80 mt-0.5">{tReason(transfer.error)}</p>}
+                   </li>
+                 ))}
+               </ul>
+             </div>
+           )}
+
+           {showJoin && feed.length > 0 && (
+             <div className="bg-slate-900 rounded-xl p-4 border border-slate-800">
+               <JoinPanel />
+             </div>
+           )}
+
+           {showPolicy && (
+             <div className="bg-slate-900 rounded-xl p-4 border border-slate-800 grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm">
+               <label className="flex items-center space-x-2 sm:col-span-2 cursor-pointer">
+                 <input
+                   type="checkbox"
+                   checked={policy.requireApproval}
+                   onChange={(e) => setPolicy({ ...policy, requireApproval: e.target.checked })}
+                   className="accent-blue-500"
+                 />
+                 <span className="text-slate-300">{t('policy.approval')}</span>
+               </label>
+               <div>
+                 <label htmlFor="policy-max-size" className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-1 block">{t('policy.maxSize')}</label>
+                 <input
+                   id="policy-max-size"
+                   type="number"
+                   min="0"
+                   placeholder={t('policy.noLimit')}
+                   value={policy.maxSizeMB}
+                   onChange={(e) => setPolicy({ ...policy, maxSizeMB: e.target.value })}
+                   className="w-full bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 text-white placeholder:text-slate-600 focus:outline-none focus:border-blue-500"
+                 />
+               </div>
+               <div>
+                 <label htmlFor="policy-max-files" className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-1 block">{t('policy.maxFiles')}</label>
+                 <input
+                   id="policy-max-files"
+                   type="number"
+                   min="0"
+                   placeholder={t('policy.noLimit')}
+                   value={policy.maxFilesPerSender}
+                   onChange={(e) => setPolicy({ ...policy, maxFilesPerSender: e.target.value })}
+                   aria-describedby="policy-max-files-hint"
+                   className="w-full bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 text-white placeholder:text-slate-600 focus:outline-none focus:border-blue-500"
+                 />
+                 <p id="policy-max-files-hint" className="mt-1 text-[11px] text-slate-500">{t('policy.maxFilesHint')}</p>
+               </div>
+               <div className="sm:col-span-2">
+                 <label htmlFor="policy-types" className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-1 block">{t('policy.allowedTypes')}</label>
+                 <input
+                   id="policy-types"
+                   type="text"
+                   placeholder={t('policy.allowedPlaceholder')}
+                   value={policy.allowedTypes}
+                   onChange={(e) => setPolicy({ ...policy, allowedTypes: e.target.value })}
+                   className="w-full bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 text-white placeholder:text-slate-600 focus:outline-none focus:border-blue-500 font-mono"
+                 />
+               </div>
+             </div>
+           )}
+
+           {approvals.map(approval => (
+             <div key={`${approval.senderId}:${approval.fileId}`} className="bg-amber-950/30 rounded-xl p-4 flex items-center justify-between border border-amber-700/50" role="group" aria-label={t('approval.title')}>
+               <div className="min-w-0 mr-4">
+                 <p className="text-xs font-bold uppercase text-amber-400 mb-1">{t('approval.title')}</p>
+                 <h3 className="font-bold text-white truncate" title={approval.start.path || approval.start.name}>{approval.start.path || approval.start.name}</h3>
+                 <p className="text-xs text-slate-400">
+                   {formatBytes(approval.start.size)} • {approval.start.mime || t('common.unknownType')} • <span className="font-mono">{t('common.from', { peer: approval.senderId.slice(0, 8) })}</span>
+                 </p>
+                 {approval.start.job && (
+                   <p className="text-xs text-slate-300 flex items-center"><Printer className="w-3 h-3 mr-1" /> {describeJob(approval.start.job, t)}{approval.start.job.note && ` — “${approval.start.job.note}”`}</p>
+                 )}
+                 {approval.start.transform && (
+                   <p className="text-xs text-slate-500">{t('approval.resizedFrom', { size: formatBytes(approval.start.transform.originalSize), name: approval.start.transform.originalName })}</p>
+                 )}
+               </div>
+               <div className="flex items-center space-x-2 flex-shrink-0">
+                 <button
+                   onClick={() => resolveApproval(approval, true)}
+                   className="bg-emerald-600 hover:bg-emerald-500 text-white px-3 py-2 rounded-lg text-sm font-bold transition-colors flex items-center"
+                 >
+                   <Check className="w-4 h-4 mr-1" /> {t('approval.accept')}
+                 </button>
+                 <button
+                   onClick={() => resolveApproval(approval, false)}
+                   className="bg-slate-800 hover:bg-red-900/40 text-slate-300 hover:text-red-300 px-3 py-2 rounded-lg text-sm font-bold transition-colors flex items-center"
+                 >
+                   <Ban className="w-4 h-4 mr-1" /> {t('approval.decline')}
+                 </button>
+               </div>
+             </div>
+           ))}
+
+           {feed.length === 0 ? (
              <div className="border-2 border-dashed border-slate-800 rounded-2xl p-16 text-center animate-in fade-in zoom-in-95">
                 <Wifi className="w-16 h-16 mx-auto mb-6 text-slate-700" />
-                <h3 className="text-2xl font-bold text-slate-700">Ready to Receive</h3>
-                <p className="text-slate-500 mt-2">Files will appear here <span className="text-white">after</span> upload completes.</p>
-                <button onClick={() => setShowLogs(true)} className="mt-4 text-xs text-blue-500 underline">Show System Logs</button>
+                <h3 className="text-2xl font-bold text-slate-700">{t('host.ready')}</h3>
+                <p className="text-slate-500 mt-2">{t('host.readyHint')}</p>
+                <div className="mt-8 inline-block">
+                  <JoinPanel />
+                </div>
+                <button onClick={() => setShowLogs(true)} className="mt-4 text-xs text-blue-500 underline">{t('host.showLogs')}</button>
              </div>
            ) : (
-             files.map(file => (
-               <div key={file.id} className="bg-slate-900 rounded-xl p-4 flex items-center justify-between border border-slate-800 hover:border-blue-500/50 transition-colors animate-in slide-in-from-bottom-2">
-                 <div className="flex items-center space-x-4 overflow-hidden">
+             <>
+               <div className="flex flex-col sm:flex-row gap-2">
+                 <div className="relative flex-1">
+                   <Search className="w-4 h-4 text-slate-500 absolute left-3 top-2.5" />
+                   <input
+                     type="text"
+                     placeholder={t('history.search')}
+                     aria-label={t('history.search')}
+                     value={historyFilter.query}
+                     onChange={(e) => setHistoryFilter({ ...historyFilter, query: e.target.value })}
+                     className="w-full bg-slate-900 border border-slate-800 rounded-lg pl-9 pr-3 py-2 text-sm text-white placeholder:text-slate-600 focus:outline-none focus:border-blue-500"
+                   />
+                 </div>
+                 <select
+                   value={historyFilter.category}
+                   onChange={(e) => setHistoryFilter({ ...historyFilter, category: e.target.value })}
+                   aria-label={t('history.type')}
+                   className="bg-slate-900 border border-slate-800 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-blue-500"
+                 >
+                   {FILE_CATEGORIES.map(category => <option key={category} value={category}>{t(`category.${category}`)}</option>)}
+                 </select>
+                 <select
+                   value={historyFilter.date}
+                   onChange={(e) => setHistoryFilter({ ...historyFilter, date: e.target.value })}
+                   aria-label={t('history.date')}
+                   className="bg-slate-900 border border-slate-800 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-blue-500"
+                 >
+                   {Object.keys(DATE_RANGES).map(range => <option key={range} value={range}>{t(`date.${range}`)}</option>)}
+                 </select>
+               </div>
+               <p className="text-xs text-slate-500 flex items-center">
+                 <Database className="w-3 h-3 mr-1" />
+                 {t('history.count', { shown: visibleFiles.length, total: feed.length })}
+                 {storageUsage && storageUsage.quota > 0 && ` • ${t('history.storage', { used: formatBytes(storageUsage.usage), quota: formatBytes(storageUsage.quota) })}`}
+               </p>
+               <div className="flex flex-wrap items-center gap-2">
+                 <label className="flex items-center space-x-2 text-xs text-slate-400 mr-auto cursor-pointer">
+                   <input
+                     type="checkbox"
+                     checked={zippableVisible.length > 0 && zippableVisible.every(f => selectedIds.includes(f.id))}
+                     onChange={(e) => setSelectedIds(e.target.checked
+                       ? [...new Set([...selectedIds, ...zippableVisible.map(f => f.id)])]
+                       : selectedIds.filter(id => !zippableVisible.some(f => f.id === id)))}
+                     className="accent-blue-500"
+                   />
+                   <span>{t('history.selectAll')}</span>
+                 </label>
+                 {zipProgress ? (
+                   <span className="text-xs text-blue-400 flex items-center" role="status">
+                     <Loader2 className="w-3 h-3 mr-1 animate-spin" /> {t('history.zipping', { done: zipProgress.done, total: zipProgress.total })}
+                   </span>
+                 ) : (
+                   <>
+                     <button
+                       onClick={() => downloadZip(selectedFiles)}
+                       disabled={selectedFiles.length === 0}
+                       className="bg-slate-800 hover:bg-slate-700 disabled:opacity-40 disabled:hover:bg-slate-800 text-white px-3 py-2 rounded-lg text-xs font-bold transition-colors flex items-center"
+                     >
+                       <Archive className="w-4 h-4 mr-1" /> {t('history.downloadSelected', { count: selectedFiles.length })}
+                     </button>
+                     <button
+                       onClick={() => downloadZip(files)}
+                       className="bg-blue-600 hover:bg-blue-500 text-white px-3 py-2 rounded-lg text-xs font-bold transition-colors flex items-center"
+                     >
+                       <Archive className="w-4 h-4 mr-1" /> {t('history.downloadAll')}
+                     </button>
+                   </>
+                 )}
+               </div>
+               {visibleFiles.length === 0 && (
+                 <p className="text-sm text-slate-500 text-center py-8">{t('history.noMatch')}</p>
+               )}
+             {visibleFiles.map(file => file.kind === 'snippet' ? (
+               <div key={file.id} className="bg-slate-900 rounded-xl p-4 flex items-start justify-between border border-slate-800 hover:border-blue-500/50 transition-colors animate-in slide-in-from-bottom-2">
+                 <div className="flex items-start space-x-4 min-w-0">
                    <div className="bg-slate-800 p-3 rounded-lg flex-shrink-0">
-                     <FileText className="w-6 h-6 text-blue-400" />
+                     <MessageSquare className="w-6 h-6 text-emerald-400" />
                    </div>
                    <div className="min-w-0">
-                     <h3 className="font-bold text-white truncate max-w-[200px]">{file.name}</h3>
-                     <p className="text-xs text-slate-500">{file.size} • {file.timestamp}</p>
+                     {isLink(file.text) ? (
+                       <a href={file.text.trim()} target="_blank" rel="noopener noreferrer" className="text-blue-400 hover:underline break-all text-sm flex items-center">
+                         {file.text.trim()} <ExternalLink className="w-3 h-3 ml-1 flex-shrink-0" />
+                       </a>
+                     ) : (
+                       <p className="text-sm text-white whitespace-pre-wrap break-words max-h-40 overflow-y-auto">{file.text}</p>
+                     )}
+                     <p className="text-xs text-slate-500 mt-1">{t('snippet.meta', { time: file.timestamp })}</p>
+                     <p className="text-xs text-slate-600 font-mono truncate">{t('common.from', { peer: file.sender.slice(0, 8) })}</p>
                    </div>
                  </div>
-                 <a 
-                   href={file.url} 
-                   download={file.name}
-                   className="flex-shrink-0 bg-blue-600 hover:bg-blue-500 text-white px-4 py-2 rounded-lg text-sm font-bold transition-colors flex items-center space-x-2 shadow-lg shadow-blue-900/20"
+                 <button
+                   onClick={() => copySnippet(file)}
+                   className="flex-shrink-0 ml-2 bg-slate-800 hover:bg-slate-700 text-white px-3 py-2 rounded-lg text-sm font-bold transition-colors flex items-center"
+                   title={t('snippet.copy')}
                  >
-                   <Download className="w-4 h-4" />
-                   <span>Save</span>
-                 </a>
+                   {copiedSnippet === file.id ? <Check className="w-4 h-4 text-emerald-400" /> : <Copy className="w-4 h-4" />}
+                   <span className="ml-1">{copiedSnippet === file.id ? t('common.copied') : t('common.copy')}</span>
+                 </button>
                </div>
-             ))
+             ) : (
+               <div key={file.id} className="bg-slate-900 rounded-xl p-4 flex items-center justify-between border border-slate-800 hover:border-blue-500/50 transition-colors animate-in slide-in-from-bottom-2">
+                 <div className="flex items-center space-x-4 overflow-hidden">
+                   <input
+                     type="checkbox"
+                     checked={selectedIds.includes(file.id)}
+                     onChange={() => toggleSelected(file.id)}
+                     disabled={!file.blob}
+                     title={file.blob ? t('file.selectForZip', { name: file.name }) : t('file.inFolder')}
+                     aria-label={t('file.selectForZip', { name: file.name })}
+                     className="accent-blue-500 flex-shrink-0"
+                   />
+                   {renderThumbnail(file)}
+                   <div className="min-w-0">
+                     <div className="flex items-center space-x-2">
+                       <h3 className="font-bold text-white truncate max-w-[200px]">{file.name}</h3>
+                       {file.verified ? (
+                         <span className="flex-shrink-0 flex items-center text-[10px] font-bold uppercase text-emerald-400 bg-emerald-900/30 px-2 py-0.5 rounded-full" title={`sha256 ${file.hash}`}>
+                           <ShieldCheck className="w-3 h-3 mr-1" /> {t('file.verified')}
+                         </span>
+                       ) : (
+                         <span className="flex-shrink-0 flex items-center text-[10px] font-bold uppercase text-red-400 bg-red-900/30 px-2 py-0.5 rounded-full" title={tReason(file.problem)}>
+                           <ShieldAlert className="w-3 h-3 mr-1" /> {t('file.corrupted')}
+                         </span>
+                       )}
+                     </div>
+                     {file.path !== file.name && (
+                       <p className="text-xs text-slate-400 font-mono truncate max-w-[260px]" title={file.path}>{file.path}</p>
+                     )}
+                     <p className="text-xs text-slate-500">{file.size} • {file.timestamp}</p>
+                     {file.encrypted && (
+                       <p className="text-xs text-slate-500 flex items-center"><Lock className="w-3 h-3 mr-1" /> {t('file.encrypted')}</p>
+                     )}
+                     {file.transform && (
+                       <p className="text-xs text-slate-500 flex items-center" title={t('file.original', { name: file.transform.originalName })}>
+                         <ImageDown className="w-3 h-3 mr-1" /> {t('file.resized', { size: formatBytes(file.transform.originalSize) })}
+                       </p>
+                     )}
+                     {file.job && (
+                       <div className="mt-1 bg-slate-800/60 rounded-lg px-2 py-1.5">
+                         <p className="text-xs text-slate-300 flex items-center"><Printer className="w-3 h-3 mr-1" /> {describeJob(file.job, t)}</p>
+                         {file.job.note && <p className="text-xs text-slate-400 italic break-words">“{file.job.note}”</p>}
+                         <div className="mt-1 flex flex-wrap gap-1" role="group" aria-label={t('file.jobStatus')}>
+                           {JOB_STATUSES.map(status => (
+                             <button
+                               key={status}
+                               onClick={() => setJobStatus(file, status)}
+                               disabled={file.jobStatus === status}
+                               aria-pressed={file.jobStatus === status}
+                               className={`text-[10px] font-bold uppercase px-2 py-0.5 rounded-full transition-colors ${
+                                 file.jobStatus === status
+                                   ? 'bg-emerald-500 text-white'
+                                   : 'bg-slate-700 text-slate-400 hover:bg-slate-600 hover:text-white'
+                               }`}
+                             >
+                               {t(`job.status.${status}`)}
+                             </button>
+                           ))}
+                         </div>
+                       </div>
+                     )}
+                     {file.savedToFolder && (
+                       <p className="text-xs text-slate-500 flex items-center"><HardDrive className="w-3 h-3 mr-1" /> {t('file.savedTo', { folder: file.folderName || saveFolderName })}</p>
+                     )}
+                     <p className="text-xs text-slate-600 font-mono truncate">{t('common.from', { peer: file.sender.slice(0, 8) })}</p>
+                     {file.assignedTo && file.assignedTo.length > 0 && (
+                       <p className="text-xs text-blue-400 font-mono truncate">{t('file.toCounter', { ids: file.assignedTo.map(id => id.slice(0, 8)).join(', ') })}</p>
+                     )}
+                     {hostMode === 'main' && file.blob && counters.some(isLinkedCounter) && (
+                       <select
+                         value=""
+                         onChange={(e) => e.target.value && relayToCounter(file, e.target.value)}
+                         aria-label={t('file.sendToCounter')}
+                         className="mt-1 bg-slate-950 border border-slate-700 rounded-lg px-2 py-0.5 text-xs text-slate-300"
+                       >
+                         <option value="">{t('file.sendToCounter')}</option>
+                         {counters.filter(isLinkedCounter).map(c => <option key={c.id} value={c.id}>{c.id.slice(0, 8)}</option>)}
+                       </select>
+                     )}
+                   </div>
+                 </div>
+                 <div className="flex items-center space-x-2 flex-shrink-0">
+                   {previewKind(file) && (
+                     <button
+                       onClick={() => setPreviewId(file.id)}
+                       className="p-2 text-slate-400 hover:text-white hover:bg-slate-800 rounded-lg transition-all"
+                       title={t('common.preview')}
+                       aria-label={`${t('common.preview')}: ${file.name}`}
+                     >
+                       <Eye className="w-4 h-4" />
+                     </button>
+                   )}
+                   {file.url && (
+                     <a 
+                       href={file.url} 
+                       download={file.name}
+                       className="bg-blue-600 hover:bg-blue-500 text-white px-4 py-2 rounded-lg text-sm font-bold transition-colors flex items-center space-x-2 shadow-lg shadow-blue-900/20"
+                     >
+                       <Download className="w-4 h-4" />
+                       <span>{t('common.save')}</span>
+                     </a>
+                   )}
+                   <button
+                     onClick={() => deleteFile(file)}
+                     className="p-2 text-slate-500 hover:text-red-400 hover:bg-red-900/20 rounded-lg transition-all"
+                     title={t('file.delete')}
+                     aria-label={`${t('file.delete')}: ${file.name}`}
+                   >
+                     <Trash2 className="w-4 h-4" />
+                   </button>
+                 </div>
+               </div>
+             ))}
+             </>
            )}
         </main>
       </div>
@@ -509,42 +1399,123 @@ export default function App() {
 
   // --- SENDER SCREEN ---
   if (role === 'sender') {
+    const canSend = conn && authed;
     return (
       <div className="min-h-screen bg-slate-50 text-slate-900 p-6 font-sans flex flex-col items-center justify-center">
-        <DebugConsole />
+        {renderDebugConsole()}
+        {renderAnnouncer()}
         <LogToggle />
         <div className="w-full max-w-md bg-white rounded-3xl shadow-xl p-8 border border-slate-100">
-          
+          <div className="flex justify-end -mt-4 mb-2">{renderLanguagePicker(false)}</div>
+
           <div className="text-center mb-8">
             <div className={`w-16 h-16 rounded-full flex items-center justify-center mx-auto mb-4 ${conn ? 'bg-emerald-100' : 'bg-yellow-100'}`}>
               <Wifi className={`w-8 h-8 ${conn ? 'text-emerald-600' : 'text-yellow-600'}`} />
             </div>
             <h2 className="text-2xl font-bold text-slate-800">
-                {conn ? `Connected to ${targetId}` : 'Connecting...'}
+                {conn ? t('sender.connectedTo', { room: targetRoom.current }) : t('sender.connecting')}
             </h2>
+            {conn && e2e && (e2e.enabled ? (
+              <p className="text-xs text-emerald-700 mt-2 flex items-center justify-center">
+                <ShieldCheck className="w-4 h-4 mr-1" /> {t('sender.encrypted')}
+                <span className="font-mono font-bold ml-1 tracking-wider">{e2e.fingerprint}</span>
+              </p>
+            ) : (
+              <p className="text-xs text-amber-600 mt-2 flex items-center justify-center">
+                <ShieldAlert className="w-4 h-4 mr-1" /> {t('sender.notEncrypted')}
+              </p>
+            ))}
           </div>
 
-          <div className="mb-8">
-            <label className={`
-              relative block w-full aspect-square border-2 border-dashed rounded-3xl flex flex-col items-center justify-center cursor-pointer transition-all duration-300 overflow-hidden
-              ${uploadProgress > 0 
+          {!conn && retryInfo && (
+            <div className={`mb-6 rounded-2xl p-4 border text-sm flex items-center justify-between ${retryInfo.gaveUp ? 'bg-red-50 border-red-100 text-red-700' : 'bg-amber-50 border-amber-100 text-amber-700'}`}>
+              <span className="flex items-center">
+                {retryInfo.gaveUp
+                  ? <><XCircle className="w-4 h-4 mr-2 flex-shrink-0" /> {t('sender.unreachable')}</>
+                  : <><Loader2 className="w-4 h-4 mr-2 flex-shrink-0 animate-spin" /> {t('sender.reconnecting', { attempt: retryInfo.attempt, limit: RETRY_LIMIT })}</>}
+              </span>
+              <button
+                onClick={resumeUpload}
+                className="ml-2 flex-shrink-0 flex items-center text-xs font-bold bg-white border border-current rounded-lg px-3 py-1.5 hover:opacity-80"
+              >
+                <RefreshCw className="w-3 h-3 mr-1" /> {retryInfo.gaveUp ? t('sender.reconnect') : t('sender.retryNow')}
+              </button>
+            </div>
+          )}
+
+          {conn && pinPrompt && (
+            <form onSubmit={submitPin} className="mb-6 bg-slate-50 border border-slate-200 rounded-2xl p-4">
+              <label htmlFor="sender-pin" className="text-xs font-bold text-slate-500 uppercase tracking-wider mb-2 flex items-center">
+                <Lock className="w-3 h-3 mr-1" /> {t('sender.pinNeeded')}
+              </label>
+              <div className="flex space-x-2">
+                <input
+                  id="sender-pin"
+                  type="password"
+                  autoFocus
+                  value={pinInput}
+                  onChange={(e) => setPinInput(e.target.value)}
+                  placeholder={t('sender.pinPlaceholder')}
+                  className="flex-1 min-w-0 bg-white border border-slate-300 rounded-xl px-4 py-2 font-mono focus:outline-none focus:border-emerald-500"
+                />
+                <button
+                  type="submit"
+                  disabled={!pinInput.trim()}
+                  className="bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50 text-white font-bold px-4 rounded-xl transition-colors"
+                >
+                  {t('sender.unlock')}
+                </button>
+              </div>
+              {authError && <p role="alert" className="text-red-500 text-xs mt-2 flex items-center"><XCircle className="w-3 h-3 mr-1" /> {tReason(authError)}</p>}
+            </form>
+          )}
+          {sharedCount > 0 && (
+            <p className="mb-6 bg-emerald-50 border border-emerald-100 rounded-xl px-3 py-2 text-xs text-emerald-700 flex items-center">
+              <Share2 className="w-3 h-3 mr-2 flex-shrink-0" /> {t('sender.sharedWaiting', { count: sharedCount })}
+            </p>
+          )}
+
+          {!pinPrompt && authError && (
+            <p className="mb-6 text-red-500 text-sm text-center flex items-center justify-center"><XCircle className="w-4 h-4 mr-1" /> {tReason(authError)}</p>
+          )}
+
+          <div className="mb-8" role="region" aria-label={t('sender.uploadZone')}>
+            <label
+              onDragOver={(e) => { e.preventDefault(); if (canSend) setDragActive(true); }}
+              onDragLeave={() => setDragActive(false)}
+              onDrop={handleDrop}
+              className={`
+              relative block w-full aspect-square border-2 border-dashed rounded-3xl flex flex-col items-center justify-center cursor-pointer transition-all duration-300 overflow-hidden focus-within:ring-4 focus-within:ring-emerald-300
+              ${dragActive
+                  ? 'border-emerald-500 bg-emerald-50 shadow-lg'
+                  : uploadProgress > 0 
                   ? 'border-blue-500 bg-blue-50' 
-                  : conn 
+                  : canSend 
                     ? 'border-slate-300 hover:border-emerald-500 hover:bg-emerald-50 hover:shadow-lg hover:-translate-y-1' 
                     : 'border-slate-200 bg-slate-50 cursor-not-allowed opacity-50'
                }
             `}>
               <input 
                 type="file" 
-                className="hidden" 
-                onChange={sendFile} 
-                disabled={!conn || uploadProgress > 0} 
+                multiple
+                className="sr-only" 
+                onChange={handleFileInput} 
+                disabled={!canSend} 
+                aria-label={t('sender.chooseFiles')}
+                aria-describedby="upload-hint"
               />
               
               {uploadProgress > 0 ? (
                 <div className="absolute inset-0 flex flex-col items-center justify-center bg-white/95 z-20">
-                  <div className="w-24 h-24 relative mb-4">
-                     <svg className="w-full h-full" viewBox="0 0 100 100">
+                  <div
+                    className="w-24 h-24 relative mb-4"
+                    role="progressbar"
+                    aria-valuemin={0}
+                    aria-valuemax={100}
+                    aria-valuenow={uploadProgress}
+                    aria-label={t('sender.progress', { name: currentFileName })}
+                  >
+                     <svg className="w-full h-full" viewBox="0 0 100 100" aria-hidden="true">
                         <circle cx="50" cy="50" r="45" fill="none" stroke="#e2e8f0" strokeWidth="8" />
                         <circle cx="50" cy="50" r="45" fill="none" stroke="#3b82f6" strokeWidth="8" strokeDasharray="283" strokeDashoffset={283 - (283 * uploadProgress / 100)} transform="rotate(-90 50 50)" className="transition-all duration-300 ease-out" />
                      </svg>
@@ -552,37 +1523,356 @@ export default function App() {
                   </div>
                   <p className="text-sm font-bold text-slate-800 truncate max-w-[80%] px-4">{currentFileName}</p>
                   
-                  {uploadProgress === 100 ? (
+                  {uploadStage === 'failed' ? (
+                    <div className="mt-2 flex flex-col items-center px-4 text-center">
+                      <p className="text-xs text-red-600 font-bold flex items-center">
+                        <ShieldAlert className="w-3 h-3 mr-1 flex-shrink-0" /> {t('sender.failed')}
+                      </p>
+                      <p className="text-xs text-red-500 mt-1">{tReason(uploadError)}</p>
+                      <button
+                        type="button"
+                        onClick={(e) => { e.preventDefault(); resetUpload(); }}
+                        className="mt-3 bg-slate-200 hover:bg-slate-300 text-slate-700 text-xs font-bold px-4 py-2 rounded-lg transition-colors"
+                      >
+                        {t('sender.dismiss')}
+                      </button>
+                    </div>
+                  ) : uploadStage === 'verified' ? (
                     <p className="text-xs text-green-600 font-bold mt-2 flex items-center animate-bounce">
-                      <CheckCircle className="w-3 h-3 mr-1" /> Sent Successfully!
+                      <CheckCircle className="w-3 h-3 mr-1" /> {t('sender.sent')}
                     </p>
-                  ) : (
+                  ) : uploadStage === 'verifying' ? (
+                    <p className="text-xs text-slate-400 mt-1 flex items-center">
+                      <Loader2 className="w-3 h-3 mr-1 animate-spin" /> {t('sender.verifying')}
+                    </p>
+                  ) : uploadStage === 'awaiting' ? (
+                    <p className="text-xs text-slate-400 mt-1 flex items-center">
+                      <Loader2 className="w-3 h-3 mr-1 animate-spin" /> {t('sender.awaiting')}
+                    </p>
+                  ) : uploadStage === 'compressing' ? (
+                    <p className="text-xs text-slate-400 mt-1 flex items-center">
+                      <Loader2 className="w-3 h-3 mr-1 animate-spin" /> {t('sender.compressing')}
+                    </p>
+                  ) : uploadStage === 'hashing' ? (
                     <p className="text-xs text-slate-400 mt-1 flex items-center">
-                      <Loader2 className="w-3 h-3 mr-1 animate-spin" /> Sending... Please Wait
+                      <Loader2 className="w-3 h-3 mr-1 animate-spin" /> {t('sender.hashing')}
                     </p>
+                  ) : uploadPaused ? (
+                    <div className="mt-2 flex flex-col items-center">
+                      <p className="text-xs text-amber-600 font-bold flex items-center">
+                        <XCircle className="w-3 h-3 mr-1" /> {t('sender.paused')}
+                      </p>
+                      <button
+                        type="button"
+                        onClick={(e) => { e.preventDefault(); resumeUpload(); }}
+                        className="mt-3 bg-blue-600 hover:bg-blue-500 text-white text-xs font-bold px-4 py-2 rounded-lg transition-colors"
+                      >
+                        {t('sender.resume')}
+                      </button>
+                    </div>
+                  ) : (
+                    <>
+                      <p className="text-xs text-slate-400 mt-1 flex items-center">
+                        <Loader2 className="w-3 h-3 mr-1 animate-spin" /> {t('sender.sending')}
+                      </p>
+                      {transferStats && (
+                        <p className="text-xs text-slate-500 mt-1 font-mono">
+                          {formatBytes(transferStats.speed)}/s • {t('sender.eta', { time: formatDuration(transferStats.eta) })}
+                        </p>
+                      )}
+                    </>
                   )}
                 </div>
               ) : (
-                <div className="text-center p-6">
-                  <UploadCloud className={`w-14 h-14 mx-auto mb-4 ${conn ? 'text-slate-400' : 'text-slate-300'}`} />
+                <div className="text-center p-6" id="upload-hint">
+                  <UploadCloud className={`w-14 h-14 mx-auto mb-4 ${canSend ? 'text-slate-400' : 'text-slate-300'}`} aria-hidden="true" />
                   <span className="text-xl font-bold text-slate-700 block">
-                    {conn ? 'Tap to Send' : 'Waiting...'}
+                    {canSend ? t('sender.tapToSend') : t('sender.waiting')}
                   </span>
-                  {conn && <span className="text-xs text-slate-400 mt-2 block font-medium">Images • Video • Docs</span>}
+                  {canSend && <span className="text-xs text-slate-400 mt-2 block font-medium">{t('sender.kinds')}</span>}
+                  {canSend && <span className="text-xs text-slate-400 mt-1 block">{t('sender.dropHint')}</span>}
                 </div>
               )}
             </label>
+
+            <input
+              ref={folderInput}
+              type="file"
+              webkitdirectory=""
+              multiple
+              className="hidden"
+              onChange={handleFileInput}
+              disabled={!canSend}
+            />
+            <button
+              onClick={() => folderInput.current && folderInput.current.click()}
+              disabled={!canSend}
+              className="mt-3 w-full flex items-center justify-center space-x-2 py-2 rounded-xl border border-slate-200 text-slate-500 hover:text-emerald-600 hover:border-emerald-500 disabled:opacity-50 disabled:cursor-not-allowed text-sm font-bold transition-colors"
+            >
+              <FolderOpen className="w-4 h-4" aria-hidden="true" />
+              <span>{t('sender.sendFolder')}</span>
+            </button>
+
+            <div className="mt-3 bg-slate-50 border border-slate-200 rounded-xl px-3 py-2">
+              <label className="flex items-center justify-between text-sm font-bold text-slate-600 cursor-pointer">
+                <span className="flex items-center"><ImageDown className="w-4 h-4 mr-2" /> {t('sender.shrink')}</span>
+                <input
+                  type="checkbox"
+                  checked={imageOptions.enabled}
+                  onChange={(e) => setImageOptions({ ...imageOptions, enabled: e.target.checked })}
+                  className="accent-emerald-500"
+                />
+              </label>
+              {imageOptions.enabled && (
+                <div className="mt-2 grid grid-cols-3 gap-2 text-xs text-slate-500">
+                  <label>
+                    {t('sender.maxSize')}
+                    <select
+                      value={imageOptions.maxDimension}
+                      onChange={(e) => setImageOptions({ ...imageOptions, maxDimension: Number(e.target.value) })}
+                      className="mt-1 w-full bg-white border border-slate-200 rounded-lg px-1 py-1 text-slate-700"
+                    >
+                      {MAX_DIMENSIONS.map(size => <option key={size} value={size}>{size ? `${size} px` : t('sender.original')}</option>)}
+                    </select>
+                  </label>
+                  <label>
+                    {t('sender.format')}
+                    <select
+                      value={imageOptions.type}
+                      onChange={(e) => setImageOptions({ ...imageOptions, type: e.target.value })}
+                      className="mt-1 w-full bg-white border border-slate-200 rounded-lg px-1 py-1 text-slate-700"
+                    >
+                      {IMAGE_FORMATS.filter(f => f.type !== 'image/webp' || supportsWebp()).map(f => (
+                        <option key={f.type} value={f.type}>{f.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    {t('sender.quality', { percent: Math.round(imageOptions.quality * 100) })}
+                    <input
+                      type="range"
+                      min="0.4"
+                      max="0.95"
+                      step="0.05"
+                      value={imageOptions.quality}
+                      onChange={(e) => setImageOptions({ ...imageOptions, quality: Number(e.target.value) })}
+                      className="mt-2 w-full accent-emerald-500"
+                    />
+                  </label>
+                  <p className="col-span-3 text-[11px] text-slate-400">{t('sender.shrinkHint')}</p>
+                </div>
+              )}
+            </div>
+
+            <div className="mt-3 bg-slate-50 border border-slate-200 rounded-xl px-3 py-2">
+              <label className="flex items-center justify-between text-sm font-bold text-slate-600 cursor-pointer">
+                <span className="flex items-center"><Printer className="w-4 h-4 mr-2" /> {t('sender.printToggle')}</span>
+                <input
+                  type="checkbox"
+                  checked={jobForm.enabled}
+                  onChange={(e) => setJobForm({ ...jobForm, enabled: e.target.checked })}
+                  className="accent-emerald-500"
+                />
+              </label>
+              {jobForm.enabled && (
+                <div className="mt-2">
+                  {renderJobFields(jobForm, (changes) => setJobForm({ ...jobForm, ...changes }))}
+                  <p className="mt-2 text-[11px] text-slate-400">{t('sender.printHint')}</p>
+                </div>
+              )}
+            </div>
+
+            <form onSubmit={sendSnippet} className="mt-4">
+              <label htmlFor="snippet" className="text-xs font-bold text-slate-500 uppercase tracking-wider flex items-center mb-2">
+                <MessageSquare className="w-3 h-3 mr-1" /> {t('sender.snippetLabel')}
+              </label>
+              <textarea
+                id="snippet"
+                rows={3}
+                value={snippetText}
+                maxLength={MAX_SNIPPET_LENGTH}
+                onChange={(e) => {
+                  setSnippetText(e.target.value);
+                  if (snippetStatus !== 'sending') setSnippetStatus('');
+                }}
+                placeholder={t('sender.snippetPlaceholder')}
+                disabled={!canSend}
+                className="w-full bg-slate-50 border border-slate-200 rounded-xl px-3 py-2 text-sm text-slate-800 focus:outline-none focus:border-emerald-500 disabled:opacity-50 resize-y"
+              />
+              <div className="mt-2 flex items-center gap-2">
+                <button
+                  type="button"
+                  onClick={pasteSnippet}
+                  disabled={!canSend}
+                  className="flex items-center py-2 px-3 rounded-xl border border-slate-200 text-slate-500 hover:text-emerald-600 hover:border-emerald-500 disabled:opacity-50 disabled:cursor-not-allowed text-sm font-bold transition-colors"
+                >
+                  <Clipboard className="w-4 h-4 mr-1" /> {t('sender.paste')}
+                </button>
+                <button
+                  type="submit"
+                  disabled={!canSend || !snippetText.trim() || snippetStatus === 'sending'}
+                  className="flex-1 flex items-center justify-center py-2 rounded-xl bg-emerald-500 hover:bg-emerald-600 text-white disabled:opacity-50 disabled:cursor-not-allowed text-sm font-bold transition-colors"
+                >
+                  {snippetStatus === 'sending' ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Send className="w-4 h-4 mr-1" />}
+                  {t('sender.sendText')}
+                </button>
+              </div>
+              {snippetStatus === 'sent' && <p className="text-xs text-emerald-600 mt-2 flex items-center"><CheckCircle className="w-3 h-3 mr-1" /> {t('sender.snippetSent')}</p>}
+              {snippetStatus && snippetStatus !== 'sent' && snippetStatus !== 'sending' && (
+                <p role="alert" className="text-xs text-red-500 mt-2">{tReason(snippetStatus)}</p>
+              )}
+            </form>
+
+            {queue.length > 0 && (
+              <div className="mt-4">
+                <div className="flex items-center justify-between mb-2">
+                  <span className="text-xs font-bold text-slate-500 uppercase tracking-wider">
+                    {t('queue.title', { done: queue.filter(i => i.status === 'done').length, total: queue.length })}
+                  </span>
+                  {queue.some(i => i.status === 'done' || i.status === 'failed') && (
+                    <button onClick={clearFinished} className="text-xs text-slate-400 hover:text-slate-700">{t('common.clearFinished')}</button>
+                  )}
+                </div>
+                <ul className="space-y-1 max-h-60 overflow-y-auto">
+                  {queue.map((item, index) => (
+                    <li key={item.id} className="bg-slate-50 border border-slate-100 rounded-lg px-3 py-2 text-xs">
+                      <div className="flex items-center justify-between">
+                        <div className="min-w-0 mr-2">
+                          <p className="font-medium text-slate-700 truncate" title={item.path}>{item.path}</p>
+                          {item.job && (
+                            <p className="text-[10px] text-slate-500 truncate flex items-center">
+                              <Printer className="w-3 h-3 mr-1 flex-shrink-0" /> {describeJob(toPrintJob(item.job), t)}
+                            </p>
+                          )}
+                          {item.transform && (
+                            <p className="text-[10px] text-slate-400">
+                              {formatBytes(item.originalSize)} → {formatBytes(item.file.size)} • {item.transform.width}×{item.transform.height}
+                              {item.file.size >= item.originalSize && ` • ${t('queue.notSmaller')}`}
+                            </p>
+                          )}
+                          <p className={`font-bold uppercase text-[10px] ${
+                            item.status === 'done' ? 'text-emerald-600'
+                              : item.status === 'failed' ? 'text-red-500'
+                              : item.status === 'sending' ? 'text-blue-600'
+                              : 'text-slate-400'
+                          }`} title={tReason(item.error)}>
+                            {t(`queue.status.${item.status}`)}{item.status === 'failed' && item.error ? ` • ${tReason(item.error)}` : ''}
+                          </p>
+                        </div>
+                        <div className="flex items-center flex-shrink-0 text-slate-400">
+                          {item.status === 'queued' && (
+                            <>
+                              <button
+                                onClick={() => setEditingJob(editingJob === item.id ? null : item.id)}
+                                className={`p-1 hover:text-slate-700 ${item.job ? 'text-emerald-600' : ''}`}
+                                title={t('queue.print')}
+                                aria-label={`${t('queue.print')}: ${item.path}`}
+                                aria-expanded={editingJob === item.id}
+                              >
+                                <Printer className="w-4 h-4" />
+                              </button>
+                              <button onClick={() => moveQueueItem(item.id, -1)} disabled={index === 0 || queue[index - 1].status !== 'queued'} className="p-1 hover:text-slate-700 disabled:opacity-30" title={t('queue.up')} aria-label={`${t('queue.up')}: ${item.path}`}>
+                                <ChevronUp className="w-4 h-4" />
+                              </button>
+                              <button onClick={() => moveQueueItem(item.id, 1)} disabled={index === queue.length - 1} className="p-1 hover:text-slate-700 disabled:opacity-30" title={t('queue.down')} aria-label={`${t('queue.down')}: ${item.path}`}>
+                                <ChevronDown className="w-4 h-4" />
+                              </button>
+                            </>
+                          )}
+                          {(item.status === 'queued' || item.status === 'sending') && (
+                            <button onClick={() => cancelQueueItem(item.id)} className="p-1 hover:text-red-500" title={t('queue.cancel')} aria-label={`${t('queue.cancel')}: ${item.path}`}>
+                              <X className="w-4 h-4" />
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                      {editingJob === item.id && item.status === 'queued' && (
+                        <div className="mt-2 pt-2 border-t border-slate-200">
+                          {item.job ? (
+                            <>
+                              {renderJobFields(item.job, (changes) => updateItemJob(item.id, changes))}
+                              <button onClick={() => updateItemJob(item.id, null)} className="mt-2 text-slate-400 hover:text-red-500">{t('queue.removePrint')}</button>
+                            </>
+                          ) : (
+                            <button onClick={() => updateItemJob(item.id, {})} className="text-emerald-600 font-bold hover:text-emerald-700">{t('queue.addPrint')}</button>
+                          )}
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {printJobs.length > 0 && (
+              <div className="mt-6 pt-4 border-t border-slate-100">
+                <span className="text-xs font-bold text-slate-500 uppercase tracking-wider">{t('sender.printJobs')}</span>
+                <ul className="mt-2 space-y-1">
+                  {printJobs.map(job => (
+                    <li key={job.fileId} className="bg-slate-50 border border-slate-100 rounded-lg px-3 py-2 text-xs">
+                      <div className="flex items-center justify-between">
+                        <p className="font-medium text-slate-700 truncate mr-2" title={job.path}>{job.path}</p>
+                        <span className={`flex-shrink-0 font-bold uppercase text-[10px] px-2 py-0.5 rounded-full ${
+                          job.status === 'ready' ? 'bg-emerald-100 text-emerald-700'
+                            : job.status === 'printing' ? 'bg-blue-100 text-blue-700'
+                            : 'bg-slate-200 text-slate-500'
+                        }`}>
+                          {t(`job.status.${job.status}`)}
+                        </span>
+                      </div>
+                      <p className="text-[10px] text-slate-400 mt-0.5">{describeJob(job.job, t)}</p>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {(incomingFile || fromHost.length > 0) && (
+              <div className="mt-6 pt-4 border-t border-slate-100">
+                <span className="text-xs font-bold text-slate-500 uppercase tracking-wider">{t('sender.fromShop')}</span>
+                {incomingFile && (
+                  <div className="mt-2 bg-blue-50 border border-blue-100 rounded-lg px-3 py-2 text-xs">
+                    <p className="font-medium text-slate-700 truncate">{t('sender.receiving', { name: incomingFile.name })}</p>
+                    <div
+                      className="w-full bg-blue-100 rounded-full h-1 mt-1 overflow-hidden"
+                      role="progressbar"
+                      aria-valuemin={0}
+                      aria-valuemax={100}
+                      aria-valuenow={incomingFile.size > 0 ? Math.round((incomingFile.received / incomingFile.size) * 100) : 100}
+                      aria-label={incomingFile.name}
+                    >
+                      <div className="bg-blue-600 h-1 transition-all duration-300" style={{ width: `${incomingFile.size > 0 ? Math.round((incomingFile.received / incomingFile.size) * 100) : 100}%` }}></div>
+                    </div>
+                  </div>
+                )}
+                <ul className="mt-2 space-y-1">
+                  {fromHost.map(file => (
+                    <li key={file.id} className="flex items-center justify-between bg-slate-50 border border-slate-100 rounded-lg px-3 py-2 text-xs">
+                      <div className="min-w-0 mr-2">
+                        <p className="font-medium text-slate-700 truncate" title={file.path}>{file.path}</p>
+                        <p className={file.verified ? 'text-slate-400' : 'text-red-500 font-bold'} title={tReason(file.problem) || ''}>
+                          {file.size}{!file.verified && ` • ${t('file.corrupted')}`}
+                        </p>
+                      </div>
+                      <a
+                        href={file.url}
+                        download={file.name}
+                        className="flex-shrink-0 bg-emerald-500 hover:bg-emerald-600 text-white px-3 py-1.5 rounded-lg font-bold flex items-center"
+                      >
+                        <Download className="w-3 h-3 mr-1" /> {t('common.save')}
+                      </a>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
 
           <button 
-            onClick={() => {
-                setRole('home');
-                setTargetId('');
-                setConn(null);
-            }}
+            onClick={leaveRoom}
             className="w-full py-4 rounded-xl text-slate-400 hover:text-red-500 hover:bg-red-50 font-bold transition-colors text-sm"
           >
-            Disconnect
+            {t('sender.disconnect')}
           </button>
         </div>
       </div>
@@ -0,0 +1,49 @@
+// Room PIN challenge-response.
+// The PIN never crosses the wire: the host sends a random nonce and the sender
+// answers with HMAC-SHA256(pin, "nonce:senderPeerId"), so a captured answer
+// cannot be replayed for another challenge or another peer.
+import { hmacSha256, toHex } from './sha256.js';
+
+export const createNonce = () => {
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  return toHex(bytes);
+};
+
+export const computeProof = (pin, nonce, peerId) => hmacSha256(pin.trim(), `${nonce}:${peerId}`);
+
+// Constant-time comparison of two hex strings
+export const proofsMatch = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+};
+
+// Brake on guessing, counted per key (a sender's peer ID, or one shared key for
+// the whole room) so one peer typing wrong PINs only locks out itself.
+export const createAttemptLimiter = ({ limit, windowMs, lockoutMs }) => {
+  const keys = new Map(); // key -> { failures, lockedUntil }
+  const lockedUntil = (key) => (keys.has(key) ? keys.get(key).lockedUntil : 0);
+  return {
+    isLocked: (key = '') => Date.now() < lockedUntil(key),
+    retryAfterSeconds: (key = '') => Math.max(0, Math.ceil((lockedUntil(key) - Date.now()) / 1000)),
+    // Returns true when this failure triggers a lockout
+    recordFailure: (key = '') => {
+      const now = Date.now();
+      // Forget keys that have gone quiet so a stream of new peer IDs cannot grow the map
+      keys.forEach((entry, other) => {
+        entry.failures = entry.failures.filter(t => now - t < windowMs);
+        if (entry.failures.length === 0 && entry.lockedUntil <= now) keys.delete(other);
+      });
+      if (!keys.has(key)) keys.set(key, { failures: [], lockedUntil: 0 });
+      const entry = keys.get(key);
+      entry.failures.push(now);
+      if (entry.failures.length < limit) return false;
+      entry.failures = [];
+      entry.lockedUntil = now + lockoutMs;
+      return true;
+    },
+    reset: () => keys.clear()
+  };
+};
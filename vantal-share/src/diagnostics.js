@@ -0,0 +1,53 @@
+// Reads WebRTC stats for a transport: whether it runs peer to peer or
+// through a TURN relay, the round-trip time, and bytes moved so far.
+// Throughput comes from comparing two readings.
+
+// type: 'direct' (LAN or NAT traversal) | 'relayed' (TURN) | 'unknown'
+export const readConnectionStats = async (transport) => {
+  if (!transport || typeof transport.getStats !== 'function') return null;
+  const report = await transport.getStats();
+  if (!report) return null;
+  const byId = new Map();
+  report.forEach(stat => byId.set(stat.id, stat));
+
+  let pair = null;
+  let bytesSent = 0;
+  let bytesReceived = 0;
+  report.forEach(stat => {
+    if (stat.type === 'transport' && stat.selectedCandidatePairId) pair = byId.get(stat.selectedCandidatePairId);
+    if (stat.type === 'data-channel') {
+      bytesSent += stat.bytesSent || 0;
+      bytesReceived += stat.bytesReceived || 0;
+    }
+  });
+  // Firefox has no transport report; it marks the pair in use instead
+  if (!pair) {
+    report.forEach(stat => {
+      if (stat.type === 'candidate-pair' && (stat.selected || (stat.nominated && stat.state === 'succeeded'))) pair = stat;
+    });
+  }
+
+  const local = pair && byId.get(pair.localCandidateId);
+  const remote = pair && byId.get(pair.remoteCandidateId);
+  const relayed = [local, remote].some(candidate => candidate && candidate.candidateType === 'relay');
+  return {
+    time: Date.now(),
+    type: !local ? 'unknown' : relayed ? 'relayed' : 'direct',
+    localCandidate: local ? local.candidateType : null, // host | srflx | prflx | relay
+    remoteCandidate: remote ? remote.candidateType : null,
+    protocol: local ? local.protocol : null,
+    rttMs: pair && typeof pair.currentRoundTripTime === 'number' ? Math.round(pair.currentRoundTripTime * 1000) : null,
+    bytesSent,
+    bytesReceived
+  };
+};
+
+// Bytes per second between two readings of the same connection
+export const throughput = (previous, current) => {
+  if (!previous || !current || current.time <= previous.time) return { up: 0, down: 0 };
+  const seconds = (current.time - previous.time) / 1000;
+  return {
+    up: Math.max(0, (current.bytesSent - previous.bytesSent) / seconds),
+    down: Math.max(0, (current.bytesReceived - previous.bytesReceived) / seconds)
+  };
+};
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readConnectionStats, throughput } from './diagnostics.js';
+
+// getStats() resolves to an RTCStatsReport, which iterates like a Map
+const fakeTransport = (stats) => ({
+  getStats: async () => new Map(stats.map(stat => [stat.id, stat]))
+});
+
+const candidates = (localType, remoteType) => [
+  { id: 'L', type: 'local-candidate', candidateType: localType, protocol: 'udp' },
+  { id: 'R', type: 'remote-candidate', candidateType: remoteType }
+];
+
+test('computes throughput between two readings', () => {
+  const previous = { time: 1000, bytesSent: 1000, bytesReceived: 5000 };
+  assert.deepEqual(throughput(previous, { time: 3000, bytesSent: 5000, bytesReceived: 6000 }), { up: 2000, down: 500 });
+  // Counters restart with a new connection; never report negative speeds
+  assert.deepEqual(throughput(previous, { time: 2000, bytesSent: 0, bytesReceived: 0 }), { up: 0, down: 0 });
+  assert.deepEqual(throughput(previous, { ...previous }), { up: 0, down: 0 });
+  assert.deepEqual(throughput(null, previous), { up: 0, down: 0 });
+});
+
+test('reads the selected pair and data channel bytes', async () => {
+  const stats = await readConnectionStats(fakeTransport([
+    { id: 'T', type: 'transport', selectedCandidatePairId: 'P' },
+    { id: 'P', type: 'candidate-pair', localCandidateId: 'L', remoteCandidateId: 'R', currentRoundTripTime: 0.0423 },
+    ...candidates('host', 'srflx'),
+    { id: 'D1', type: 'data-channel', bytesSent: 100, bytesReceived: 20 },
+    { id: 'D2', type: 'data-channel', bytesSent: 50 }
+  ]));
+  assert.equal(typeof stats.time, 'number');
+  assert.deepEqual({ ...stats, time: 0 }, {
+    time: 0,
+    type: 'direct',
+    localCandidate: 'host',
+    remoteCandidate: 'srflx',
+    protocol: 'udp',
+    rttMs: 42,
+    bytesSent: 150,
+    bytesReceived: 20
+  });
+});
+
+test('spots a TURN relay from the nominated pair when there is no transport report', async () => {
+  const stats = await readConnectionStats(fakeTransport([
+    { id: 'Q', type: 'candidate-pair', localCandidateId: 'L', remoteCandidateId: 'R', nominated: true, state: 'in-progress' },
+    { id: 'P', type: 'candidate-pair', localCandidateId: 'L', remoteCandidateId: 'R', nominated: true, state: 'succeeded' },
+    ...candidates('relay', 'host')
+  ]));
+  assert.equal(stats.type, 'relayed');
+  assert.equal(stats.rttMs, null);
+});
+
+test('reports an unknown route without a pair or stats', async () => {
+  const stats = await readConnectionStats(fakeTransport([{ id: 'D', type: 'data-channel', bytesSent: 1, bytesReceived: 2 }]));
+  assert.equal(stats.type, 'unknown');
+  assert.equal(stats.localCandidate, null);
+  assert.equal(await readConnectionStats(null), null);
+  assert.equal(await readConnectionStats({}), null);
+});
@@ -0,0 +1,69 @@
+// End-to-end encryption of file payloads, on top of the WebRTC transport.
+// Both sides exchange ephemeral ECDH P-256 keys when a connection opens and
+// derive a session key with HKDF. Every file gets its own random AES-GCM key,
+// sent wrapped under the session key in file-start; each chunk is sealed with
+// a fresh IV and bound to its file and offset through the additional data.
+import { createSha256 } from './sha256.js';
+
+export const GCM_TAG_BYTES = 16;
+const ECDH = { name: 'ECDH', namedCurve: 'P-256' };
+const SESSION_INFO = new TextEncoder().encode('vantal-share session v1');
+
+// WebCrypto only exists in secure contexts (HTTPS or localhost)
+export const e2eSupported = () => typeof crypto !== 'undefined' && !!crypto.subtle;
+
+const randomIv = () => crypto.getRandomValues(new Uint8Array(12));
+
+export const createKeyPair = () => crypto.subtle.generateKey(ECDH, false, ['deriveBits']);
+
+export const exportPublicKey = (keyPair) => crypto.subtle.exportKey('raw', keyPair.publicKey);
+
+export const deriveSessionKey = async (keyPair, remotePublicKey) => {
+  const remote = await crypto.subtle.importKey('raw', remotePublicKey, ECDH, false, []);
+  const secret = await crypto.subtle.deriveBits({ name: 'ECDH', public: remote }, keyPair.privateKey, 256);
+  const hkdf = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(32), info: SESSION_INFO },
+    hkdf,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+};
+
+export const createFileKey = () => crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+
+export const wrapFileKey = async (sessionKey, fileKey) => {
+  const iv = randomIv();
+  const wrapped = await crypto.subtle.wrapKey('raw', fileKey, sessionKey, { name: 'AES-GCM', iv });
+  return { iv, wrapped };
+};
+
+export const unwrapFileKey = (sessionKey, { iv, wrapped }) => crypto.subtle.unwrapKey(
+  'raw', wrapped, sessionKey, { name: 'AES-GCM', iv }, { name: 'AES-GCM', length: 256 }, false, ['decrypt']
+);
+
+export const encryptChunk = async (fileKey, chunk, aad) => {
+  const iv = randomIv();
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(aad) }, fileKey, chunk
+  );
+  return { iv, data };
+};
+
+export const decryptChunk = (fileKey, { iv, data }, aad) => crypto.subtle.decrypt(
+  { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(aad) }, fileKey, data
+);
+
+// Short code both people read out loud. It covers both public keys in a fixed
+// order, so it only matches if nobody swapped keys in between.
+export const fingerprint = (keyA, keyB) => {
+  const a = new Uint8Array(keyA);
+  const b = new Uint8Array(keyB);
+  const diff = a.findIndex((byte, i) => byte !== b[i]);
+  const aFirst = diff === -1 || a[diff] < b[diff];
+  const digest = createSha256().update(aFirst ? a : b).update(aFirst ? b : a).digestBytes();
+  return [0, 2, 4]
+    .map(i => String(((digest[i] << 8) | digest[i + 1]) % 10000).padStart(4, '0'))
+    .join(' ');
+};
@@ -0,0 +1,16 @@
+// Sizes and times as shown to people, on both the host and the sender screens
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${Math.round(bytes)} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+};
+
+export const formatDuration = (seconds) => {
+  if (!isFinite(seconds)) return '--:--';
+  const s = Math.max(0, Math.round(seconds));
+  const m = Math.floor(s / 60);
+  return m >= 60
+    ? `${Math.floor(m / 60)}h ${m % 60}m`
+    : `${m}:${String(s % 60).padStart(2, '0')}`;
+};
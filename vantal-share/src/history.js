@@ -0,0 +1,53 @@
+// Host history of received files, kept in IndexedDB so it survives reloads.
+// Records are grouped by room; hosting the same room again restores them.
+// Each record has an id of its own; fileId is whatever the sender called it.
+// Files saved straight to a folder keep only their metadata here.
+import { idbRequest } from './storage.js';
+
+const DB_NAME = 'vantal-history';
+const STORE = 'files';
+
+const openHistoryDb = () => {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => {
+    const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+    store.createIndex('room', 'room');
+  };
+  return idbRequest(request);
+};
+
+const withStore = async (mode, task) => {
+  const db = await openHistoryDb();
+  try {
+    return await task(db.transaction(STORE, mode).objectStore(STORE));
+  } finally {
+    db.close();
+  }
+};
+
+// record: { id, fileId, name, path, bytes, type, sender, hash, verified, problem, encrypted, transform, job, jobStatus,
+//          savedToFolder, folderName, receivedAt }
+export const saveHistoryFile = (room, record, blob) => withStore('readwrite', store =>
+  idbRequest(store.put({ ...record, room, blob: blob || null }))
+);
+
+// Newest first
+export const loadRoomHistory = async (room) => {
+  const records = await withStore('readonly', store => idbRequest(store.index('room').getAll(room)));
+  return records.sort((a, b) => b.receivedAt - a.receivedAt);
+};
+
+// Merge changes into a stored record (e.g. a new job status); missing records are left alone
+export const updateHistoryFile = (id, changes) => withStore('readwrite', async store => {
+  const record = await idbRequest(store.get(id));
+  if (record) await idbRequest(store.put({ ...record, ...changes }));
+});
+
+export const deleteHistoryFile = (id) => withStore('readwrite', store => idbRequest(store.delete(id)));
+
+// { usage, quota } in bytes, or null where the browser does not say
+export const getStorageEstimate = async () => {
+  if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) return null;
+  const { usage, quota } = await navigator.storage.estimate();
+  return { usage: usage || 0, quota: quota || 0 };
+};
@@ -0,0 +1,60 @@
+// Interface text in the languages our customers use. English is the source:
+// a key another language lacks falls back to it. "{name}" placeholders are
+// filled from params, and a `count` param picks the "key.one" form for 1.
+import en from './locales/en.js';
+import fil from './locales/fil.js';
+
+const STORAGE_KEY = 'vantal-share:language';
+
+export const LANGUAGES = [
+  { id: 'en', label: 'English' },
+  { id: 'fil', label: 'Filipino' }
+];
+
+const DICTIONARIES = { en, fil };
+
+// Tagalog is what most browsers report for a Filipino phone
+const fromBrowser = () => {
+  const wanted = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [];
+  for (const tag of wanted) {
+    const base = String(tag || '').toLowerCase().split('-')[0];
+    if (base === 'fil' || base === 'tl') return 'fil';
+    if (DICTIONARIES[base]) return base;
+  }
+  return 'en';
+};
+
+export const loadLanguage = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (DICTIONARIES[saved]) return saved;
+  } catch (e) {
+    // No storage: follow the browser
+  }
+  return fromBrowser();
+};
+
+export const saveLanguage = (lang) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, lang);
+  } catch (e) {
+    // Private mode or full storage: the choice lasts for this visit only
+  }
+  return lang;
+};
+
+// The language's own text before any English, so a language without a ".one"
+// form (Filipino nouns do not change) never borrows the English singular
+const lookup = (lang, keys) => {
+  for (const dictionary of [DICTIONARIES[lang] || en, en]) {
+    const found = keys.find(key => dictionary[key] !== undefined);
+    if (found) return dictionary[found];
+  }
+  return undefined;
+};
+
+export const translate = (lang, key, params = {}) => {
+  const text = lookup(lang, params.count === 1 ? [`${key}.one`, key] : [key]);
+  if (text === undefined) return key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+};
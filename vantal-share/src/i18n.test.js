@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { translate } from './i18n.js';
+import { describeJob } from './printJobs.js';
+import { REASONS, createReason } from './protocol/index.js';
+import en from './locales/en.js';
+import fil from './locales/fil.js';
+
+test('translates with placeholders, singular forms and an English fallback', () => {
+  assert.deepEqual(Object.keys(fil).filter(key => !(key in en)), []);
+  assert.equal(translate('en', 'host.senders', { count: 1 }), '1 Sender Connected');
+  assert.equal(translate('en', 'host.senders', { count: 2 }), '2 Senders Connected');
+  // Filipino has no singular form; it must not borrow the English one
+  assert.equal(translate('fil', 'host.senders', { count: 1 }), '1 Sender ang Nakakonekta');
+  assert.equal(translate('fil', 'missing.key'), 'missing.key');
+  assert.equal(translate('xx', 'home.connect'), 'Connect');
+
+  const job = { copies: 1, color: true, paper: 'A4', duplex: false };
+  assert.equal(describeJob(job), '1 copy • Color • A4 • Single-sided');
+  assert.equal(describeJob(job, (key, params) => translate('fil', key, params)), '1 kopya • May kulay • A4 • Isang panig');
+});
+
+test('has a translation for every protocol reason code', () => {
+  const placeholders = (text) => [...text.matchAll(/\{(\w+)\}/g)].map(match => match[1]).sort();
+  Object.entries(REASONS).forEach(([code, text]) => {
+    assert.equal(en[`reason.${code}`], text, code);
+    assert.deepEqual(placeholders(fil[`reason.${code}`] || ''), placeholders(text), code);
+  });
+  const { code, params } = createReason('pinLocked', { seconds: 42 });
+  assert.equal(translate('fil', `reason.${code}`, params), 'Masyadong maraming maling PIN. Subukang muli pagkalipas ng 42 segundo.');
+});
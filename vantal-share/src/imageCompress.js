@@ -0,0 +1,86 @@
+// Optional pre-send step on the sender: shrink a photo to a maximum dimension
+// and re-encode it. Drawing onto a canvas keeps only the pixels, so EXIF
+// (camera, GPS, orientation) never leaves the phone.
+export const IMAGE_FORMATS = [
+  { type: 'image/jpeg', label: 'JPEG', extension: 'jpg' },
+  { type: 'image/webp', label: 'WebP', extension: 'webp' }
+];
+
+export const MAX_DIMENSIONS = [1280, 2048, 3072, 0]; // 0 keeps the original size
+
+export const DEFAULT_IMAGE_OPTIONS = {
+  enabled: false,
+  maxDimension: 2048,
+  type: 'image/jpeg',
+  quality: 0.8
+};
+
+// Animations and vector art would be flattened; leave them alone
+const SKIPPED_TYPES = ['image/gif', 'image/svg+xml'];
+
+export const canCompress = (file) => !!file.type && file.type.startsWith('image/') && !SKIPPED_TYPES.includes(file.type);
+
+let webpSupport = null;
+export const supportsWebp = () => {
+  if (webpSupport === null) {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 1;
+    webpSupport = canvas.toDataURL('image/webp').startsWith('data:image/webp');
+  }
+  return webpSupport;
+};
+
+// "photos/IMG_1.HEIC" -> "photos/IMG_1.jpg"
+export const replaceExtension = (path, extension) => {
+  const slash = path.lastIndexOf('/');
+  const dot = path.lastIndexOf('.');
+  return `${dot > slash + 1 ? path.slice(0, dot) : path}.${extension}`;
+};
+
+const fitWithin = (width, height, maxDimension) => {
+  const scale = maxDimension ? Math.min(1, maxDimension / Math.max(width, height)) : 1;
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+};
+
+// Resolves { file, transform, saved }; transform is the metadata the host receives
+// and saved the bytes shrinking took off. A re-encode that comes out no smaller
+// (an already small or well-compressed photo) is still used, since it drops the
+// EXIF, and reports saved: 0.
+// Rejects when the browser cannot decode the image (e.g. HEIC outside Safari).
+export const compressImage = async (file, { maxDimension, type, quality }) => {
+  const format = IMAGE_FORMATS.find(f => f.type === type) || IMAGE_FORMATS[0];
+  // Applies the EXIF orientation to the pixels, since the tag itself is dropped
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+  const { width, height } = fitWithin(bitmap.width, bitmap.height, maxDimension);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  if (format.type === 'image/jpeg') {
+    // JPEG has no alpha; transparent PNG areas would otherwise turn black
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, width, height);
+  }
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, format.type, quality));
+  // toBlob quietly falls back to PNG for formats it cannot write
+  if (!blob || blob.type !== format.type) throw new Error(`This browser cannot save ${format.label} images.`);
+
+  return {
+    file: new File([blob], replaceExtension(file.name, format.extension), { type: format.type, lastModified: file.lastModified }),
+    transform: {
+      kind: 'image',
+      originalName: file.name,
+      originalSize: file.size,
+      originalType: file.type,
+      width,
+      height,
+      quality
+    },
+    saved: Math.max(0, file.size - blob.size)
+  };
+};
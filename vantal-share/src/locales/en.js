@@ -0,0 +1,300 @@
+// English, the source text. Keys ending in ".one" are the singular form used
+// when the count param is 1. The debug console stays in English on purpose.
+export default {
+  'language': 'Language',
+  'logs.toggle': 'Toggle Logs',
+  'common.unknownType': 'unknown type',
+  'common.from': 'from {peer}',
+  'common.preview': 'Preview',
+  'common.save': 'Save',
+  'common.copy': 'Copy',
+  'common.copied': 'Copied',
+  'common.clearFinished': 'Clear finished',
+
+  // Home
+  'home.tagline': "Mark Cruz's Direct Link System (V2.8 Final Fix)",
+  'home.shared': '{count} shared items are waiting. Join a room below and they will be sent.',
+  'home.shared.one': '{count} shared item is waiting. Join a room below and it will be sent.',
+  'home.receiveTitle': 'Receive Files',
+  'home.receiveSubtitle': 'Host (Shop/Office)',
+  'home.roomName': 'Create Room Name',
+  'home.roomPlaceholder': 'e.g. vantal-laoag',
+  'home.joinAsCounter': 'Join "{room}" as another counter',
+  'home.roomPin': 'Room PIN (Optional)',
+  'home.roomPinPlaceholder': 'Leave empty for an open room',
+  'home.storage': 'Store Incoming Files',
+  'home.storageAuto': 'Automatic (memory, large files to browser storage)',
+  'home.storageBrowser': 'Browser storage (lowest memory)',
+  'home.storageFolder': 'Save straight to a folder',
+  'home.start': 'Start Receiving',
+  'home.sendTitle': 'Send Files',
+  'home.sendSubtitle': 'Customer/Client',
+  'home.enterRoom': 'Enter Room Name',
+  'home.connect': 'Connect',
+  'home.recentRooms': 'Recent rooms',
+  'home.rejoin': 'Rejoin',
+  'home.rejoinVia': 'Rejoin via {host}',
+  'home.forgetRoom': 'Forget this room',
+
+  'network.toggle': 'Network Settings',
+  'network.cloud': 'PeerJS cloud',
+  'network.host': 'Signaling Host',
+  'network.hostPlaceholder': 'Empty = PeerJS cloud',
+  'network.port': 'Port',
+  'network.path': 'Path',
+  'network.secure': 'Secure (wss)',
+  'network.matchPage': 'Match page',
+  'network.yes': 'Yes',
+  'network.no': 'No',
+  'network.ice': 'ICE Servers (STUN / TURN)',
+  'network.selfHostBefore': 'Run',
+  'network.selfHostAfter': 'on a shop PC to host your own server.',
+  'network.reset': 'Reset',
+
+  'error.noRoomName': 'Please enter a name for your shop.',
+  'error.noFolder': 'Choose a folder to save incoming files into.',
+  'error.roomTaken': '"{room}" is already open on another computer. Join it as a counter, or try "{room}-1".',
+  'error.peer': 'Error: {type}',
+  'error.clipboard': 'Clipboard access was blocked. Paste into the box instead.',
+
+  // Host
+  'host.counterLinked': 'Extra counter • linked to the main counter (staff there accept it once)',
+  'host.counterPin': 'Extra counter • wrong or missing room PIN',
+  'host.counterOffline': 'Main counter offline • retrying...',
+  'host.counterConnecting': 'Extra counter • connecting...',
+  'host.senders': '{count} Senders Connected',
+  'host.senders.one': '{count} Sender Connected',
+  'host.waiting': 'Waiting for Sender...',
+  'host.extraCounters': '{count} extra counters',
+  'host.extraCounters.one': '{count} extra counter',
+  'host.sendersLabel': 'Connected customers',
+  'host.connectedAt': 'Connected at {time}',
+  'host.securityCode': "Security code: compare with the customer's screen",
+  'host.sendBack': 'Send a file to this customer',
+  'host.notifyOn': 'Notifications on while this tab is in the background',
+  'host.notifyOff': 'Notify me when files arrive',
+  'host.joinQr': 'Join QR Code',
+  'host.policies': 'Transfer Policies',
+  'host.stop': 'Stop Hosting',
+  'host.counters': 'Counters',
+  'host.counterRequest': 'wants to join',
+  'host.acceptCounter': 'Accept this counter',
+  'host.declineCounter': 'Decline this counter',
+  'host.joinedAt': 'Joined at {time}',
+  'host.newFiles': 'New files:',
+  'host.sentToCustomers': 'Sent to customers',
+  'host.ready': 'Ready to Receive',
+  'host.readyHint': 'Files will appear here after the upload completes.',
+  'host.showLogs': 'Show System Logs',
+
+  'routing.manual': 'Keep here, assign by hand',
+  'routing.mirror': 'Copy to every counter',
+  'routing.round-robin': 'Take turns',
+
+  'stage.queued': 'queued',
+  'stage.hashing': 'preparing',
+  'stage.awaiting': 'awaiting',
+  'stage.sending': 'sending',
+  'stage.verifying': 'verifying',
+  'stage.verified': 'verified',
+  'stage.failed': 'failed',
+  'stage.cancelled': 'cancelled',
+
+  'join.scan': 'Scan to send files',
+  'join.openLink': "Or open this link on the customer's phone:",
+  'join.copy': 'Copy Link',
+  'join.qrAlt': 'QR code to join {room}',
+
+  'policy.approval': 'Ask before accepting each file',
+  'policy.maxSize': 'Max File Size (MB)',
+  'policy.noLimit': 'No limit',
+  'policy.maxFiles': 'Max Files Per Sender',
+  'policy.maxFilesHint': 'Counted per visit: a dropped connection keeps the count, reopening the page starts over.',
+  'policy.allowedTypes': 'Allowed Types',
+  'policy.allowedPlaceholder': 'Any (e.g. .pdf, .docx, image/*)',
+
+  'approval.title': 'Incoming file — approve?',
+  'approval.resizedFrom': 'Resized from {size} ({name})',
+  'approval.accept': 'Accept',
+  'approval.decline': 'Decline',
+
+  'history.search': 'Search files...',
+  'history.count': '{shown} of {total} items',
+  'history.storage': '{used} of {quota} browser storage used',
+  'history.selectAll': 'Select all shown',
+  'history.zipping': 'Zipping {done} of {total}...',
+  'history.downloadSelected': 'Download selected ({count})',
+  'history.downloadAll': 'Download all',
+  'history.noMatch': 'Nothing matches these filters.',
+  'history.type': 'File type',
+  'history.date': 'Date received',
+
+  'category.all': 'All types',
+  'category.image': 'Images',
+  'category.video': 'Videos',
+  'category.audio': 'Audio',
+  'category.pdf': 'PDFs',
+  'category.document': 'Documents',
+  'category.other': 'Other',
+  'category.snippet': 'Text snippets',
+
+  'date.any': 'Any time',
+  'date.today': 'Today',
+  'date.week': 'Last 7 days',
+  'date.month': 'Last 30 days',
+
+  'snippet.meta': 'Text • {time}',
+  'snippet.copy': 'Copy to clipboard',
+
+  'file.selectForZip': 'Select {name} for ZIP download',
+  'file.inFolder': 'Already saved to a folder',
+  'file.verified': 'Verified',
+  'file.corrupted': 'Corrupted',
+  'file.encrypted': 'End-to-end encrypted',
+  'file.original': 'Original: {name}',
+  'file.resized': 'Resized by customer from {size}',
+  'file.savedTo': 'Saved to {folder}',
+  'file.toCounter': '→ counter {ids}',
+  'file.sendToCounter': 'Send to counter...',
+  'file.delete': 'Delete from history',
+  'file.jobStatus': 'Print job status',
+
+  'preview.position': '{index} of {total}',
+  'preview.close': 'Close (Esc)',
+  'preview.previous': 'Previous (←)',
+  'preview.next': 'Next (→)',
+  'preview.loading': 'Loading...',
+  'preview.truncated': '… showing the first {size}. Save the file to see the rest.',
+
+  // Print jobs
+  'job.copies': 'Copies',
+  'job.paper': 'Paper',
+  'job.color': 'Color',
+  'job.duplex': 'Double-sided',
+  'job.notePlaceholder': 'Note for the shop (pages, binding...)',
+  'job.copyCount': '{count} copies',
+  'job.copyCount.one': '{count} copy',
+  'job.blackWhite': 'B&W',
+  'job.singleSided': 'Single-sided',
+  'job.status.received': 'Received',
+  'job.status.printing': 'Printing',
+  'job.status.ready': 'Ready for pickup',
+  'job.status.picked-up': 'Picked up',
+
+  // Sender
+  'sender.connectedTo': 'Connected to {room}',
+  'sender.connecting': 'Connecting...',
+  'sender.encrypted': 'Encrypted • Security code',
+  'sender.notEncrypted': 'Not end-to-end encrypted',
+  'sender.unreachable': 'Could not reach the shop.',
+  'sender.reconnecting': 'Reconnecting (attempt {attempt} of {limit})...',
+  'sender.reconnect': 'Reconnect',
+  'sender.retryNow': 'Retry now',
+  'sender.pinNeeded': 'This room needs a PIN',
+  'sender.pinPlaceholder': 'Room PIN',
+  'sender.unlock': 'Unlock',
+  'sender.sharedWaiting': '{count} shared items will be sent once the shop lets you in.',
+  'sender.sharedWaiting.one': '{count} shared item will be sent once the shop lets you in.',
+  'sender.uploadZone': 'Upload files',
+  'sender.chooseFiles': 'Choose files to send',
+  'sender.progress': 'Sending {name}',
+  'sender.failed': 'Upload failed',
+  'sender.dismiss': 'Dismiss',
+  'sender.sent': 'Sent Successfully!',
+  'sender.verifying': 'Verifying with host...',
+  'sender.awaiting': 'Waiting for the shop to accept...',
+  'sender.compressing': 'Shrinking photo...',
+  'sender.hashing': 'Preparing file...',
+  'sender.paused': 'Connection lost. Upload paused.',
+  'sender.resume': 'Reconnect & Resume',
+  'sender.sending': 'Sending... Please Wait',
+  'sender.eta': 'ETA {time}',
+  'sender.tapToSend': 'Tap to Send',
+  'sender.waiting': 'Waiting...',
+  'sender.kinds': 'Images • Video • Docs',
+  'sender.dropHint': 'or drop files & folders here',
+  'sender.sendFolder': 'Send a Folder',
+  'sender.shrink': 'Shrink photos before sending',
+  'sender.maxSize': 'Max size',
+  'sender.original': 'Original',
+  'sender.format': 'Format',
+  'sender.quality': 'Quality {percent}%',
+  'sender.shrinkHint': 'Location and camera details are removed. GIFs and documents are sent as they are.',
+  'sender.printToggle': 'Add print instructions',
+  'sender.printHint': 'Used for the next files you pick. Change a queued file with its printer button.',
+  'sender.snippetLabel': 'Send text or a link',
+  'sender.snippetPlaceholder': 'Order number, URL, notes...',
+  'sender.paste': 'Paste',
+  'sender.sendText': 'Send Text',
+  'sender.snippetSent': 'Sent to the shop.',
+  'sender.printJobs': 'Your print jobs',
+  'sender.fromShop': 'From the shop',
+  'sender.receiving': 'Receiving {name}...',
+  'sender.disconnect': 'Disconnect',
+
+  'queue.title': 'Queue ({done}/{total})',
+  'queue.status.queued': 'queued',
+  'queue.status.sending': 'sending',
+  'queue.status.done': 'done',
+  'queue.status.failed': 'failed',
+  'queue.print': 'Print instructions',
+  'queue.up': 'Move up',
+  'queue.down': 'Move down',
+  'queue.cancel': 'Cancel',
+  'queue.removePrint': 'Remove print instructions',
+  'queue.addPrint': '+ Add print instructions',
+  'queue.notSmaller': 'no smaller, metadata removed',
+
+  // Notifications and screen-reader announcements
+  'notify.newFile': 'New file: {name}',
+  'notify.newFileBody': '{size} from {peer}',
+  'notify.newText': 'New text from a customer',
+  'announce.online': 'Room {room} is open and waiting for customers.',
+  'announce.customerJoined': 'A customer connected.',
+  'announce.customerLeft': 'A customer disconnected.',
+  'announce.counterRequest': 'Another counter asks to join this room.',
+  'announce.approval': '{name} is waiting for your approval.',
+  'announce.connected': 'Connected to {room}.',
+  'announce.ready': 'You can send files now.',
+  'announce.disconnected': 'Lost the connection to the shop.',
+  'announce.progress': '{name}: {percent}% sent.',
+  'announce.sent': '{name} was delivered and verified.',
+  'announce.failed': '{name} was not sent. {reason}',
+  'announce.fromShop': 'The shop sent you {name}.',
+
+  // Reasons from the transfer protocol: the same text as src/protocol/reasons.js
+  'reason.wrongPin': 'Wrong PIN.',
+  'reason.pinLocked': 'Too many wrong PINs. Try again in {seconds} seconds.',
+  'reason.pinDropped': 'Too many wrong PINs. Disconnected.',
+  'reason.pinFirst': 'Enter the room PIN first.',
+  'reason.notSignedIn': 'Not signed in to this room yet.',
+  'reason.invalidRequest': 'Invalid request: {error}',
+  'reason.tooLarge': "File is larger than the shop's {limit} MB limit.",
+  'reason.typeNotAllowed': 'This shop only accepts: {types}.',
+  'reason.fileLimit': 'Limit of {count} files per customer reached.',
+  'reason.declined': 'The shop declined this file.',
+  'reason.shopCancelled': 'The shop cancelled this file.',
+  'reason.snippetTooLong': 'Text is too long. Send it as a file instead.',
+  'reason.nothingToSend': 'Nothing to send.',
+  'reason.hostStoreFailed': 'Host could not store the file: {error}',
+  'reason.hostSaveFailed': 'Host could not save the file: {error}',
+  'reason.hostNeverReceived': 'Host never received this file.',
+  'reason.storeFailed': 'Could not store the file: {error}',
+  'reason.customerSaveFailed': 'Customer could not save the file: {error}',
+  'reason.customerNeverReceived': 'Customer never received this file.',
+  'reason.readFailed': 'Could not read the file: {error}',
+  'reason.fileChanged': 'The file changed while it was being sent.',
+  'reason.integrityFailed': 'Integrity check failed.',
+  'reason.noChecksum': 'Sender did not provide a checksum.',
+  'reason.sizeMismatch': 'Size mismatch: received {received} of {size} bytes.',
+  'reason.checksumMismatch': 'Checksum mismatch: file is corrupted.',
+  'reason.decryptFailed': 'Could not decrypt the file.',
+  'reason.encryptFailed': 'Could not set up encryption for the file: {error}',
+  'reason.notConnected': 'Not connected to the shop.',
+  'reason.connectionLost': 'Connection lost before the file arrived.',
+  'reason.snippetLost': 'Connection lost before the shop got it.',
+  'reason.disconnected': 'Disconnected.',
+  'reason.customerGone': 'That customer is no longer connected.',
+  'reason.customerReconnected': 'The customer reconnected.',
+  'reason.customerDisconnected': 'The customer disconnected.'
+};
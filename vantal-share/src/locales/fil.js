@@ -0,0 +1,296 @@
+// Filipino. Everyday tech words (file, PIN, QR code, folder) stay as customers
+// say them at the counter.
+export default {
+  'language': 'Wika',
+  'logs.toggle': 'Ipakita/itago ang logs',
+  'common.unknownType': 'hindi kilalang uri',
+  'common.from': 'mula kay {peer}',
+  'common.preview': 'Silipin',
+  'common.save': 'I-save',
+  'common.copy': 'Kopyahin',
+  'common.copied': 'Nakopya',
+  'common.clearFinished': 'Alisin ang mga tapos na',
+
+  // Home
+  'home.tagline': 'Direct Link System ni Mark Cruz (V2.8 Final Fix)',
+  'home.shared': '{count} na ibinahaging item ang naghihintay. Sumali sa isang room sa ibaba at ipapadala ang mga ito.',
+  'home.shared.one': '{count} ibinahaging item ang naghihintay. Sumali sa isang room sa ibaba at ipapadala ito.',
+  'home.receiveTitle': 'Tumanggap ng mga File',
+  'home.receiveSubtitle': 'Host (Tindahan/Opisina)',
+  'home.roomName': 'Gumawa ng Pangalan ng Room',
+  'home.roomPlaceholder': 'hal. vantal-laoag',
+  'home.joinAsCounter': 'Sumali sa "{room}" bilang isa pang counter',
+  'home.roomPin': 'PIN ng Room (Opsyonal)',
+  'home.roomPinPlaceholder': 'Iwanang blangko para bukas ang room',
+  'home.storage': 'Saan Itatago ang mga File',
+  'home.storageAuto': 'Awtomatiko (memory, ang malalaking file sa browser storage)',
+  'home.storageBrowser': 'Browser storage (pinakamatipid sa memory)',
+  'home.storageFolder': 'Diretsong i-save sa isang folder',
+  'home.start': 'Simulang Tumanggap',
+  'home.sendTitle': 'Magpadala ng mga File',
+  'home.sendSubtitle': 'Customer/Kliyente',
+  'home.enterRoom': 'Ilagay ang Pangalan ng Room',
+  'home.connect': 'Kumonekta',
+  'home.recentRooms': 'Mga kamakailang room',
+  'home.rejoin': 'Sumaling muli',
+  'home.rejoinVia': 'Sumaling muli gamit ang {host}',
+  'home.forgetRoom': 'Kalimutan ang room na ito',
+
+  'network.toggle': 'Mga Setting ng Network',
+  'network.cloud': 'PeerJS cloud',
+  'network.host': 'Signaling Host',
+  'network.hostPlaceholder': 'Blangko = PeerJS cloud',
+  'network.port': 'Port',
+  'network.path': 'Path',
+  'network.secure': 'Secure (wss)',
+  'network.matchPage': 'Katulad ng page',
+  'network.yes': 'Oo',
+  'network.no': 'Hindi',
+  'network.ice': 'Mga ICE Server (STUN / TURN)',
+  'network.selfHostBefore': 'Patakbuhin ang',
+  'network.selfHostAfter': 'sa isang PC ng tindahan para magkaroon ng sariling server.',
+  'network.reset': 'I-reset',
+
+  'error.noRoomName': 'Maglagay ng pangalan para sa iyong tindahan.',
+  'error.noFolder': 'Pumili ng folder na pagse-save-an ng mga papasok na file.',
+  'error.roomTaken': 'Bukas na ang "{room}" sa ibang computer. Sumali rito bilang counter, o subukan ang "{room}-1".',
+  'error.peer': 'Error: {type}',
+  'error.clipboard': 'Hinarang ang access sa clipboard. I-paste na lang sa kahon.',
+
+  // Host
+  'host.counterLinked': 'Dagdag na counter • nakakonekta sa pangunahing counter (tatanggapin ito ng staff doon)',
+  'host.counterPin': 'Dagdag na counter • mali o walang PIN ng room',
+  'host.counterOffline': 'Offline ang pangunahing counter • sinusubukang muli...',
+  'host.counterConnecting': 'Dagdag na counter • kumokonekta...',
+  'host.senders': '{count} Sender ang Nakakonekta',
+  'host.waiting': 'Naghihintay ng Sender...',
+  'host.extraCounters': '{count} dagdag na counter',
+  'host.sendersLabel': 'Mga nakakonektang customer',
+  'host.connectedAt': 'Kumonekta noong {time}',
+  'host.securityCode': 'Security code: ikumpara sa screen ng customer',
+  'host.sendBack': 'Magpadala ng file sa customer na ito',
+  'host.notifyOn': 'Naka-on ang notification habang nasa background ang tab na ito',
+  'host.notifyOff': 'Abisuhan ako kapag may dumating na file',
+  'host.joinQr': 'QR Code para Sumali',
+  'host.policies': 'Mga Patakaran sa Paglilipat',
+  'host.stop': 'Itigil ang Pag-host',
+  'host.counters': 'Mga Counter',
+  'host.counterRequest': 'gustong sumali',
+  'host.acceptCounter': 'Tanggapin ang counter na ito',
+  'host.declineCounter': 'Tanggihan ang counter na ito',
+  'host.joinedAt': 'Sumali noong {time}',
+  'host.newFiles': 'Mga bagong file:',
+  'host.sentToCustomers': 'Ipinadala sa mga customer',
+  'host.ready': 'Handang Tumanggap',
+  'host.readyHint': 'Lalabas dito ang mga file kapag tapos na ang upload.',
+  'host.showLogs': 'Ipakita ang System Logs',
+
+  'routing.manual': 'Itago rito, ako ang magtatalaga',
+  'routing.mirror': 'Kopyahin sa bawat counter',
+  'routing.round-robin': 'Salitan',
+
+  'stage.queued': 'nakapila',
+  'stage.hashing': 'inihahanda',
+  'stage.awaiting': 'naghihintay',
+  'stage.sending': 'ipinapadala',
+  'stage.verifying': 'bineberipika',
+  'stage.verified': 'naberipika',
+  'stage.failed': 'pumalya',
+  'stage.cancelled': 'kinansela',
+
+  'join.scan': 'I-scan para magpadala ng mga file',
+  'join.openLink': 'O buksan ang link na ito sa phone ng customer:',
+  'join.copy': 'Kopyahin ang Link',
+  'join.qrAlt': 'QR code para sumali sa {room}',
+
+  'policy.approval': 'Magtanong bago tanggapin ang bawat file',
+  'policy.maxSize': 'Pinakamalaking Laki ng File (MB)',
+  'policy.noLimit': 'Walang limitasyon',
+  'policy.maxFiles': 'Pinakamaraming File Bawat Sender',
+  'policy.maxFilesHint': 'Binibilang bawat pagbisita: nananatili ang bilang kapag naputol ang koneksyon, nagsisimula ulit kapag binuksan muli ang page.',
+  'policy.allowedTypes': 'Mga Pinapayagang Uri',
+  'policy.allowedPlaceholder': 'Kahit ano (hal. .pdf, .docx, image/*)',
+
+  'approval.title': 'May papasok na file — tatanggapin ba?',
+  'approval.resizedFrom': 'Pinaliit mula {size} ({name})',
+  'approval.accept': 'Tanggapin',
+  'approval.decline': 'Tanggihan',
+
+  'history.search': 'Maghanap ng file...',
+  'history.count': '{shown} sa {total} item',
+  'history.storage': '{used} sa {quota} ng browser storage ang nagamit',
+  'history.selectAll': 'Piliin lahat ng nakikita',
+  'history.zipping': 'Ginagawang ZIP ang {done} sa {total}...',
+  'history.downloadSelected': 'I-download ang napili ({count})',
+  'history.downloadAll': 'I-download lahat',
+  'history.noMatch': 'Walang tumutugma sa mga filter na ito.',
+  'history.type': 'Uri ng file',
+  'history.date': 'Petsa ng pagdating',
+
+  'category.all': 'Lahat ng uri',
+  'category.image': 'Mga larawan',
+  'category.video': 'Mga video',
+  'category.audio': 'Audio',
+  'category.pdf': 'Mga PDF',
+  'category.document': 'Mga dokumento',
+  'category.other': 'Iba pa',
+  'category.snippet': 'Mga text',
+
+  'date.any': 'Kahit kailan',
+  'date.today': 'Ngayong araw',
+  'date.week': 'Nakaraang 7 araw',
+  'date.month': 'Nakaraang 30 araw',
+
+  'snippet.meta': 'Text • {time}',
+  'snippet.copy': 'Kopyahin sa clipboard',
+
+  'file.selectForZip': 'Piliin ang {name} para sa ZIP download',
+  'file.inFolder': 'Naka-save na sa isang folder',
+  'file.verified': 'Naberipika',
+  'file.corrupted': 'Sira',
+  'file.encrypted': 'End-to-end encrypted',
+  'file.original': 'Orihinal: {name}',
+  'file.resized': 'Pinaliit ng customer mula {size}',
+  'file.savedTo': 'Naka-save sa {folder}',
+  'file.toCounter': '→ counter {ids}',
+  'file.sendToCounter': 'Ipadala sa counter...',
+  'file.delete': 'Burahin sa history',
+  'file.jobStatus': 'Status ng print job',
+
+  'preview.position': '{index} sa {total}',
+  'preview.close': 'Isara (Esc)',
+  'preview.previous': 'Nakaraan (←)',
+  'preview.next': 'Susunod (→)',
+  'preview.loading': 'Naglo-load...',
+  'preview.truncated': '… ipinapakita ang unang {size}. I-save ang file para makita ang natitira.',
+
+  // Print jobs
+  'job.copies': 'Kopya',
+  'job.paper': 'Papel',
+  'job.color': 'May kulay',
+  'job.duplex': 'Magkabilang panig',
+  'job.notePlaceholder': 'Paalala sa tindahan (mga pahina, binding...)',
+  'job.copyCount': '{count} kopya',
+  'job.blackWhite': 'B&W',
+  'job.singleSided': 'Isang panig',
+  'job.status.received': 'Natanggap',
+  'job.status.printing': 'Pini-print',
+  'job.status.ready': 'Handa nang kunin',
+  'job.status.picked-up': 'Nakuha na',
+
+  // Sender
+  'sender.connectedTo': 'Nakakonekta sa {room}',
+  'sender.connecting': 'Kumokonekta...',
+  'sender.encrypted': 'Encrypted • Security code',
+  'sender.notEncrypted': 'Hindi end-to-end encrypted',
+  'sender.unreachable': 'Hindi maabot ang tindahan.',
+  'sender.reconnecting': 'Kumokonektang muli (subok {attempt} sa {limit})...',
+  'sender.reconnect': 'Kumonektang muli',
+  'sender.retryNow': 'Subukan ngayon',
+  'sender.pinNeeded': 'Kailangan ng PIN ang room na ito',
+  'sender.pinPlaceholder': 'PIN ng room',
+  'sender.unlock': 'Buksan',
+  'sender.sharedWaiting': '{count} ibinahaging item ang ipapadala kapag pinapasok ka na ng tindahan.',
+  'sender.uploadZone': 'Mag-upload ng mga file',
+  'sender.chooseFiles': 'Pumili ng mga file na ipapadala',
+  'sender.progress': 'Ipinapadala ang {name}',
+  'sender.failed': 'Pumalya ang upload',
+  'sender.dismiss': 'Isara',
+  'sender.sent': 'Matagumpay na Naipadala!',
+  'sender.verifying': 'Bineberipika ng host...',
+  'sender.awaiting': 'Hinihintay na tanggapin ng tindahan...',
+  'sender.compressing': 'Pinapaliit ang larawan...',
+  'sender.hashing': 'Inihahanda ang file...',
+  'sender.paused': 'Naputol ang koneksyon. Naka-pause ang upload.',
+  'sender.resume': 'Kumonektang Muli at Ituloy',
+  'sender.sending': 'Ipinapadala... Sandali Lang',
+  'sender.eta': 'Matatapos sa {time}',
+  'sender.tapToSend': 'I-tap para Magpadala',
+  'sender.waiting': 'Naghihintay...',
+  'sender.kinds': 'Larawan • Video • Dokumento',
+  'sender.dropHint': 'o i-drop dito ang mga file at folder',
+  'sender.sendFolder': 'Magpadala ng Folder',
+  'sender.shrink': 'Paliitin ang mga larawan bago ipadala',
+  'sender.maxSize': 'Pinakamalaking laki',
+  'sender.original': 'Orihinal',
+  'sender.format': 'Format',
+  'sender.quality': 'Kalidad {percent}%',
+  'sender.shrinkHint': 'Inaalis ang lokasyon at detalye ng camera. Ipinapadala nang buo ang mga GIF at dokumento.',
+  'sender.printToggle': 'Magdagdag ng tagubilin sa pag-print',
+  'sender.printHint': 'Gagamitin sa mga susunod na file na pipiliin mo. Baguhin ang nakapilang file gamit ang printer button nito.',
+  'sender.snippetLabel': 'Magpadala ng text o link',
+  'sender.snippetPlaceholder': 'Order number, URL, mga paalala...',
+  'sender.paste': 'I-paste',
+  'sender.sendText': 'Ipadala ang Text',
+  'sender.snippetSent': 'Naipadala sa tindahan.',
+  'sender.printJobs': 'Iyong mga print job',
+  'sender.fromShop': 'Mula sa tindahan',
+  'sender.receiving': 'Tinatanggap ang {name}...',
+  'sender.disconnect': 'Idiskonekta',
+
+  'queue.title': 'Pila ({done}/{total})',
+  'queue.status.queued': 'nakapila',
+  'queue.status.sending': 'ipinapadala',
+  'queue.status.done': 'tapos',
+  'queue.status.failed': 'pumalya',
+  'queue.print': 'Tagubilin sa pag-print',
+  'queue.up': 'Iakyat',
+  'queue.down': 'Ibaba',
+  'queue.cancel': 'Kanselahin',
+  'queue.removePrint': 'Alisin ang tagubilin sa pag-print',
+  'queue.addPrint': '+ Magdagdag ng tagubilin sa pag-print',
+  'queue.notSmaller': 'hindi lumiit, inalis ang metadata',
+
+  // Notifications and screen-reader announcements
+  'notify.newFile': 'Bagong file: {name}',
+  'notify.newFileBody': '{size} mula kay {peer}',
+  'notify.newText': 'Bagong text mula sa customer',
+  'announce.online': 'Bukas na ang room {room} at naghihintay ng mga customer.',
+  'announce.customerJoined': 'May kumonektang customer.',
+  'announce.customerLeft': 'May customer na nadiskonekta.',
+  'announce.counterRequest': 'May isa pang counter na gustong sumali sa room na ito.',
+  'announce.approval': 'Naghihintay ng iyong pag-apruba ang {name}.',
+  'announce.connected': 'Nakakonekta sa {room}.',
+  'announce.ready': 'Puwede ka nang magpadala ng mga file.',
+  'announce.disconnected': 'Naputol ang koneksyon sa tindahan.',
+  'announce.progress': '{name}: {percent}% naipadala na.',
+  'announce.sent': 'Naipadala at naberipika ang {name}.',
+  'announce.failed': 'Hindi naipadala ang {name}. {reason}',
+  'announce.fromShop': 'Pinadalhan ka ng tindahan ng {name}.',
+
+  // Reasons from the transfer protocol
+  'reason.wrongPin': 'Mali ang PIN.',
+  'reason.pinLocked': 'Masyadong maraming maling PIN. Subukang muli pagkalipas ng {seconds} segundo.',
+  'reason.pinDropped': 'Masyadong maraming maling PIN. Nadiskonekta.',
+  'reason.pinFirst': 'Ilagay muna ang PIN ng room.',
+  'reason.notSignedIn': 'Hindi pa nakapasok sa room na ito.',
+  'reason.invalidRequest': 'Hindi wastong kahilingan: {error}',
+  'reason.tooLarge': 'Lampas ang file sa {limit} MB na limitasyon ng tindahan.',
+  'reason.typeNotAllowed': 'Ito lang ang tinatanggap ng tindahan: {types}.',
+  'reason.fileLimit': 'Naabot na ang limitasyong {count} file bawat customer.',
+  'reason.declined': 'Tinanggihan ng tindahan ang file na ito.',
+  'reason.shopCancelled': 'Kinansela ng tindahan ang file na ito.',
+  'reason.snippetTooLong': 'Masyadong mahaba ang teksto. Ipadala ito bilang file.',
+  'reason.nothingToSend': 'Walang maipapadala.',
+  'reason.hostStoreFailed': 'Hindi maitabi ng host ang file: {error}',
+  'reason.hostSaveFailed': 'Hindi ma-save ng host ang file: {error}',
+  'reason.hostNeverReceived': 'Hindi natanggap ng host ang file na ito.',
+  'reason.storeFailed': 'Hindi maitabi ang file: {error}',
+  'reason.customerSaveFailed': 'Hindi ma-save ng customer ang file: {error}',
+  'reason.customerNeverReceived': 'Hindi natanggap ng customer ang file na ito.',
+  'reason.readFailed': 'Hindi mabasa ang file: {error}',
+  'reason.fileChanged': 'Nagbago ang file habang ipinapadala.',
+  'reason.integrityFailed': 'Hindi pumasa sa integrity check.',
+  'reason.noChecksum': 'Walang ibinigay na checksum ang nagpadala.',
+  'reason.sizeMismatch': 'Hindi tugma ang laki: {received} sa {size} bytes ang natanggap.',
+  'reason.checksumMismatch': 'Hindi tugma ang checksum: sira ang file.',
+  'reason.decryptFailed': 'Hindi ma-decrypt ang file.',
+  'reason.encryptFailed': 'Hindi ma-set up ang encryption para sa file: {error}',
+  'reason.notConnected': 'Hindi nakakonekta sa tindahan.',
+  'reason.connectionLost': 'Naputol ang koneksyon bago dumating ang file.',
+  'reason.snippetLost': 'Naputol ang koneksyon bago ito natanggap ng tindahan.',
+  'reason.disconnected': 'Nadiskonekta.',
+  'reason.customerGone': 'Hindi na nakakonekta ang customer na iyon.',
+  'reason.customerReconnected': 'Muling kumonekta ang customer.',
+  'reason.customerDisconnected': 'Nadiskonekta ang customer.'
+};
@@ -0,0 +1,57 @@
+// Structured app/transfer log kept in a fixed-size ring buffer, so a host left
+// running all day does not grow without bound. Entries:
+//   { id, time, level, category, peer, fileId, message }
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+export const LOG_CATEGORIES = ['app', 'connection', 'auth', 'transfer', 'crypto', 'storage', 'network'];
+export const LOG_LIMIT = 2000;
+
+export const createLogBuffer = (limit = LOG_LIMIT) => {
+  const entries = new Array(limit);
+  let next = 0; // Slot the next entry goes into
+  let size = 0;
+  let counter = 0;
+
+  const push = (message, { level = 'info', category = 'app', peer = null, fileId = null } = {}) => {
+    const entry = { id: ++counter, time: Date.now(), level, category, peer, fileId, message };
+    entries[next] = entry;
+    next = (next + 1) % limit;
+    size = Math.min(size + 1, limit);
+    return entry;
+  };
+
+  // Newest first
+  const toArray = () => {
+    const list = [];
+    for (let i = 1; i <= size; i++) list.push(entries[(next - i + limit) % limit]);
+    return list;
+  };
+
+  const clear = () => {
+    entries.fill(undefined);
+    next = 0;
+    size = 0;
+  };
+
+  return { push, toArray, clear, get size() { return size; } };
+};
+
+// minLevel: show this level and anything more severe; category: 'all' or one of LOG_CATEGORIES
+export const filterLogs = (entries, { minLevel = 'debug', category = 'all' } = {}) => {
+  const floor = LOG_LEVELS.indexOf(minLevel);
+  return entries.filter(entry => LOG_LEVELS.indexOf(entry.level) >= floor &&
+    (category === 'all' || entry.category === category));
+};
+
+export const formatLogLine = (entry) => {
+  const time = new Date(entry.time).toISOString();
+  const context = [entry.peer && `peer=${entry.peer}`, entry.fileId && `file=${entry.fileId}`].filter(Boolean).join(' ');
+  return `${time} ${entry.level.toUpperCase().padEnd(5)} [${entry.category}] ${entry.message}${context ? ` (${context})` : ''}`;
+};
+
+// Oldest first, the order a bug report reads in
+export const exportLogs = (entries, format) => {
+  const ordered = [...entries].reverse();
+  return format === 'json'
+    ? JSON.stringify(ordered, null, 2)
+    : ordered.map(formatLogLine).join('\n');
+};
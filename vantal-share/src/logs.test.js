@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogBuffer, exportLogs, filterLogs, formatLogLine } from './logs.js';
+
+const entry = (id, level, category, fields = {}) => ({
+  id, time: Date.UTC(2024, 0, 2, 3, 4, id), level, category, peer: null, fileId: null, message: `entry ${id}`, ...fields
+});
+
+test('keeps the newest entries once the ring buffer wraps', () => {
+  const logs = createLogBuffer(3);
+  assert.deepEqual(logs.toArray(), []);
+  ['one', 'two'].forEach(message => logs.push(message));
+  assert.deepEqual(logs.toArray().map(e => e.message), ['two', 'one']);
+
+  ['three', 'four', 'five'].forEach(message => logs.push(message));
+  assert.equal(logs.size, 3);
+  assert.deepEqual(logs.toArray().map(e => e.message), ['five', 'four', 'three']);
+  assert.deepEqual(logs.toArray().map(e => e.id), [5, 4, 3]);
+
+  logs.clear();
+  assert.equal(logs.size, 0);
+  assert.deepEqual(logs.toArray(), []);
+  assert.equal(logs.push('six').id, 6);
+  assert.deepEqual(logs.toArray().map(e => e.message), ['six']);
+});
+
+test('fills in defaults for a log entry', () => {
+  const logs = createLogBuffer(2);
+  const pushed = logs.push('Hello', { level: 'warn', peer: 'abc' });
+  assert.deepEqual({ ...pushed, time: 0 }, {
+    id: 1, time: 0, level: 'warn', category: 'app', peer: 'abc', fileId: null, message: 'Hello'
+  });
+  assert.equal(typeof pushed.time, 'number');
+});
+
+test('filters by minimum level and category', () => {
+  const entries = [
+    entry(4, 'error', 'transfer'),
+    entry(3, 'warn', 'auth'),
+    entry(2, 'info', 'transfer'),
+    entry(1, 'debug', 'crypto')
+  ];
+  const ids = (options) => filterLogs(entries, options).map(e => e.id);
+  assert.deepEqual(ids(), [4, 3, 2, 1]);
+  assert.deepEqual(ids({ minLevel: 'info' }), [4, 3, 2]);
+  assert.deepEqual(ids({ minLevel: 'error' }), [4]);
+  assert.deepEqual(ids({ category: 'transfer' }), [4, 2]);
+  assert.deepEqual(ids({ minLevel: 'warn', category: 'transfer' }), [4]);
+  assert.deepEqual(ids({ category: 'storage' }), []);
+});
+
+test('exports oldest first as text or JSON', () => {
+  const entries = [
+    entry(2, 'error', 'transfer', { peer: 'p1', fileId: 'f1' }),
+    entry(1, 'info', 'app')
+  ];
+  assert.equal(formatLogLine(entries[1]), '2024-01-02T03:04:01.000Z INFO  [app] entry 1');
+  assert.equal(exportLogs(entries, 'text'), [
+    '2024-01-02T03:04:01.000Z INFO  [app] entry 1',
+    '2024-01-02T03:04:02.000Z ERROR [transfer] entry 2 (peer=p1 file=f1)'
+  ].join('\n'));
+
+  const json = exportLogs(entries, 'json');
+  assert.deepEqual(JSON.parse(json), [entries[1], entries[0]]);
+  assert.equal(entries[0].id, 2); // The caller's list is not reordered
+});
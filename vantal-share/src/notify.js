@@ -0,0 +1,27 @@
+// Desktop notifications for the host while its tab is in the background.
+// Shown through the service worker where there is one (required on Android).
+export const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+export const notificationsAllowed = () => notificationsSupported() && Notification.permission === 'granted';
+
+// Must be called from a click; resolves true once notifications may be shown
+export const requestNotifications = async () => {
+  if (!notificationsSupported()) return false;
+  if (Notification.permission === 'granted') return true;
+  return (await Notification.requestPermission()) === 'granted';
+};
+
+export const showNotification = async (title, body, tag = 'vantal-arrival') => {
+  if (!notificationsAllowed()) return;
+  const options = { body, tag, icon: '/icon.svg', renotify: true };
+  const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+  if (registration) {
+    await registration.showNotification(title, options);
+  } else {
+    const notification = new Notification(title, options);
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+    };
+  }
+};
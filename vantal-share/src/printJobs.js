@@ -0,0 +1,44 @@
+// Print instructions a customer attaches to a file, and the statuses the shop
+// moves the job through. The wire format and limits live in protocol/messages.js.
+import { MAX_JOB_COPIES, MAX_JOB_NOTE_LENGTH } from './protocol/index.js';
+import { translate } from './i18n.js';
+
+export const PAPER_SIZES = ['A4', 'Letter', 'Legal', 'Long (8.5x13)', 'A3'];
+
+export const DEFAULT_JOB = {
+  copies: 1,
+  color: false,
+  paper: 'A4',
+  duplex: false,
+  note: ''
+};
+
+export const JOB_STATUS_LABELS = {
+  received: 'Received',
+  printing: 'Printing',
+  ready: 'Ready for pickup',
+  'picked-up': 'Picked up'
+};
+
+// Form values -> the job sent with file-start (clamped, blank note dropped)
+export const toPrintJob = (form) => {
+  const copies = Math.min(MAX_JOB_COPIES, Math.max(1, Math.floor(Number(form.copies)) || 1));
+  const note = (form.note || '').trim().slice(0, MAX_JOB_NOTE_LENGTH);
+  return {
+    copies,
+    color: !!form.color,
+    paper: form.paper || DEFAULT_JOB.paper,
+    duplex: !!form.duplex,
+    ...(note ? { note } : {})
+  };
+};
+
+const english = (key, params) => translate('en', key, params);
+
+// "2 copies • B&W • A4 • Double-sided", in the UI language when given its `t`
+export const describeJob = (job, t = english) => [
+  t('job.copyCount', { count: job.copies }),
+  job.color ? t('job.color') : t('job.blackWhite'),
+  job.paper,
+  job.duplex ? t('job.duplex') : t('job.singleSided')
+].join(' • ');
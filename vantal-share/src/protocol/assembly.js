@@ -0,0 +1,130 @@
+// Receiving half of a file, shared by both ends: reassembles chunks into a
+// storage sink in offset order, decrypts them if the file is encrypted and
+// verifies the checksum at the end. The owner decides whether to accept a
+// file and wires rewind() to a file-ready for the sending peer.
+import { createSha256 } from '../sha256.js';
+import { GCM_TAG_BYTES, decryptChunk } from '../e2e.js';
+import { createReason } from './reasons.js';
+
+// fileKey: promise of the AES-GCM key, or null for a plaintext transfer
+export const createAssembly = (start, sink, fileKey) => {
+  if (fileKey) fileKey.catch(() => {}); // Reported when the first chunk fails to decrypt
+  return {
+    fileId: start.fileId,
+    name: start.name,
+    path: start.path || start.name,
+    size: start.size,
+    type: start.mime,
+    transform: start.transform || null,
+    job: start.job || null,
+    origin: start.origin || null,
+    received: 0,
+    chunkCount: 0,
+    sink,
+    lastLog: 0,
+    hash: start.hash,
+    hasher: createSha256(),
+    fileKey,
+    pending: Promise.resolve(), // Decryption runs in order through this chain
+    decryptError: null,
+    awaitingOffset: false
+  };
+};
+
+// Returns true if the chunk was taken. Duplicates are dropped; on a gap
+// rewind(received) is called once so the peer resends from there.
+export const writeChunk = (buffer, data, { log, rewind }) => {
+  const { fileId, chunk } = data;
+  const encrypted = !!(data.iv && buffer.fileKey);
+  const length = encrypted ? chunk.byteLength - GCM_TAG_BYTES : chunk.byteLength;
+
+  // Chunks carry their byte offset; drop duplicates and rewind the sender on gaps
+  if (data.offset !== buffer.received) {
+    if (data.offset < buffer.received) {
+      log(`Dropping duplicate chunk at ${data.offset} for ${fileId}.`, { level: 'debug' });
+    } else if (!buffer.awaitingOffset) {
+      log(`Gap detected at ${buffer.received} (got ${data.offset}). Asking sender to rewind.`, { level: 'warn' });
+      buffer.awaitingOffset = true;
+      rewind(buffer.received);
+    }
+    return false;
+  }
+  if (length < 0 || buffer.received + length > buffer.size) {
+    log(`Dropping chunk at ${data.offset} for ${fileId}: it runs past the announced size.`, { level: 'warn' });
+    return false;
+  }
+  buffer.awaitingOffset = false;
+  buffer.chunkCount++;
+  buffer.received += length;
+
+  if (encrypted) {
+    const aad = `${fileId}:${data.offset}`;
+    buffer.pending = buffer.pending
+      .then(() => buffer.fileKey)
+      .then(key => decryptChunk(key, { iv: data.iv, data: chunk }, aad))
+      .then(plain => {
+        buffer.sink.write(plain);
+        buffer.hasher.update(plain);
+      })
+      .catch(e => {
+        if (!buffer.decryptError) log(`Decryption failed for ${fileId}: ${e.message || e.name}`, { level: 'error', category: 'crypto' });
+        buffer.decryptError = buffer.decryptError || createReason('decryptFailed');
+      });
+  } else {
+    buffer.sink.write(chunk);
+    buffer.hasher.update(chunk);
+  }
+
+  // Detailed Log for the first chunk to prove it arrived
+  if (buffer.chunkCount === 1) {
+    log(`First Chunk Received! Size: ${length} bytes${encrypted ? ' (encrypted)' : ''}.`, { level: 'debug' });
+  }
+
+  // Log progress every 20%
+  if (buffer.size > 0) {
+    const percent = Math.floor((buffer.received / buffer.size) * 100);
+    if (percent % 20 === 0 && percent !== buffer.lastLog) {
+      log(`Receiving... ${percent}%`, { level: 'debug' });
+      buffer.lastLog = percent;
+    }
+  }
+  return true;
+};
+
+// On file-end: true once every byte is in. Otherwise asks for the missing
+// bytes (unless a rewind is already pending) and the peer ends again later.
+export const isComplete = (buffer, { log, rewind }) => {
+  if (buffer.received >= buffer.size) return true;
+  if (buffer.awaitingOffset) {
+    log(`Waiting for ${buffer.fileId} to resend from ${buffer.received} bytes.`, { level: 'debug' });
+  } else {
+    log(`File end arrived at ${buffer.received} of ${buffer.size} bytes. Asking sender to rewind.`, { level: 'warn' });
+    buffer.awaitingOffset = true;
+    rewind(buffer.received);
+  }
+  return false;
+};
+
+// Verify and close the sink. Resolves { digest, problem, blob }, problem being a
+// { reason, code, params } or null; rejects if the sink cannot be saved.
+export const finishAssembly = async (buffer, expectedHash, log) => {
+  log(`Finalizing: ${buffer.chunkCount} chunks collected. Total: ${buffer.received} bytes.`, { level: 'debug' });
+  await buffer.pending;
+
+  const digest = buffer.hasher.digest();
+  const expected = expectedHash || buffer.hash;
+  let problem = null;
+  if (buffer.decryptError) {
+    problem = buffer.decryptError;
+  } else if (!expected) {
+    problem = createReason('noChecksum');
+  } else if (buffer.received !== buffer.size) {
+    problem = createReason('sizeMismatch', { received: buffer.received, size: buffer.size });
+  } else if (digest !== expected) {
+    problem = createReason('checksumMismatch');
+  }
+  log(problem ? `INTEGRITY FAILED: ${buffer.name}. ${problem.reason}` : `Integrity OK: sha256 ${digest.slice(0, 16)}…`, { level: problem ? 'error' : 'info' });
+
+  const blob = await buffer.sink.close();
+  return { digest, problem, blob };
+};
@@ -0,0 +1,29 @@
+// Minimal event emitter; the protocol runs in browsers and Node alike.
+export const createEmitter = () => {
+  const listeners = new Map();
+
+  const on = (event, fn) => {
+    if (!listeners.has(event)) listeners.set(event, new Set());
+    listeners.get(event).add(fn);
+    return () => off(event, fn);
+  };
+
+  const off = (event, fn) => {
+    if (listeners.has(event)) listeners.get(event).delete(fn);
+  };
+
+  const once = (event, fn) => {
+    const unsubscribe = on(event, (...args) => {
+      unsubscribe();
+      fn(...args);
+    });
+    return unsubscribe;
+  };
+
+  const emit = (event, ...args) => {
+    if (!listeners.has(event)) return;
+    [...listeners.get(event)].forEach(fn => fn(...args));
+  };
+
+  return { on, off, once, emit };
+};
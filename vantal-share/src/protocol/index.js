@@ -0,0 +1,20 @@
+// VantalShare transfer protocol. No React or PeerJS in here: plug any
+// transport into createSender / createReceiver and listen to their events.
+export {
+  PROTOCOL_VERSION,
+  MAX_SNIPPET_LENGTH,
+  MAX_JOB_COPIES,
+  MAX_JOB_NOTE_LENGTH,
+  JOB_STATUSES,
+  MSG,
+  validateMessage,
+  createMessage,
+  createId
+} from './messages.js';
+export { createEmitter } from './emitter.js';
+export { DEFAULT_POLICY, matchesAllowedTypes, checkPolicy } from './policy.js';
+export { REASONS, reasonText, createReason, reasonOf } from './reasons.js';
+export { createPeerTransport, createLoopback } from './transport.js';
+export { OUTGOING_DEFAULTS, createOutgoing } from './outgoing.js';
+export { SENDER_DEFAULTS, createSender } from './sender.js';
+export { RECEIVER_DEFAULTS, createReceiver } from './receiver.js';
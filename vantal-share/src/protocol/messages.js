@@ -0,0 +1,133 @@
+// Wire format shared by every VantalShare peer.
+// Each message is a plain object { v, type, ...fields }. Bump PROTOCOL_VERSION
+// whenever a change would confuse an older peer; validateMessage() refuses
+// anything from a different version instead of guessing.
+
+// 2: file messages flow both ways (the host can send files back)
+// 3: text snippets
+// 4: print job options on file-start, job-status updates from the host
+// 5: shared rooms: file-start names the customer a relayed file came from,
+//    and counters send job-status back up to the main host
+// 6: file-ready hands out a resume token; resuming from a new peer ID needs it
+// 7: refusals and failures carry a reason code and params next to the text
+// 8: auth-ok hands out a visit token; file-start returns it after a reconnect
+export const PROTOCOL_VERSION = 8;
+
+export const MAX_SNIPPET_LENGTH = 64 * 1024; // Characters; longer text belongs in a file
+export const MAX_JOB_COPIES = 999;
+export const MAX_JOB_NOTE_LENGTH = 500;
+// A print job moves through these in order once the host has the file
+export const JOB_STATUSES = ['received', 'printing', 'ready', 'picked-up'];
+
+export const MSG = {
+  HELLO: 'hello', // host -> sender: protocol version + ECDH public key (or null)
+  KEY_EXCHANGE: 'key-exchange', // sender -> host: ECDH public key
+  AUTH_CHALLENGE: 'auth-challenge', // host -> sender: nonce for the room PIN
+  AUTH_RESPONSE: 'auth-response', // sender -> host: HMAC proof
+  AUTH_OK: 'auth-ok', // host -> sender: files may be sent
+  AUTH_FAIL: 'auth-fail', // host -> sender: wrong PIN / locked out
+  // File messages go either way; "from"/"to" are the ends of one transfer
+  FILE_START: 'file-start', // from: metadata, asks to send a file
+  FILE_READY: 'file-ready', // to: accepted; stream from this offset
+  FILE_REJECT: 'file-reject', // to: refused, with a reason
+  STREAM_CHUNK: 'stream-chunk', // from: bytes at an offset
+  FILE_END: 'file-end', // from: all bytes sent
+  FILE_ACK: 'file-ack', // to: checksum verified or not
+  FILE_CANCEL: 'file-cancel', // from: abandon a file
+  SNIPPET: 'snippet', // sender -> host: a block of text, link or clipboard contents
+  SNIPPET_ACK: 'snippet-ack', // host -> sender: snippet delivered (or refused, with a reason)
+  JOB_STATUS: 'job-status' // host -> sender, or counter -> main host: a print job moved on
+};
+
+// Field specs: type name, with a trailing "?" for optional (undefined or null)
+const SCHEMA = {
+  [MSG.HELLO]: { publicKey: 'binary?' },
+  [MSG.KEY_EXCHANGE]: { publicKey: 'binary' },
+  [MSG.AUTH_CHALLENGE]: { nonce: 'string' },
+  [MSG.AUTH_RESPONSE]: { proof: 'string' },
+  [MSG.AUTH_OK]: { visitToken: 'string?' }, // Names this customer's visit for per-customer limits
+  // reason: English text; code + params: see reasons.js
+  [MSG.AUTH_FAIL]: { reason: 'string', code: 'reasonCode', params: 'reasonParams?', final: 'boolean?' },
+  [MSG.FILE_START]: {
+    fileId: 'string',
+    name: 'string',
+    path: 'string?',
+    size: 'size',
+    mime: 'string?',
+    hash: 'string?',
+    encKey: 'wrappedKey?',
+    resume: 'boolean?',
+    resumeToken: 'string?', // From the first file-ready, to resume after a reconnect
+    visitToken: 'string?', // From the first auth-ok, so a reconnect keeps counting toward the same limits
+    transform: 'transform?', // The file was changed before sending (e.g. a resized photo)
+    job: 'printJob?', // Print instructions from the customer
+    origin: 'string?' // Customer the main host received this from, when relaying it to a counter
+  },
+  [MSG.FILE_READY]: { fileId: 'string', received: 'size', resumeToken: 'string?' },
+  [MSG.FILE_REJECT]: { fileId: 'string', reason: 'string', code: 'reasonCode', params: 'reasonParams?' },
+  [MSG.STREAM_CHUNK]: { fileId: 'string', offset: 'size', chunk: 'binary', iv: 'binary?' },
+  [MSG.FILE_END]: { fileId: 'string', hash: 'string?' },
+  [MSG.FILE_ACK]: { fileId: 'string', verified: 'boolean', reason: 'string?', code: 'reasonCode?', params: 'reasonParams?' },
+  [MSG.FILE_CANCEL]: { fileId: 'string' },
+  [MSG.SNIPPET]: { snippetId: 'string', text: 'string' },
+  [MSG.SNIPPET_ACK]: { snippetId: 'string', reason: 'string?', code: 'reasonCode?', params: 'reasonParams?' },
+  [MSG.JOB_STATUS]: { fileId: 'string', status: 'jobStatus' }
+};
+
+const isBinary = (value) => value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+const optional = (value, check) => value === undefined || check(value);
+
+const CHECKS = {
+  string: (value) => typeof value === 'string',
+  boolean: (value) => typeof value === 'boolean',
+  size: (value) => Number.isSafeInteger(value) && value >= 0,
+  binary: isBinary,
+  wrappedKey: (value) => typeof value === 'object' && isBinary(value.iv) && isBinary(value.wrapped),
+  // { kind, originalName, originalSize, originalType?, width?, height?, quality? }
+  transform: (value) => typeof value === 'object' &&
+    CHECKS.string(value.kind) && CHECKS.string(value.originalName) && CHECKS.size(value.originalSize) &&
+    optional(value.originalType, CHECKS.string) &&
+    optional(value.width, CHECKS.size) && optional(value.height, CHECKS.size) &&
+    optional(value.quality, (quality) => typeof quality === 'number' && quality > 0 && quality <= 1),
+  // { copies, color, paper, duplex, note? }
+  printJob: (value) => typeof value === 'object' &&
+    Number.isSafeInteger(value.copies) && value.copies >= 1 && value.copies <= MAX_JOB_COPIES &&
+    CHECKS.boolean(value.color) && CHECKS.boolean(value.duplex) &&
+    CHECKS.string(value.paper) && value.paper.length <= 32 &&
+    optional(value.note, (note) => CHECKS.string(note) && note.length <= MAX_JOB_NOTE_LENGTH),
+  jobStatus: (value) => JOB_STATUSES.includes(value),
+  reasonCode: (value) => typeof value === 'string' && /^\w{1,64}$/.test(value),
+  // { name: string | number } for the reason's placeholders
+  reasonParams: (value) => typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(param => typeof param === 'string' || Number.isFinite(param))
+};
+
+// Returns { ok: true } or { ok: false, error }
+export const validateMessage = (message) => {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return { ok: false, error: 'Message is not an object.' };
+  }
+  if (message.v !== PROTOCOL_VERSION) {
+    return { ok: false, error: `Unsupported protocol version ${message.v} (expected ${PROTOCOL_VERSION}).` };
+  }
+  const schema = SCHEMA[message.type];
+  if (!schema) {
+    return { ok: false, error: `Unknown message type "${message.type}".` };
+  }
+  for (const [field, spec] of Object.entries(schema)) {
+    const optional = spec.endsWith('?');
+    const value = message[field];
+    if (value === undefined || value === null) {
+      if (optional) continue;
+      return { ok: false, error: `${message.type}: missing "${field}".` };
+    }
+    if (!CHECKS[optional ? spec.slice(0, -1) : spec](value)) {
+      return { ok: false, error: `${message.type}: invalid "${field}".` };
+    }
+  }
+  return { ok: true };
+};
+
+export const createMessage = (type, fields = {}) => ({ v: PROTOCOL_VERSION, type, ...fields });
+
+export const createId = () => Math.random().toString(36).substr(2, 9);
@@ -0,0 +1,328 @@
+// Sending half of a connection, shared by both ends: one file at a time with
+// resume offsets, backpressure, adaptive chunk sizes and optional end-to-end
+// encryption. The owner handles the handshake and tells this when the peer
+// is reachable; file-ready / file-reject / file-ack from the peer come in
+// through handleReady / handleReject / handleAck.
+//
+// Emits (through options.emit): stage, progress, stats, paused, complete, error, cancelled
+import { MSG, createMessage, createId } from './messages.js';
+import { createReason, reasonOf } from './reasons.js';
+import { hashBlob } from '../sha256.js';
+import { createFileKey, wrapFileKey, encryptChunk } from '../e2e.js';
+
+export const OUTGOING_DEFAULTS = {
+  minChunkSize: 16 * 1024, // 16KB safe chunk
+  maxChunkSize: 256 * 1024,
+  chunkTargetMs: 50, // Size chunks to carry ~50ms of measured throughput
+  bufferHigh: 4 * 1024 * 1024, // Pause reading when the channel holds this much
+  bufferLow: 1024 * 1024 // ...and continue once it drains below this
+};
+
+// options.getChannel() -> transport files may go out on now (connected and authenticated), or null
+// options.isConnected() -> a transport exists, even if the handshake is still running
+// options.getSessionKey() -> promise of the session key (or null) for the current channel
+// options.getVisitToken() -> the host's visit token to hand back on file-start (sender side only)
+// options.peer names the other side in log lines ("Host", "Customer")
+export const createOutgoing = (options) => {
+  const config = { ...OUTGOING_DEFAULTS, ...options };
+  const { emit, log, getChannel, isConnected, getSessionKey, getVisitToken = () => null, peer } = options;
+  let active = null; // Transfer currently hashing, announced or streaming
+  const pendingAcks = new Map(); // fileId -> transfer sent, awaiting verification by the peer
+
+  const setStage = (transfer, stage) => {
+    transfer.stage = stage;
+    emit('stage', { fileId: transfer.fileId, path: transfer.path, stage });
+  };
+
+  // reason: { reason, code, params } from reasons.js
+  const settle = (transfer, status, reason) => {
+    if (active === transfer) active = null;
+    pendingAcks.delete(transfer.fileId);
+    transfer.settle({ fileId: transfer.fileId, status, ...reason });
+  };
+
+  const fail = (transfer, reason) => {
+    setStage(transfer, 'failed');
+    emit('error', { fileId: transfer.fileId, ...reason });
+    settle(transfer, 'failed', reason);
+  };
+
+  // The connection dropped; the active file waits for resume()
+  const pause = () => {
+    if (!active && pendingAcks.size > 0) {
+      // file-end went out but the verdict never came back; ask again on reconnect
+      active = pendingAcks.values().next().value;
+      pendingAcks.delete(active.fileId);
+    }
+    const transfer = active;
+    if (!transfer || transfer.paused) return;
+    transfer.paused = true;
+    transfer.ready = false;
+    log(`Connection lost. Upload paused at ${transfer.offset} bytes.`, { level: 'warn', category: 'connection', fileId: transfer.fileId });
+    emit('paused', { fileId: transfer.fileId, offset: transfer.offset });
+  };
+
+  // The peer is reachable again (or for the first time): announce the active file
+  const resume = () => {
+    if (active && active.hash) announce(active);
+  };
+
+  // Send file-start on the current channel. After a reconnect this asks the
+  // peer how many bytes it already holds, re-wrapping the file key for the new session.
+  const announce = async (transfer) => {
+    const channel = getChannel();
+    if (!channel || transfer.announcedOn === channel) return;
+    transfer.announcedOn = channel;
+    transfer.ready = false;
+
+    const resuming = transfer.started;
+    let encKey;
+    try {
+      const sessionKey = await getSessionKey();
+      if (!resuming) {
+        // A fresh key per file, sent wrapped under the session key
+        transfer.fileKey = sessionKey ? await createFileKey() : null;
+      } else if (!sessionKey) {
+        transfer.fileKey = null;
+      }
+      encKey = transfer.fileKey ? await wrapFileKey(sessionKey, transfer.fileKey) : undefined;
+    } catch (e) {
+      if (active === transfer) fail(transfer, createReason('encryptFailed', { error: e.message }));
+      return;
+    }
+    if (active !== transfer || getChannel() !== channel) return;
+
+    log(resuming ? `Requesting resume offset for ${transfer.path}` : `Announcing ${transfer.path}`, { category: 'transfer', fileId: transfer.fileId });
+    channel.send(createMessage(MSG.FILE_START, {
+      fileId: transfer.fileId,
+      name: transfer.name,
+      path: transfer.path,
+      size: transfer.size,
+      mime: transfer.mime,
+      hash: transfer.hash,
+      encKey,
+      resume: resuming || undefined,
+      resumeToken: resuming ? transfer.resumeToken || undefined : undefined,
+      visitToken: getVisitToken() || undefined,
+      transform: transfer.transform || undefined,
+      job: transfer.job || undefined,
+      origin: transfer.origin || undefined
+    }));
+    transfer.started = true;
+    // Streaming starts in handleReady once the peer has accepted and created the buffer
+    setStage(transfer, 'awaiting');
+  };
+
+  // Peer acknowledged file-start (or asked for a rewind) with the offset it holds
+  const handleReady = ({ fileId, received, resumeToken }) => {
+    if (!active && pendingAcks.has(fileId)) {
+      // The peer found a gap after file-end went out; go back and fill it
+      active = pendingAcks.get(fileId);
+      pendingAcks.delete(fileId);
+    }
+    const transfer = active;
+    if (!transfer || transfer.fileId !== fileId) return;
+    if (received > transfer.size) {
+      log(`Ignored file-ready past the end of ${transfer.path}.`, { level: 'warn', category: 'transfer', fileId });
+      return;
+    }
+
+    if (resumeToken) transfer.resumeToken = resumeToken;
+    if (received !== transfer.offset) log(`${peer} has ${received} bytes. Continuing from there.`, { level: 'warn', category: 'transfer', fileId });
+    transfer.offset = received;
+    transfer.ready = true;
+    transfer.paused = false;
+    transfer.windowStart = performance.now();
+    transfer.windowBytes = 0;
+    setStage(transfer, 'sending');
+    pump(transfer);
+  };
+
+  // Peer refused the file (policy or staff decision) before any chunks were sent
+  const handleReject = (message) => {
+    const transfer = active;
+    if (!transfer || transfer.fileId !== message.fileId) return;
+    const reason = reasonOf(message);
+    log(`${peer} refused ${transfer.path}: ${reason.reason}`, { level: 'warn', category: 'transfer', fileId: message.fileId });
+    fail(transfer, reason);
+  };
+
+  const handleAck = (message) => {
+    const { fileId, verified } = message;
+    const transfer = pendingAcks.get(fileId);
+    if (!transfer) return;
+
+    if (verified) {
+      log(`${peer} verified ${transfer.path}.`, { category: 'transfer', fileId });
+      setStage(transfer, 'verified');
+      emit('complete', { fileId, path: transfer.path });
+      settle(transfer, 'verified');
+    } else {
+      const reason = reasonOf(message) || createReason('integrityFailed');
+      log(`${peer} rejected ${transfer.path}: ${reason.reason}`, { level: 'error', category: 'transfer', fileId });
+      fail(transfer, reason);
+    }
+  };
+
+  // Re-measure throughput about once a second and size chunks to match
+  const trackThroughput = (transfer, bytes) => {
+    const now = performance.now();
+    transfer.windowBytes += bytes;
+    const elapsed = now - transfer.windowStart;
+    if (elapsed < 1000) return;
+
+    const speed = (transfer.windowBytes * 1000) / elapsed;
+    transfer.speed = transfer.speed ? transfer.speed * 0.7 + speed * 0.3 : speed;
+    transfer.windowStart = now;
+    transfer.windowBytes = 0;
+
+    const { minChunkSize, maxChunkSize, chunkTargetMs } = config;
+    const target = Math.round((transfer.speed * chunkTargetMs) / 1000 / minChunkSize) * minChunkSize;
+    transfer.chunkSize = Math.min(maxChunkSize, Math.max(minChunkSize, target));
+    emit('stats', {
+      fileId: transfer.fileId,
+      speed: transfer.speed,
+      eta: (transfer.size - transfer.offset) / transfer.speed
+    });
+  };
+
+  // Streams chunks until the file ends or the transfer stops being current.
+  // Each call starts a new loop; older loops notice and bow out before sending.
+  const pump = async (transfer) => {
+    const loop = {};
+    transfer.loop = loop;
+    const channel = getChannel();
+    const isCurrent = () => transfer.loop === loop && active === transfer && transfer.ready &&
+      !transfer.paused && !!channel && getChannel() === channel && channel.open;
+
+    try {
+      while (isCurrent()) {
+        if (transfer.offset >= transfer.size) {
+          log('Upload Complete. Sending END signal.', { category: 'transfer', fileId: transfer.fileId });
+          channel.send(createMessage(MSG.FILE_END, { fileId: transfer.fileId, hash: transfer.hash }));
+          active = null;
+          pendingAcks.set(transfer.fileId, transfer);
+          setStage(transfer, 'verifying');
+          return;
+        }
+
+        // Backpressure: let the channel drain before reading more of the file
+        if (channel.bufferedAmount > config.bufferHigh) {
+          await channel.waitForDrain(config.bufferLow);
+          continue;
+        }
+
+        const offset = transfer.offset;
+        const chunk = await transfer.file.slice(offset, offset + transfer.chunkSize).arrayBuffer();
+        const sealed = transfer.fileKey
+          ? await encryptChunk(transfer.fileKey, chunk, `${transfer.fileId}:${offset}`)
+          : null;
+        if (!isCurrent()) return;
+        if (chunk.byteLength === 0) {
+          fail(transfer, createReason('fileChanged'));
+          return;
+        }
+        // The peer rewound us (file-ready) while this slice was being read
+        if (transfer.offset !== offset) continue;
+
+        channel.send(createMessage(MSG.STREAM_CHUNK, {
+          fileId: transfer.fileId,
+          offset,
+          chunk: sealed ? sealed.data : chunk,
+          iv: sealed ? sealed.iv : undefined
+        }));
+        transfer.offset += chunk.byteLength;
+        trackThroughput(transfer, chunk.byteLength);
+        emit('progress', { fileId: transfer.fileId, sent: transfer.offset, size: transfer.size });
+      }
+    } catch (e) {
+      if (active === transfer) fail(transfer, createReason('readFailed', { error: e.message }));
+    }
+  };
+
+  const prepare = async (transfer) => {
+    log(`Starting Upload: ${transfer.path}`, { category: 'transfer', fileId: transfer.fileId });
+    setStage(transfer, 'hashing');
+    try {
+      transfer.hash = await hashBlob(transfer.file);
+    } catch (e) {
+      if (active === transfer) fail(transfer, createReason('readFailed', { error: e.message }));
+      return;
+    }
+    if (active !== transfer) return;
+    log(`Checksum: sha256 ${transfer.hash.slice(0, 16)}…`, { level: 'debug', category: 'transfer', fileId: transfer.fileId });
+
+    // Without a connection it starts paused; reconnecting resumes it from offset 0
+    if (!isConnected()) pause();
+    else announce(transfer);
+  };
+
+  // Sends one file and resolves with { fileId, status: verified | failed | cancelled, reason, code, params }.
+  // transform describes how the file was changed from the original, job carries
+  // print instructions and origin names the customer of a relayed file (see messages.js).
+  const sendFile = (file, { path = file.name, fileId = createId(), transform = null, job = null, origin = null } = {}) => {
+    if (active) throw new Error('Another file is still being sent.');
+    const transfer = {
+      fileId,
+      file,
+      path,
+      name: file.name || path,
+      size: file.size,
+      mime: file.type || '',
+      transform,
+      job,
+      origin,
+      hash: null,
+      fileKey: null,
+      stage: '',
+      offset: 0,
+      ready: false, // Set once the peer answers file-start with file-ready
+      paused: false,
+      started: false, // file-start went out at least once, so later ones ask to resume
+      resumeToken: null, // Proves to the peer that a resume is ours
+      announcedOn: null,
+      loop: null,
+      chunkSize: config.minChunkSize,
+      speed: 0,
+      windowStart: 0,
+      windowBytes: 0
+    };
+    const result = new Promise((resolve) => {
+      transfer.settle = resolve;
+    });
+    active = transfer;
+    prepare(transfer);
+    return result;
+  };
+
+  const cancel = (fileId) => {
+    const transfer = active && active.fileId === fileId ? active : pendingAcks.get(fileId);
+    if (!transfer) return false;
+    const channel = getChannel();
+    if (active === transfer && transfer.started && channel && channel.open) {
+      channel.send(createMessage(MSG.FILE_CANCEL, { fileId }));
+    }
+    log(`Cancelled ${transfer.path}`, { category: 'transfer', fileId });
+    emit('cancelled', { fileId });
+    settle(transfer, 'cancelled');
+    return true;
+  };
+
+  // Settle every unfinished file: as failed with a reason, or as cancelled without one
+  const abort = (reason) => {
+    const transfers = [active, ...pendingAcks.values()].filter(Boolean);
+    transfers.forEach(transfer => (reason ? fail(transfer, reason) : settle(transfer, 'cancelled')));
+  };
+
+  return {
+    sendFile,
+    cancel,
+    pause,
+    resume,
+    abort,
+    handleReady,
+    handleReject,
+    handleAck,
+    isBusy: () => !!active
+  };
+};
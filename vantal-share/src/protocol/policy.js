@@ -0,0 +1,39 @@
+// Host transfer policies, checked against each file-start.
+// Empty strings / zero mean "no limit" so the values can come straight from inputs.
+import { createReason } from './reasons.js';
+
+export const DEFAULT_POLICY = {
+  requireApproval: false,
+  maxSizeMB: '',
+  allowedTypes: '',
+  maxFilesPerSender: ''
+};
+
+// Allowed types are comma separated: extensions (".pdf"), MIME types ("image/png") or wildcards ("image/*")
+export const matchesAllowedTypes = (name, mime, allowed) => {
+  const rules = (allowed || '').split(',').map(rule => rule.trim().toLowerCase()).filter(Boolean);
+  if (rules.length === 0) return true;
+  const lowerName = name.toLowerCase();
+  const lowerMime = (mime || '').toLowerCase();
+  return rules.some(rule => {
+    if (rule.startsWith('.')) return lowerName.endsWith(rule);
+    if (rule.endsWith('/*')) return lowerMime.startsWith(rule.slice(0, -1));
+    return lowerMime === rule;
+  });
+};
+
+// Returns the reason ({ reason, code, params }) a file-start breaks the policy, or null if it is allowed
+export const checkPolicy = (policy, { name, size, mime }, acceptedCount) => {
+  const maxBytes = Number(policy.maxSizeMB) * 1024 * 1024;
+  if (maxBytes > 0 && size > maxBytes) {
+    return createReason('tooLarge', { limit: policy.maxSizeMB });
+  }
+  if (!matchesAllowedTypes(name, mime, policy.allowedTypes)) {
+    return createReason('typeNotAllowed', { types: policy.allowedTypes });
+  }
+  const maxFiles = Number(policy.maxFilesPerSender);
+  if (maxFiles > 0 && acceptedCount >= maxFiles) {
+    return createReason('fileLimit', { count: maxFiles });
+  }
+  return null;
+};
@@ -0,0 +1,633 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PROTOCOL_VERSION,
+  MAX_SNIPPET_LENGTH,
+  MSG,
+  createMessage,
+  validateMessage,
+  createLoopback,
+  createSender,
+  createReceiver
+} from './index.js';
+import { createOutgoing } from './outgoing.js';
+
+// 1KB chunks so a few KB exercise many messages
+const SMALL_CHUNKS = { minChunkSize: 1024, maxChunkSize: 1024 };
+
+const makeFile = (size, name = 'file.bin') => {
+  const bytes = new Uint8Array(size);
+  for (let i = 0; i < size; i++) bytes[i] = (i * 31 + 7) & 255;
+  return new File([bytes], name, { type: 'application/octet-stream' });
+};
+
+const bytesOf = async (blob) => new Uint8Array(await blob.arrayBuffer());
+
+const waitFor = (emitter, event) => new Promise(resolve => emitter.once(event, resolve));
+
+const setup = ({ sender: senderOptions, receiver: receiverOptions } = {}) => {
+  const receiver = createReceiver(receiverOptions);
+  const sender = createSender({ ...SMALL_CHUNKS, ...senderOptions });
+  const completed = [];
+  const logs = [];
+  receiver.on('complete', file => completed.push(file));
+  receiver.on('log', message => logs.push(message));
+  const connect = (ids) => {
+    const link = createLoopback(ids);
+    receiver.addConnection(link.host);
+    sender.attach(link.sender);
+    return link;
+  };
+  return { receiver, sender, completed, logs, connect };
+};
+
+const sendWhenReady = async (sender, file, options) => {
+  await waitFor(sender, 'ready');
+  return sender.sendFile(file, options);
+};
+
+test('validateMessage accepts well-formed messages', () => {
+  assert.deepEqual(validateMessage(createMessage(MSG.AUTH_OK)), { ok: true });
+  assert.deepEqual(validateMessage(createMessage(MSG.HELLO, { publicKey: null })), { ok: true });
+  assert.deepEqual(validateMessage(createMessage(MSG.STREAM_CHUNK, {
+    fileId: 'a', offset: 0, chunk: new ArrayBuffer(4)
+  })), { ok: true });
+});
+
+test('validateMessage rejects malformed messages', () => {
+  const invalid = [
+    null,
+    'file-start',
+    [MSG.AUTH_OK],
+    { type: MSG.AUTH_OK },
+    { v: PROTOCOL_VERSION + 1, type: MSG.AUTH_OK },
+    createMessage('launch-missiles'),
+    createMessage(MSG.FILE_START, { fileId: 'a', size: 10 }),
+    createMessage(MSG.FILE_START, { fileId: 'a', name: 'x', size: -1 }),
+    createMessage(MSG.FILE_START, { fileId: 'a', name: 'x', size: 1.5 }),
+    createMessage(MSG.STREAM_CHUNK, { fileId: 'a', offset: 0, chunk: 'bytes' }),
+    createMessage(MSG.FILE_ACK, { fileId: 'a', verified: 'yes' }),
+    createMessage(MSG.FILE_START, { fileId: 'a', name: 'x', size: 1, transform: { kind: 'image' } }),
+    createMessage(MSG.FILE_START, {
+      fileId: 'a', name: 'x', size: 1, transform: { kind: 'image', originalName: 'x', originalSize: 5, quality: 4 }
+    }),
+    createMessage(MSG.FILE_START, { fileId: 'a', name: 'x', size: 1, job: { copies: 0, color: true, paper: 'A4', duplex: false } }),
+    createMessage(MSG.JOB_STATUS, { fileId: 'a', status: 'shredded' })
+  ];
+  invalid.forEach(message => {
+    const result = validateMessage(message);
+    assert.equal(result.ok, false, JSON.stringify(message));
+    assert.equal(typeof result.error, 'string');
+  });
+});
+
+test('sends an encrypted file end to end and verifies it', async () => {
+  const { sender, completed, connect } = setup();
+  const file = makeFile(5000, 'report.pdf');
+  const encryption = waitFor(sender, 'encryption');
+  connect();
+
+  const result = await sendWhenReady(sender, file, { path: 'docs/report.pdf' });
+  assert.equal(result.status, 'verified');
+  assert.equal((await encryption).enabled, true);
+  assert.equal(completed.length, 1);
+  assert.equal(completed[0].verified, true);
+  assert.equal(completed[0].encrypted, true);
+  assert.equal(completed[0].path, 'docs/report.pdf');
+  assert.deepEqual(await bytesOf(completed[0].blob), await bytesOf(file));
+});
+
+test('passes transform metadata for a resized file to the host', async () => {
+  const { sender, completed, connect } = setup();
+  connect();
+  const transform = {
+    kind: 'image',
+    originalName: 'IMG_0042.HEIC',
+    originalSize: 4200000,
+    originalType: 'image/heic',
+    width: 2048,
+    height: 1536,
+    quality: 0.8
+  };
+
+  const result = await sendWhenReady(sender, makeFile(3000, 'IMG_0042.jpg'), { transform });
+  assert.equal(result.status, 'verified');
+  assert.deepEqual(completed[0].transform, transform);
+});
+
+test('falls back to plaintext when encryption is off', async () => {
+  const { sender, completed, connect } = setup({ sender: { encryption: false } });
+  connect();
+
+  const result = await sendWhenReady(sender, makeFile(3000));
+  assert.equal(result.status, 'verified');
+  assert.equal(completed[0].encrypted, false);
+});
+
+test('streams chunks in offset order and files one after another', async () => {
+  const { sender, completed, connect } = setup();
+  const link = connect();
+  const offsets = [];
+  link.sender.intercept = (message) => {
+    if (message.type === MSG.STREAM_CHUNK) offsets.push(message.offset);
+    return message;
+  };
+
+  await waitFor(sender, 'ready');
+  const first = await sender.sendFile(makeFile(4096, 'a.bin'));
+  const second = await sender.sendFile(makeFile(2500, 'b.bin'));
+  assert.equal(first.status, 'verified');
+  assert.equal(second.status, 'verified');
+  assert.deepEqual(completed.map(f => f.name), ['a.bin', 'b.bin']);
+  assert.deepEqual(offsets, [0, 1024, 2048, 3072, 0, 1024, 2048]);
+});
+
+test('rewinds and refills a lost chunk', async () => {
+  const { sender, completed, logs, connect } = setup();
+  const link = connect();
+  let dropped = false;
+  link.sender.intercept = (message) => {
+    if (message.type === MSG.STREAM_CHUNK && message.offset === 2048 && !dropped) {
+      dropped = true;
+      return null;
+    }
+    return message;
+  };
+
+  const result = await sendWhenReady(sender, makeFile(6000));
+  assert.equal(result.status, 'verified');
+  assert.equal(completed[0].verified, true);
+  assert.ok(logs.some(line => line.startsWith('Gap detected')));
+});
+
+test('rewinds when the final chunk is lost', async () => {
+  const { sender, completed, connect } = setup();
+  const link = connect();
+  let dropped = false;
+  link.sender.intercept = (message) => {
+    if (message.type === MSG.STREAM_CHUNK && message.offset === 4096 && !dropped) {
+      dropped = true;
+      return null;
+    }
+    return message;
+  };
+
+  const result = await sendWhenReady(sender, makeFile(4500));
+  assert.equal(result.status, 'verified');
+  assert.equal(completed[0].size, 4500);
+});
+
+test('drops duplicate chunks', async () => {
+  const { sender, completed, logs, connect } = setup({ sender: { encryption: false } });
+  const link = connect();
+  let duplicated = false;
+  link.sender.intercept = (message) => {
+    if (message.type === MSG.STREAM_CHUNK && message.offset === 1024 && !duplicated) {
+      duplicated = true;
+      link.sender.send(message);
+    }
+    return message;
+  };
+
+  const result = await sendWhenReady(sender, makeFile(4096));
+  assert.equal(result.status, 'verified');
+  assert.deepEqual(await bytesOf(completed[0].blob), await bytesOf(makeFile(4096)));
+  assert.ok(logs.some(line => line.startsWith('Dropping duplicate chunk')));
+});
+
+test('resumes from the host offset after the connection drops', async () => {
+  const { receiver, sender, completed, connect } = setup();
+  const file = makeFile(8192);
+  const first = connect({ senderId: 'sender-1' });
+  // Drop the link once the host holds 3KB; chunks still in flight are lost
+  const stopListening = receiver.on('progress', ({ received }) => {
+    if (received === 3072) {
+      stopListening();
+      first.close();
+    }
+  });
+
+  await waitFor(sender, 'ready');
+  const result = sender.sendFile(file);
+  await waitFor(sender, 'paused');
+
+  // Reconnecting peers get a new ID; the host matches the partial file by fileId
+  const second = connect({ senderId: 'sender-2' });
+  const resent = [];
+  second.sender.intercept = (message) => {
+    if (message.type === MSG.FILE_START) assert.equal(message.resume, true);
+    if (message.type === MSG.STREAM_CHUNK) resent.push(message.offset);
+    return message;
+  };
+
+  assert.equal((await result).status, 'verified');
+  assert.equal(resent[0], 3072);
+  assert.equal(completed[0].verified, true);
+  assert.deepEqual(await bytesOf(completed[0].blob), await bytesOf(file));
+});
+
+test('does not let another sender claim a partial upload', async () => {
+  const { receiver, sender, completed, connect } = setup();
+  const file = makeFile(8192);
+  const first = connect({ senderId: 'sender-1' });
+  let fileId = null;
+  first.sender.intercept = (message) => {
+    if (message.type === MSG.FILE_START) fileId = message.fileId;
+    return message;
+  };
+  const stopListening = receiver.on('progress', ({ received }) => {
+    if (received === 3072) {
+      stopListening();
+      first.close();
+    }
+  });
+
+  await waitFor(sender, 'ready');
+  const result = sender.sendFile(file);
+  await waitFor(sender, 'paused');
+
+  // Someone else who learned the fileId asks to resume it without the token
+  const intruder = createLoopback({ senderId: 'intruder' });
+  const answers = [];
+  intruder.sender.on('data', message => answers.push(message));
+  receiver.addConnection(intruder.host);
+  intruder.sender.send(createMessage(MSG.FILE_START, { fileId, name: 'file.bin', size: 8192, resume: true }));
+  await new Promise(resolve => setTimeout(resolve, 20));
+  const ready = answers.find(message => message.type === MSG.FILE_READY);
+  assert.equal(ready.received, 0);
+  intruder.close();
+
+  // The real sender still resumes where it left off
+  const second = connect({ senderId: 'sender-2' });
+  const resent = [];
+  second.sender.intercept = (message) => {
+    if (message.type === MSG.STREAM_CHUNK) resent.push(message.offset);
+    return message;
+  };
+  assert.equal((await result).status, 'verified');
+  assert.equal(resent[0], 3072);
+  assert.deepEqual(await bytesOf(completed[0].blob), await bytesOf(file));
+});
+
+test('reports host policy rejections', async () => {
+  const { sender, completed, connect } = setup({
+    receiver: { getPolicy: () => ({ maxSizeMB: '0.001', allowedTypes: '', maxFilesPerSender: '' }) }
+  });
+  connect();
+
+  const result = await sendWhenReady(sender, makeFile(4096));
+  assert.equal(result.status, 'failed');
+  assert.match(result.reason, /limit/);
+  // The code and params cross the wire so the app can translate the refusal
+  assert.equal(result.code, 'tooLarge');
+  assert.deepEqual(result.params, { limit: '0.001' });
+  assert.equal(completed.length, 0);
+});
+
+test('keeps counting files per customer after a reconnect', async () => {
+  const { sender, completed, connect } = setup({
+    receiver: { getPolicy: () => ({ maxSizeMB: '', allowedTypes: '', maxFilesPerSender: '1' }) }
+  });
+  const first = connect({ senderId: 'sender-1' });
+  assert.equal((await sendWhenReady(sender, makeFile(2000))).status, 'verified');
+  first.close();
+
+  // A new peer ID, but the visit token from the first auth-ok comes back on file-start
+  connect({ senderId: 'sender-2' });
+  const result = await sendWhenReady(sender, makeFile(2000));
+  assert.equal(result.status, 'failed');
+  assert.equal(result.code, 'fileLimit');
+  assert.equal(completed.length, 1);
+});
+
+test('waits for staff approval', async () => {
+  const { receiver, sender, connect } = setup({
+    receiver: { getPolicy: () => ({ requireApproval: true, maxSizeMB: '', allowedTypes: '', maxFilesPerSender: '' }) }
+  });
+  receiver.on('approval-required', ({ senderId, fileId, start }) => {
+    if (start.name === 'ok.bin') receiver.approve(senderId, fileId);
+    else receiver.decline(senderId, fileId);
+  });
+  connect();
+
+  await waitFor(sender, 'ready');
+  assert.equal((await sender.sendFile(makeFile(2000, 'ok.bin'))).status, 'verified');
+  const declined = await sender.sendFile(makeFile(2000, 'nope.bin'));
+  assert.equal(declined.status, 'failed');
+  assert.match(declined.reason, /declined/);
+});
+
+test('requires the room PIN before accepting files', async () => {
+  const { sender, connect } = setup({ receiver: { pin: '4321' } });
+  const attempts = [];
+  sender.on('pin-required', () => sender.submitPin('0000'));
+  sender.on('auth-failed', ({ reason, code }) => {
+    attempts.push(reason, code);
+    sender.submitPin('4321');
+  });
+  connect();
+
+  const result = await sendWhenReady(sender, makeFile(1500));
+  assert.deepEqual(attempts, ['Wrong PIN.', 'wrongPin']);
+  assert.equal(result.status, 'verified');
+});
+
+test('locks out only the sender guessing the PIN', async () => {
+  const receiver = createReceiver({
+    pin: '4321',
+    pinAttemptsPerConnection: 10,
+    pinFailureLimit: 2,
+    pinRoomFailureLimit: 2,
+    pinRoomSlowdownMs: 20
+  });
+  const guesser = createSender(SMALL_CHUNKS);
+  const reasons = [];
+  guesser.on('pin-required', () => guesser.submitPin('0000'));
+  guesser.on('auth-failed', ({ reason }) => {
+    reasons.push(reason);
+    if (reasons.length < 3) guesser.submitPin('0000');
+  });
+  const first = createLoopback({ senderId: 'guesser' });
+  receiver.addConnection(first.host);
+  guesser.attach(first.sender);
+  await new Promise(resolve => guesser.on('auth-failed', () => reasons.length === 3 && resolve()));
+  assert.deepEqual(reasons.slice(0, 2), ['Wrong PIN.', 'Wrong PIN.']);
+  assert.match(reasons[2], /Try again in \d+ seconds/);
+
+  // The room is only slowed down for everyone else
+  const customer = createSender(SMALL_CHUNKS);
+  customer.on('pin-required', () => customer.submitPin('4321'));
+  const second = createLoopback({ senderId: 'customer' });
+  receiver.addConnection(second.host);
+  customer.attach(second.sender);
+  assert.equal((await sendWhenReady(customer, makeFile(1500))).status, 'verified');
+  receiver.close();
+});
+
+test('checks PINs one at a time across the room during a guessing spree', async () => {
+  const receiver = createReceiver({
+    pin: '4321',
+    pinFailureLimit: 10,
+    pinRoomFailureLimit: 1,
+    pinRoomSlowdownMs: 50
+  });
+  const guess = (senderId) => {
+    const sender = createSender(SMALL_CHUNKS);
+    sender.on('pin-required', () => sender.submitPin('0000'));
+    const link = createLoopback({ senderId });
+    receiver.addConnection(link.host);
+    sender.attach(link.sender);
+    return waitFor(sender, 'auth-failed');
+  };
+  await guess('first'); // Starts the spree
+
+  // New peer IDs in parallel still wait their turn
+  const started = Date.now();
+  const answered = await Promise.all(['a', 'b', 'c', 'd'].map(id => guess(id).then(() => Date.now() - started)));
+  assert.ok(Math.max(...answered) >= 4 * 50 * 0.9, `answered after ${answered.join(', ')} ms`);
+  receiver.close();
+});
+
+test('discards the partial file when a fresh file-start repeats its fileId', async () => {
+  const sinks = [];
+  const receiver = createReceiver({
+    createSink: () => {
+      const sink = { writes: 0, aborted: false, write: () => { sink.writes++; }, close: async () => new Blob([]), abort: () => { sink.aborted = true; } };
+      sinks.push(sink);
+      return sink;
+    }
+  });
+  const link = createLoopback({ senderId: 'sender-1' });
+  const answers = [];
+  link.sender.on('data', message => answers.push(message));
+  receiver.addConnection(link.host);
+  const start = createMessage(MSG.FILE_START, { fileId: 'f1', name: 'a.bin', size: 2048 });
+  link.sender.send(start);
+  link.sender.send(createMessage(MSG.STREAM_CHUNK, { fileId: 'f1', offset: 0, chunk: new ArrayBuffer(1024) }));
+  link.sender.send(start);
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  assert.equal(sinks.length, 2);
+  assert.equal(sinks[0].writes, 1);
+  assert.equal(sinks[0].aborted, true);
+  assert.equal(sinks[1].aborted, false);
+  assert.deepEqual(answers.filter(message => message.type === MSG.FILE_READY).map(message => message.received), [0, 0]);
+  receiver.close();
+});
+
+test('flags a corrupted plaintext payload', async () => {
+  const { sender, completed, connect } = setup({ sender: { encryption: false } });
+  const link = connect();
+  link.sender.intercept = (message) => {
+    if (message.type !== MSG.STREAM_CHUNK || message.offset !== 0) return message;
+    const chunk = new Uint8Array(message.chunk.slice(0));
+    chunk[10] ^= 0xff;
+    return { ...message, chunk: chunk.buffer };
+  };
+
+  const result = await sendWhenReady(sender, makeFile(3000));
+  assert.equal(result.status, 'failed');
+  assert.match(result.reason, /Checksum mismatch/);
+  assert.equal(completed[0].verified, false);
+});
+
+test('refuses tampered ciphertext', async () => {
+  const { sender, completed, connect } = setup();
+  const link = connect();
+  link.sender.intercept = (message) => {
+    if (message.type !== MSG.STREAM_CHUNK || message.offset !== 1024) return message;
+    const chunk = new Uint8Array(message.chunk.slice(0));
+    chunk[0] ^= 0x01;
+    return { ...message, chunk: chunk.buffer };
+  };
+
+  const result = await sendWhenReady(sender, makeFile(3000));
+  assert.equal(result.status, 'failed');
+  assert.match(result.reason, /decrypt/);
+  assert.equal(completed[0].verified, false);
+});
+
+test('fails the file when its key cannot be set up', async () => {
+  const sent = [];
+  const errors = [];
+  const outgoing = createOutgoing({
+    emit: (event, data) => event === 'error' && errors.push(data),
+    log: () => {},
+    getChannel: () => ({ open: true, send: message => sent.push(message) }),
+    isConnected: () => true,
+    getSessionKey: () => Promise.reject(new Error('key exchange broke')),
+    peer: 'Host'
+  });
+
+  const result = await outgoing.sendFile(makeFile(3000));
+  assert.equal(result.status, 'failed');
+  assert.equal(result.code, 'encryptFailed');
+  assert.deepEqual(result.params, { error: 'key exchange broke' });
+  assert.equal(errors.length, 1);
+  assert.equal(sent.length, 0);
+  assert.equal(outgoing.isBusy(), false);
+});
+
+test('survives malformed messages on both sides', async () => {
+  const { receiver, sender, connect } = setup();
+  const link = connect();
+  const hostErrors = [];
+  const senderErrors = [];
+  const rejections = [];
+  receiver.on('protocol-error', ({ error }) => hostErrors.push(error));
+  sender.on('protocol-error', ({ error }) => senderErrors.push(error));
+  link.host.intercept = (message) => {
+    if (message.type === MSG.FILE_REJECT) rejections.push(message.fileId);
+    return message;
+  };
+
+  await waitFor(sender, 'ready');
+  link.sender.send('garbage');
+  link.sender.send({ v: 99, type: MSG.FILE_END, fileId: 'x' });
+  link.sender.send(createMessage(MSG.STREAM_CHUNK, { fileId: 'x' }));
+  link.sender.send(createMessage(MSG.FILE_START, { fileId: 'broken', name: 'x', size: -5 }));
+  link.sender.send(createMessage(MSG.STREAM_CHUNK, { fileId: 'nobody', offset: 0, chunk: new ArrayBuffer(8) }));
+  link.host.send(42);
+  link.host.send(createMessage(MSG.FILE_ACK, { fileId: 7 }));
+
+  const result = await sender.sendFile(makeFile(2048));
+  assert.equal(result.status, 'verified');
+  assert.equal(hostErrors.length, 4);
+  assert.equal(senderErrors.length, 2);
+  assert.deepEqual(rejections, ['broken']);
+});
+
+test('cancels a file mid-transfer', async () => {
+  const { receiver, sender, completed, connect } = setup();
+  const link = connect();
+  let chunks = 0;
+  let result;
+  link.sender.intercept = (message) => {
+    if (message.type === MSG.STREAM_CHUNK && ++chunks === 2) {
+      setTimeout(() => sender.cancel('cancel-me'), 0);
+    }
+    return message;
+  };
+  const cancelled = new Promise(resolve => receiver.on('log', line => {
+    if (line.startsWith('Signal: FILE CANCEL')) resolve();
+  }));
+
+  await waitFor(sender, 'ready');
+  result = await sender.sendFile(makeFile(50000), { fileId: 'cancel-me' });
+  await cancelled;
+  assert.equal(result.status, 'cancelled');
+  assert.equal(completed.length, 0);
+});
+
+test('sends a file back from the host to a sender', async () => {
+  const { receiver, sender, connect } = setup({ receiver: SMALL_CHUNKS });
+  const received = [];
+  sender.on('received', file => received.push(file));
+  const link = connect({ senderId: 'customer' });
+  // One lost chunk on the way back is refilled the same way as on the way in
+  let dropped = false;
+  link.host.intercept = (message) => {
+    if (!dropped && message.type === MSG.STREAM_CHUNK && message.offset === 2048) {
+      dropped = true;
+      return null;
+    }
+    return message;
+  };
+  const file = makeFile(6000, 'scan.pdf');
+
+  await waitFor(sender, 'ready');
+  // The session key settles after the key exchange reaches the host
+  await waitFor(receiver, 'encryption');
+  const result = await receiver.sendFile('customer', file, { path: 'edited/scan.pdf' });
+  assert.equal(result.status, 'verified');
+  assert.equal(dropped, true);
+  assert.equal(received.length, 1);
+  assert.equal(received[0].verified, true);
+  assert.equal(received[0].encrypted, true);
+  assert.equal(received[0].path, 'edited/scan.pdf');
+  assert.deepEqual(await bytesOf(received[0].blob), await bytesOf(file));
+});
+
+test('fails a file going back when the sender disconnects', async () => {
+  const { receiver, sender, connect } = setup({ receiver: SMALL_CHUNKS });
+  const link = connect({ senderId: 'customer' });
+  const lost = [];
+  sender.on('incoming-error', ({ reason }) => lost.push(reason));
+  const stopListening = sender.on('incoming-progress', ({ received }) => {
+    if (received === 2048) {
+      stopListening();
+      link.close();
+    }
+  });
+
+  await waitFor(sender, 'ready');
+  const result = await receiver.sendFile('customer', makeFile(20000));
+  assert.equal(result.status, 'failed');
+  assert.match(result.reason, /disconnected/);
+  assert.equal(lost.length, 1);
+  assert.equal(receiver.isSending('customer'), false);
+});
+
+test('delivers text snippets and refuses oversized ones', async () => {
+  const { receiver, sender, connect } = setup();
+  const snippets = [];
+  receiver.on('snippet', snippet => snippets.push(snippet));
+  connect({ senderId: 'customer' });
+
+  await waitFor(sender, 'ready');
+  const delivered = await sender.sendSnippet('Order #1042 https://example.com/track');
+  assert.equal(delivered.status, 'delivered');
+  assert.deepEqual(snippets.map(s => [s.senderId, s.text]), [['customer', 'Order #1042 https://example.com/track']]);
+
+  const tooLong = await sender.sendSnippet('x'.repeat(MAX_SNIPPET_LENGTH + 1));
+  assert.equal(tooLong.status, 'failed');
+  assert.equal(snippets.length, 1);
+});
+
+test('carries print job options and sends job status back to the sender', async () => {
+  const { receiver, sender, completed, connect } = setup();
+  const statuses = [];
+  const twoUpdates = new Promise(resolve => sender.on('job-status', update => {
+    statuses.push(update);
+    if (statuses.length === 2) resolve();
+  }));
+  connect({ senderId: 'customer' });
+  const job = { copies: 2, color: false, paper: 'A4', duplex: true, note: 'Staple please' };
+
+  const result = await sendWhenReady(sender, makeFile(2000, 'thesis.pdf'), { fileId: 'job-1', job });
+  assert.equal(result.status, 'verified');
+  assert.deepEqual(completed[0].job, job);
+
+  assert.equal(receiver.setJobStatus('customer', 'job-1', 'printing'), true);
+  assert.equal(receiver.setJobStatus('customer', 'job-1', 'ready'), true);
+  assert.equal(receiver.setJobStatus('someone-else', 'job-1', 'ready'), false);
+  await twoUpdates;
+  assert.deepEqual(statuses, [{ fileId: 'job-1', status: 'printing' }, { fileId: 'job-1', status: 'ready' }]);
+});
+
+test('relays a file to a counter and hears its job status back', async () => {
+  const { receiver, sender: customer, completed, connect } = setup();
+  const counter = createSender(SMALL_CHUNKS);
+  const counterLink = createLoopback({ senderId: 'counter-2' });
+  receiver.addConnection(counterLink.host);
+  counter.attach(counterLink.sender);
+  connect({ senderId: 'customer' });
+  const job = { copies: 1, color: true, paper: 'Letter', duplex: false };
+
+  await waitFor(counter, 'ready');
+  await sendWhenReady(customer, makeFile(2500, 'flyer.pdf'), { job });
+  const arrived = waitFor(counter, 'received');
+  const relayed = await receiver.sendFile('counter-2', completed[0].blob, {
+    path: completed[0].path,
+    job: completed[0].job,
+    origin: completed[0].senderId
+  });
+  assert.equal(relayed.status, 'verified');
+  const copy = await arrived;
+  assert.equal(copy.origin, 'customer');
+  assert.deepEqual(copy.job, job);
+
+  const update = waitFor(receiver, 'job-status');
+  assert.equal(counter.sendJobStatus(copy.fileId, 'printing'), true);
+  assert.deepEqual(await update, { senderId: 'counter-2', fileId: copy.fileId, status: 'printing' });
+});
@@ -0,0 +1,56 @@
+// Every reason the protocol gives for a refused or failed file, snippet or PIN.
+// A reason travels as { reason, code, params }: code names an entry below and
+// params fill its "{name}" placeholders, so the app translates from the code;
+// reason is the English text for logs, the CLI and codes the app does not know.
+export const REASONS = {
+  // Room PIN
+  wrongPin: 'Wrong PIN.',
+  pinLocked: 'Too many wrong PINs. Try again in {seconds} seconds.',
+  pinDropped: 'Too many wrong PINs. Disconnected.',
+  pinFirst: 'Enter the room PIN first.',
+  notSignedIn: 'Not signed in to this room yet.',
+  // Refused by the other end
+  invalidRequest: 'Invalid request: {error}',
+  tooLarge: "File is larger than the shop's {limit} MB limit.",
+  typeNotAllowed: 'This shop only accepts: {types}.',
+  fileLimit: 'Limit of {count} files per customer reached.',
+  declined: 'The shop declined this file.',
+  shopCancelled: 'The shop cancelled this file.',
+  snippetTooLong: 'Text is too long. Send it as a file instead.',
+  nothingToSend: 'Nothing to send.',
+  // Storage and integrity
+  hostStoreFailed: 'Host could not store the file: {error}',
+  hostSaveFailed: 'Host could not save the file: {error}',
+  hostNeverReceived: 'Host never received this file.',
+  storeFailed: 'Could not store the file: {error}',
+  customerSaveFailed: 'Customer could not save the file: {error}',
+  customerNeverReceived: 'Customer never received this file.',
+  readFailed: 'Could not read the file: {error}',
+  fileChanged: 'The file changed while it was being sent.',
+  integrityFailed: 'Integrity check failed.',
+  noChecksum: 'Sender did not provide a checksum.',
+  sizeMismatch: 'Size mismatch: received {received} of {size} bytes.',
+  checksumMismatch: 'Checksum mismatch: file is corrupted.',
+  decryptFailed: 'Could not decrypt the file.',
+  encryptFailed: 'Could not set up encryption for the file: {error}',
+  // Connection
+  notConnected: 'Not connected to the shop.',
+  connectionLost: 'Connection lost before the file arrived.',
+  snippetLost: 'Connection lost before the shop got it.',
+  disconnected: 'Disconnected.',
+  customerGone: 'That customer is no longer connected.',
+  customerReconnected: 'The customer reconnected.',
+  customerDisconnected: 'The customer disconnected.'
+};
+
+const fill = (template, params) => template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+
+export const reasonText = (id, params = {}) => fill(REASONS[id], params);
+
+// { reason, code, params } for messages, events and results
+export const createReason = (code, params = {}) => ({ reason: reasonText(code, params), code, params });
+
+// The { reason, code, params } part of a message, event or result, or null if it has no reason
+export const reasonOf = (source) => (source && source.reason
+  ? { reason: source.reason, code: source.code || null, params: source.params || {} }
+  : null);
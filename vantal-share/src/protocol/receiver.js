@@ -0,0 +1,552 @@
+// Receiving (host) side: accepts any number of senders, checks the room PIN
+// and transfer policy, and reassembles each file into a storage sink while
+// verifying its checksum. It can also send files back to a connected sender
+// with sendFile(). Framework free; the UI listens to events.
+//
+// Events: log, protocol-error, sender-joined, sender-authed, sender-left,
+// encryption, approval-required, approval-cancelled, progress, complete, error, snippet,
+// job-status (from a counter in a shared room), and for files going back to a sender (all with senderId): send-stage,
+// send-progress, send-stats, send-complete, send-error, send-cancelled
+// Refusals and failures, including a completed file's problem, are
+// { reason, code, params } from reasons.js
+import { createEmitter } from './emitter.js';
+import { MAX_SNIPPET_LENGTH, MSG, createMessage, validateMessage } from './messages.js';
+import { DEFAULT_POLICY, checkPolicy } from './policy.js';
+import { OUTGOING_DEFAULTS, createOutgoing } from './outgoing.js';
+import { createAssembly, writeChunk, isComplete, finishAssembly } from './assembly.js';
+import { createReason } from './reasons.js';
+import { createMemorySink } from '../storage.js';
+import { createNonce, computeProof, proofsMatch, createAttemptLimiter } from '../auth.js';
+import {
+  e2eSupported,
+  createKeyPair,
+  exportPublicKey,
+  deriveSessionKey,
+  unwrapFileKey,
+  fingerprint
+} from '../e2e.js';
+
+export const RECEIVER_DEFAULTS = {
+  ...OUTGOING_DEFAULTS, // For files sent back to a sender
+  pin: '', // Optional room PIN
+  encryption: true,
+  resumeTtl: 10 * 60 * 1000, // Keep interrupted uploads resumable for 10 min
+  pinAttemptsPerConnection: 3, // Then the connection is dropped
+  pinFailureLimit: 6, // Failures by one sender within the window...
+  pinFailureWindow: 60 * 1000,
+  pinLockoutMs: 2 * 60 * 1000, // ...lock that sender out for 2 min
+  // Senders get a new peer ID on reconnect, so failures across the whole room
+  // also count: past this many, PIN answers from the whole room are checked one
+  // at a time, one per pinRoomSlowdownMs, until pinLockoutMs has passed
+  pinRoomFailureLimit: 30,
+  pinRoomSlowdownMs: 3000
+};
+
+// options.getPolicy() is read on every file-start so policy edits apply live.
+// options.createSink({ fileId, path, type, size, senderId }) decides where bytes go.
+export const createReceiver = (options = {}) => {
+  const config = { ...RECEIVER_DEFAULTS, ...options };
+  const getPolicy = options.getPolicy || (() => DEFAULT_POLICY);
+  const createSink = options.createSink || (({ type }) => createMemorySink(type));
+  const events = createEmitter();
+  const senders = new Map(); // senderId -> { transport, authed, nonce, attempts, visitToken, e2e, buffers, outgoing }
+  const resumable = new Map(); // resume token -> buffer left by a dropped sender
+  const approvals = new Map(); // `${senderId}:${fileId}` -> { senderId, fileId, start }
+  // visit token -> files accepted. A reconnecting customer gets a new peer ID but
+  // hands its first visit token back on file-start, so maxFilesPerSender keeps counting
+  const acceptedCounts = new Map();
+  const limiter = createAttemptLimiter({
+    limit: config.pinFailureLimit,
+    windowMs: config.pinFailureWindow,
+    lockoutMs: config.pinLockoutMs
+  });
+  const roomLimiter = createAttemptLimiter({
+    limit: config.pinRoomFailureLimit,
+    windowMs: config.pinFailureWindow,
+    lockoutMs: config.pinLockoutMs
+  });
+  // During a room-wide spree: the last queued PIN check. Opening more
+  // connections does not buy more guesses, they all wait in this one line.
+  let roomPinQueue = Promise.resolve();
+
+  // context: { level, category, peer, fileId } for structured logging
+  const log = (message, context) => events.emit('log', message, context);
+  const fileLog = (senderId, fileId) => (message, context) => log(message, { category: 'transfer', peer: senderId, fileId, ...context });
+
+  const send = (sender, type, fields) => {
+    if (sender.transport.open) sender.transport.send(createMessage(type, fields));
+  };
+
+  // --- Connections ---
+  // Register a sender's transport once it is open
+  const addConnection = async (transport) => {
+    const senderId = transport.remoteId;
+    const previous = senders.get(senderId);
+    const sender = {
+      transport,
+      authed: !config.pin,
+      nonce: null,
+      attempts: 0,
+      checkingPin: false, // A delayed PIN answer is pending
+      visitToken: previous ? previous.visitToken : createNonce(), // Key into acceptedCounts
+      e2e: null, // { keyPair, publicKey, sessionKey: Promise }
+      // The same peer may reconnect before its old connection is noticed as closed
+      buffers: previous ? previous.buffers : new Map(),
+      outgoing: null
+    };
+    // Files back to this sender; a dropped customer gets a new peer ID, so these do not resume
+    sender.outgoing = createOutgoing({
+      ...config,
+      emit: (event, payload) => events.emit(`send-${event}`, { senderId, ...payload }),
+      log: (message, context) => log(message, { peer: senderId, ...context }),
+      getChannel: () => (sender.authed && transport.open ? transport : null),
+      isConnected: () => transport.open,
+      getSessionKey: () => (sender.e2e && sender.e2e.sessionKey) || null,
+      peer: 'Customer'
+    });
+    if (previous) previous.outgoing.abort(createReason('customerReconnected'));
+    senders.set(senderId, sender);
+    transport.on('data', (message) => {
+      if (senders.get(senderId) === sender) handleMessage(sender, senderId, message);
+    });
+    transport.on('close', () => handleClose(senderId, sender));
+    log(`New Connection from: ${senderId}`, { category: 'connection', peer: senderId });
+    events.emit('sender-joined', { senderId, authed: sender.authed });
+
+    // Offer a key exchange first so the sender settles encryption before uploading
+    let publicKey = null;
+    if (config.encryption && e2eSupported()) {
+      try {
+        const keyPair = await createKeyPair();
+        publicKey = await exportPublicKey(keyPair);
+        sender.e2e = { keyPair, publicKey, sessionKey: null };
+      } catch (e) {
+        log(`E2E key generation failed: ${e.message}`, { level: 'error', category: 'crypto', peer: senderId });
+      }
+    }
+    if (senders.get(senderId) !== sender) return;
+    send(sender, MSG.HELLO, { publicKey });
+
+    if (config.pin) sendChallenge(sender);
+    else admit(sender);
+  };
+
+  // Files may flow now; the visit token comes back on file-start after a reconnect
+  const admit = (sender) => {
+    if (!acceptedCounts.has(sender.visitToken)) acceptedCounts.set(sender.visitToken, 0);
+    send(sender, MSG.AUTH_OK, { visitToken: sender.visitToken });
+  };
+
+  const handleClose = (senderId, sender) => {
+    log(`Connection Closed: ${senderId}`, { category: 'connection', peer: senderId });
+    // The same sender may already have reconnected on a fresh connection
+    sender.outgoing.abort(createReason('customerDisconnected'));
+    if (senders.get(senderId) !== sender) return;
+    senders.delete(senderId);
+
+    // Park partial buffers so a reconnect can resume them
+    const now = Date.now();
+    sender.buffers.forEach((buffer) => {
+      if (buffer.chunkCount > 0) {
+        buffer.orphanedAt = now;
+        resumable.set(buffer.resumeToken, buffer);
+      } else {
+        buffer.sink.abort();
+      }
+    });
+    resumable.forEach((buffer, token) => {
+      if (now - buffer.orphanedAt > config.resumeTtl) {
+        buffer.sink.abort();
+        resumable.delete(token);
+      }
+    });
+    approvals.forEach((approval, key) => {
+      if (approval.senderId !== senderId) return;
+      approvals.delete(key);
+      events.emit('approval-cancelled', { senderId, fileId: approval.fileId });
+    });
+    events.emit('sender-left', { senderId });
+  };
+
+  const handleMessage = (sender, senderId, message) => {
+    const check = validateMessage(message);
+    if (!check.ok) {
+      log(`Ignored malformed message from ${senderId}: ${check.error}`, { level: 'warn', category: 'connection', peer: senderId });
+      events.emit('protocol-error', { senderId, error: check.error });
+      // Answer a broken file-start so the sender is not left waiting
+      if (message && message.type === MSG.FILE_START && typeof message.fileId === 'string') {
+        rejectFile(sender, senderId, message.fileId, createReason('invalidRequest', { error: check.error }));
+      }
+      return;
+    }
+
+    // Key exchange + PIN handshake (nothing else is accepted until the PIN succeeds)
+    if (message.type === MSG.KEY_EXCHANGE) {
+      completeKeyExchange(sender, senderId, message.publicKey);
+      return;
+    }
+    if (message.type === MSG.AUTH_RESPONSE) {
+      verifyPin(sender, senderId, message.proof);
+      return;
+    }
+    if (!sender.authed) {
+      log(`Ignored ${message.type} from unauthenticated ${senderId}`, { level: 'warn', category: 'auth', peer: senderId });
+      if (message.type === MSG.FILE_START) rejectFile(sender, senderId, message.fileId, createReason('pinFirst'));
+      if (message.type === MSG.SNIPPET) send(sender, MSG.SNIPPET_ACK, { snippetId: message.snippetId, ...createReason('pinFirst') });
+      return;
+    }
+
+    if (message.type === MSG.FILE_START) {
+      handleStart(sender, senderId, message);
+    } else if (message.type === MSG.STREAM_CHUNK) {
+      handleChunk(sender, senderId, message);
+    } else if (message.type === MSG.FILE_CANCEL) {
+      handleCancel(sender, senderId, message.fileId);
+    } else if (message.type === MSG.FILE_END) {
+      finishFile(sender, senderId, message.fileId, message.hash);
+    } else if (message.type === MSG.SNIPPET) {
+      handleSnippet(sender, senderId, message);
+    } else if (message.type === MSG.JOB_STATUS) {
+      // A counter in a shared room moved a job it was given
+      log(`${senderId} marked job ${message.fileId} as ${message.status}.`, { category: 'transfer', peer: senderId, fileId: message.fileId });
+      events.emit('job-status', { senderId, fileId: message.fileId, status: message.status });
+    } else if (message.type === MSG.FILE_READY) {
+      sender.outgoing.handleReady(message);
+    } else if (message.type === MSG.FILE_REJECT) {
+      sender.outgoing.handleReject(message);
+    } else if (message.type === MSG.FILE_ACK) {
+      sender.outgoing.handleAck(message);
+    } else {
+      log(`Ignored unexpected ${message.type} from ${senderId}`, { level: 'warn', category: 'connection', peer: senderId });
+    }
+  };
+
+  // --- Encryption + PIN ---
+  const completeKeyExchange = (sender, senderId, remotePublicKey) => {
+    const state = sender.e2e;
+    if (!state || state.sessionKey) return;
+    state.sessionKey = deriveSessionKey(state.keyPair, remotePublicKey);
+    state.sessionKey.then(() => {
+      const code = fingerprint(state.publicKey, remotePublicKey);
+      log(`E2E session with ${senderId}. Security code: ${code}`, { category: 'crypto', peer: senderId });
+      events.emit('encryption', { senderId, fingerprint: code });
+    }).catch(e => log(`E2E key exchange with ${senderId} failed: ${e.message}`, { level: 'error', category: 'crypto', peer: senderId }));
+  };
+
+  const sendChallenge = (sender) => {
+    sender.nonce = createNonce();
+    send(sender, MSG.AUTH_CHALLENGE, { nonce: sender.nonce });
+  };
+
+  const verifyPin = (sender, senderId, proof) => {
+    if (sender.authed || !sender.nonce || sender.checkingPin) return;
+
+    if (limiter.isLocked(senderId)) {
+      log(`AUTH BLOCKED: ${senderId} tried a PIN during its lockout.`, { level: 'warn', category: 'auth', peer: senderId });
+      send(sender, MSG.AUTH_FAIL, {
+        ...createReason('pinLocked', { seconds: limiter.retryAfterSeconds(senderId) })
+      });
+      sendChallenge(sender);
+      return;
+    }
+
+    // Under a room-wide guessing spree answers slow down, but nobody is locked out
+    if (roomLimiter.isLocked()) {
+      sender.checkingPin = true;
+      const isCurrent = () => senders.get(senderId) === sender;
+      roomPinQueue = roomPinQueue
+        .then(() => isCurrent() && new Promise(resolve => setTimeout(resolve, config.pinRoomSlowdownMs)))
+        .then(() => {
+          sender.checkingPin = false;
+          if (isCurrent()) checkPin(sender, senderId, proof);
+        });
+      return;
+    }
+    checkPin(sender, senderId, proof);
+  };
+
+  const checkPin = (sender, senderId, proof) => {
+    if (proofsMatch(proof, computeProof(config.pin, sender.nonce, senderId))) {
+      sender.authed = true;
+      sender.nonce = null;
+      log(`AUTH OK: ${senderId}`, { category: 'auth', peer: senderId });
+      events.emit('sender-authed', { senderId });
+      admit(sender);
+      return;
+    }
+
+    sender.attempts++;
+    log(`AUTH FAILED: ${senderId} (attempt ${sender.attempts}/${config.pinAttemptsPerConnection})`, { level: 'warn', category: 'auth', peer: senderId });
+    if (limiter.recordFailure(senderId)) {
+      log(`AUTH LOCKOUT: ${senderId} may not try a PIN for ${config.pinLockoutMs / 1000}s.`, { level: 'warn', category: 'auth', peer: senderId });
+    }
+    if (roomLimiter.recordFailure()) {
+      log(`AUTH SLOWDOWN: many wrong PINs across the room. For ${config.pinLockoutMs / 1000}s, PINs are checked one at a time, ${config.pinRoomSlowdownMs / 1000}s apart.`, { level: 'warn', category: 'auth' });
+    }
+    if (sender.attempts >= config.pinAttemptsPerConnection) {
+      send(sender, MSG.AUTH_FAIL, { ...createReason('pinDropped'), final: true });
+      log(`Dropping ${senderId} after ${sender.attempts} wrong PINs.`, { level: 'warn', category: 'auth', peer: senderId });
+      setTimeout(() => sender.transport.close(), 500);
+      return;
+    }
+    send(sender, MSG.AUTH_FAIL, createReason('wrongPin'));
+    sendChallenge(sender);
+  };
+
+  // --- Files ---
+  const handleStart = (sender, senderId, start) => {
+    log(`Signal: FILE START received for ${start.name} from ${senderId}`, { category: 'transfer', peer: senderId, fileId: start.fileId });
+    // Only tokens this host handed out count, so a made-up one cannot reset the limit
+    if (start.visitToken && acceptedCounts.has(start.visitToken)) sender.visitToken = start.visitToken;
+    const partial = start.resume ? claimPartialBuffer(senderId, start) : null;
+    if (partial) {
+      // Already accepted before the connection dropped
+      sender.buffers.set(start.fileId, partial);
+      log(`Resuming ${start.name} at ${partial.received} bytes.`, { category: 'transfer', peer: senderId, fileId: start.fileId });
+      send(sender, MSG.FILE_READY, { fileId: start.fileId, received: partial.received, resumeToken: partial.resumeToken });
+      return;
+    }
+    // A fresh file-start for a file already under way starts it over; drop what was written
+    const stale = sender.buffers.get(start.fileId);
+    if (stale) {
+      log(`Restarting ${start.name}; discarding ${stale.received} bytes already received.`, { level: 'warn', category: 'transfer', peer: senderId, fileId: start.fileId });
+      stale.sink.abort();
+      sender.buffers.delete(start.fileId);
+    }
+
+    const policy = getPolicy();
+    const violation = checkPolicy(policy, start, acceptedCounts.get(sender.visitToken) || 0);
+    if (violation) {
+      rejectFile(sender, senderId, start.fileId, violation);
+    } else if (policy.requireApproval) {
+      log(`Waiting for staff approval: ${start.name}`, { category: 'transfer', peer: senderId, fileId: start.fileId });
+      approvals.set(`${senderId}:${start.fileId}`, { senderId, fileId: start.fileId, start });
+      events.emit('approval-required', { senderId, fileId: start.fileId, start });
+    } else {
+      acceptFile(sender, senderId, start);
+    }
+  };
+
+  const resolveApproval = (senderId, fileId, accepted) => {
+    const key = `${senderId}:${fileId}`;
+    const approval = approvals.get(key);
+    const sender = senders.get(senderId);
+    approvals.delete(key);
+    if (!approval || !sender) return;
+
+    if (!accepted) {
+      rejectFile(sender, senderId, fileId, createReason('declined'));
+      return;
+    }
+    // Policies may have changed while the prompt was open
+    const violation = checkPolicy(getPolicy(), approval.start, acceptedCounts.get(sender.visitToken) || 0);
+    if (violation) {
+      rejectFile(sender, senderId, fileId, violation);
+      return;
+    }
+    log(`Approved ${approval.start.name}`, { category: 'transfer', peer: senderId, fileId });
+    acceptFile(sender, senderId, approval.start);
+  };
+
+  // Create the buffer and tell the sender to start streaming.
+  // The sender waits for file-ready, so chunks never beat the buffer.
+  const acceptFile = (sender, senderId, start) => {
+    const path = start.path || start.name;
+    let sink;
+    try {
+      sink = createSink({ fileId: start.fileId, path, type: start.mime, size: start.size, senderId });
+    } catch (e) {
+      log(`Storage Error: ${e.message}`, { level: 'error', category: 'storage', peer: senderId, fileId: start.fileId });
+      rejectFile(sender, senderId, start.fileId, createReason('hostStoreFailed', { error: e.message }));
+      return;
+    }
+
+    // Promise of the AES-GCM key, or null for a plaintext transfer
+    const e2e = sender.e2e;
+    const fileKey = start.encKey && e2e && e2e.sessionKey
+      ? e2e.sessionKey.then(sessionKey => unwrapFileKey(sessionKey, start.encKey))
+      : null;
+
+    const buffer = createAssembly({ ...start, path }, sink, fileKey);
+    // Only this sender, or whoever holds the token, may resume the file later
+    buffer.senderId = senderId;
+    buffer.resumeToken = createNonce();
+    sender.buffers.set(start.fileId, buffer);
+    acceptedCounts.set(sender.visitToken, (acceptedCounts.get(sender.visitToken) || 0) + 1);
+    send(sender, MSG.FILE_READY, { fileId: start.fileId, received: 0, resumeToken: buffer.resumeToken });
+  };
+
+  // reason: { reason, code, params } from createReason()
+  const rejectFile = (sender, senderId, fileId, reason) => {
+    log(`Rejected ${fileId} from ${senderId}: ${reason.reason}`, { level: 'warn', category: 'transfer', peer: senderId, fileId });
+    send(sender, MSG.FILE_REJECT, { fileId, ...reason });
+  };
+
+  // A reconnecting sender gets a new peer ID, so it proves the partial file is
+  // its own with the token from the first file-ready. The host may not have
+  // noticed the old connection dropping yet, so check live senders too.
+  const claimPartialBuffer = (senderId, { fileId, resumeToken }) => {
+    const owns = (buffer) => buffer.senderId === senderId || proofsMatch(resumeToken, buffer.resumeToken);
+    const adopt = (buffer) => {
+      buffer.senderId = senderId;
+      return buffer;
+    };
+    const parked = [...resumable.values()].filter(buffer => buffer.fileId === fileId);
+    const orphan = parked.find(owns);
+    if (orphan) {
+      resumable.delete(orphan.resumeToken);
+      delete orphan.orphanedAt;
+      return adopt(orphan);
+    }
+    const live = [...senders.values()].filter(sender => sender.buffers.has(fileId));
+    const owner = live.find(sender => owns(sender.buffers.get(fileId)));
+    if (owner) {
+      const buffer = owner.buffers.get(fileId);
+      owner.buffers.delete(fileId);
+      return adopt(buffer);
+    }
+    if (parked.length > 0 || live.length > 0) {
+      log(`Refused to resume ${fileId} for ${senderId}: it belongs to another sender.`, { level: 'warn', category: 'transfer', peer: senderId, fileId });
+    }
+    return null;
+  };
+
+  // Ask the sender to continue from the bytes already held
+  const rewinder = (sender, fileId) => (received) => send(sender, MSG.FILE_READY, { fileId, received });
+
+  const handleChunk = (sender, senderId, data) => {
+    const { fileId } = data;
+    const buffer = sender.buffers.get(fileId);
+    if (!buffer) {
+      log(`Ignored chunk for unknown file ${fileId} from ${senderId}.`, { level: 'warn', category: 'transfer', peer: senderId, fileId });
+      return;
+    }
+    if (!writeChunk(buffer, data, { log: fileLog(senderId, fileId), rewind: rewinder(sender, fileId) })) return;
+    events.emit('progress', { senderId, fileId, name: buffer.name, received: buffer.received, size: buffer.size });
+  };
+
+  const handleCancel = (sender, senderId, fileId) => {
+    log(`Signal: FILE CANCEL received for ${fileId} from ${senderId}`, { category: 'transfer', peer: senderId, fileId });
+    const buffer = sender.buffers.get(fileId);
+    if (buffer) buffer.sink.abort();
+    sender.buffers.delete(fileId);
+    const key = `${senderId}:${fileId}`;
+    if (approvals.has(key)) {
+      approvals.delete(key);
+      events.emit('approval-cancelled', { senderId, fileId });
+    }
+  };
+
+  // Tell the sender whether the file it just finished arrived intact, and if not, why
+  const sendAck = (sender, fileId, problem) => {
+    send(sender, MSG.FILE_ACK, { fileId, verified: !problem, ...problem });
+  };
+
+  const finishFile = async (sender, senderId, fileId, expectedHash) => {
+    log(`Signal: FILE END received for ${fileId} from ${senderId}`, { category: 'transfer', peer: senderId, fileId });
+    const buffer = sender.buffers.get(fileId);
+    if (!buffer) {
+      log(`CRITICAL: Buffer empty for ${fileId}. Transfer failed.`, { level: 'error', category: 'transfer', peer: senderId, fileId });
+      sendAck(sender, fileId, createReason('hostNeverReceived'));
+      return;
+    }
+    // Lost chunks: the sender ends again once it has refilled the gap
+    if (!isComplete(buffer, { log: fileLog(senderId, fileId), rewind: rewinder(sender, fileId) })) return;
+    // The sink owns the data from here
+    sender.buffers.delete(fileId);
+
+    // Verify before the file is listed
+    let result;
+    try {
+      result = await finishAssembly(buffer, expectedHash, fileLog(senderId, fileId));
+    } catch (e) {
+      log(`Storage Error: ${e.message}`, { level: 'error', category: 'storage', peer: senderId, fileId });
+      sendAck(sender, fileId, createReason('hostSaveFailed', { error: e.message }));
+      events.emit('error', { senderId, fileId, reason: e.message });
+      return;
+    }
+    const { digest, problem, blob } = result;
+    sendAck(sender, fileId, problem);
+    log(`SUCCESS: File ready from ${senderId}.`, { category: 'transfer', peer: senderId, fileId });
+    events.emit('complete', {
+      senderId,
+      fileId,
+      name: buffer.name,
+      path: buffer.path,
+      size: buffer.received,
+      type: buffer.type,
+      hash: digest,
+      verified: !problem,
+      problem,
+      encrypted: !!buffer.fileKey,
+      transform: buffer.transform,
+      job: buffer.job,
+      origin: buffer.origin,
+      blob
+    });
+  };
+
+  // --- Snippets ---
+  const handleSnippet = (sender, senderId, { snippetId, text }) => {
+    if (text.length > MAX_SNIPPET_LENGTH) {
+      log(`Refused a ${text.length}-character snippet from ${senderId}.`, { level: 'warn', category: 'transfer', peer: senderId });
+      send(sender, MSG.SNIPPET_ACK, { snippetId, ...createReason('snippetTooLong') });
+      return;
+    }
+    log(`Snippet received from ${senderId} (${text.length} characters).`, { category: 'transfer', peer: senderId });
+    send(sender, MSG.SNIPPET_ACK, { snippetId });
+    events.emit('snippet', { senderId, snippetId, text });
+  };
+
+  // Send a file back to a connected sender. Resolves like the sender's own
+  // sendFile: { fileId, status: verified | failed | cancelled, reason, code, params }
+  const sendFile = (senderId, file, options) => {
+    const sender = senders.get(senderId);
+    if (!sender) return Promise.resolve({ fileId: null, status: 'failed', ...createReason('customerGone') });
+    return sender.outgoing.sendFile(file, options);
+  };
+
+  // Tell the customer a print job moved on. Returns false if they are no longer connected.
+  const setJobStatus = (senderId, fileId, status) => {
+    const sender = senders.get(senderId);
+    if (!sender || !sender.authed || !sender.transport.open) return false;
+    log(`Job ${fileId} is now ${status}.`, { category: 'transfer', peer: senderId, fileId });
+    send(sender, MSG.JOB_STATUS, { fileId, status });
+    return true;
+  };
+
+  const cancelSend = (senderId, fileId) => {
+    const sender = senders.get(senderId);
+    return sender ? sender.outgoing.cancel(fileId) : false;
+  };
+
+  // Disconnect everyone and discard partial files
+  const close = () => {
+    senders.forEach(sender => {
+      sender.outgoing.abort();
+      sender.buffers.forEach(buffer => buffer.sink.abort());
+      sender.transport.close();
+    });
+    resumable.forEach(buffer => buffer.sink.abort());
+    senders.clear();
+    resumable.clear();
+    approvals.clear();
+    acceptedCounts.clear();
+    limiter.reset();
+    roomLimiter.reset();
+  };
+
+  return {
+    on: events.on,
+    off: events.off,
+    once: events.once,
+    addConnection,
+    approve: (senderId, fileId) => resolveApproval(senderId, fileId, true),
+    decline: (senderId, fileId) => resolveApproval(senderId, fileId, false),
+    sendFile,
+    cancelSend,
+    setJobStatus,
+    isSending: (senderId) => senders.has(senderId) && senders.get(senderId).outgoing.isBusy(),
+    close
+  };
+};
@@ -0,0 +1,339 @@
+// Sending side of a connection: key exchange, room PIN, then one file at a
+// time with resume offsets, backpressure, adaptive chunk sizes and optional
+// end-to-end encryption (see outgoing.js). Files the host sends back are
+// reassembled here too. Framework free; the UI listens to events.
+//
+// Events: log, protocol-error, encryption, pin-required, ready, auth-failed,
+// disconnected, stage, progress, stats, paused, complete, error, cancelled,
+// for files from the host: incoming-progress, received, incoming-error,
+// job-status (a print job sent earlier moved on). Refusals and failures, including
+// a received file's problem, are { reason, code, params } from reasons.js.
+import { createEmitter } from './emitter.js';
+import { MAX_SNIPPET_LENGTH, MSG, createMessage, createId, validateMessage } from './messages.js';
+import { OUTGOING_DEFAULTS, createOutgoing } from './outgoing.js';
+import { createAssembly, writeChunk, isComplete, finishAssembly } from './assembly.js';
+import { createReason, reasonOf } from './reasons.js';
+import { createMemorySink } from '../storage.js';
+import { computeProof } from '../auth.js';
+import {
+  e2eSupported,
+  createKeyPair,
+  exportPublicKey,
+  deriveSessionKey,
+  unwrapFileKey,
+  fingerprint
+} from '../e2e.js';
+
+export const SENDER_DEFAULTS = {
+  ...OUTGOING_DEFAULTS,
+  encryption: true
+};
+
+// options.createSink({ fileId, path, type, size }) decides where files from the host go
+export const createSender = (options = {}) => {
+  const config = { ...SENDER_DEFAULTS, ...options };
+  const createSink = options.createSink || (({ type }) => createMemorySink(type));
+  const events = createEmitter();
+  let transport = null;
+  let authed = false;
+  let pin = ''; // PIN that last worked, reused on reconnect
+  let challenge = null; // Latest host nonce
+  let visitToken = null; // From the first auth-ok; kept across reconnects
+  let sessionReady = null; // Promise of this connection's session key (or null)
+  const incoming = new Map(); // fileId -> assembly of a file the host is sending
+  const snippets = new Map(); // snippetId -> resolve() of a snippet awaiting snippet-ack
+
+  // context: { level, category, fileId } for structured logging
+  const log = (message, context) => events.emit('log', message, context);
+  const fileLog = (fileId) => (message, context) => log(message, { category: 'transfer', fileId, ...context });
+
+  const outgoing = createOutgoing({
+    ...config,
+    emit: events.emit,
+    log,
+    getChannel: () => (authed ? transport : null),
+    isConnected: () => !!transport,
+    getSessionKey: () => sessionReady,
+    getVisitToken: () => visitToken,
+    peer: 'Host'
+  });
+
+  const send = (type, fields) => {
+    if (!transport || !transport.open) return false;
+    transport.send(createMessage(type, fields));
+    return true;
+  };
+
+  // --- Connection ---
+  // Use a freshly opened transport; an interrupted file resumes after auth-ok
+  const attach = (next) => {
+    transport = next;
+    authed = false;
+    challenge = null;
+    sessionReady = null;
+    next.on('data', (message) => {
+      if (transport === next) handleMessage(message);
+    });
+    next.on('close', () => {
+      if (transport !== next) return;
+      transport = null;
+      authed = false;
+      log('Host Disconnected', { level: 'warn', category: 'connection' });
+      outgoing.pause();
+      dropIncoming();
+      settleSnippets(createReason('snippetLost'));
+      events.emit('disconnected');
+    });
+  };
+
+  const handleMessage = (message) => {
+    const check = validateMessage(message);
+    if (!check.ok) {
+      log(`Ignored malformed message from host: ${check.error}`, { level: 'warn', category: 'connection' });
+      events.emit('protocol-error', { error: check.error });
+      return;
+    }
+    switch (message.type) {
+      case MSG.HELLO: handleHello(message); break;
+      case MSG.AUTH_CHALLENGE: handleChallenge(message); break;
+      case MSG.AUTH_OK: handleAuthOk(message); break;
+      case MSG.AUTH_FAIL: handleAuthFail(message); break;
+      case MSG.FILE_READY: outgoing.handleReady(message); break;
+      case MSG.FILE_REJECT: outgoing.handleReject(message); break;
+      case MSG.FILE_ACK: outgoing.handleAck(message); break;
+      case MSG.FILE_START: handleStart(message); break;
+      case MSG.STREAM_CHUNK: handleChunk(message); break;
+      case MSG.FILE_CANCEL: handleCancel(message); break;
+      case MSG.FILE_END: handleEnd(message); break;
+      case MSG.SNIPPET_ACK: handleSnippetAck(message); break;
+      case MSG.JOB_STATUS: handleJobStatus(message); break;
+      default: log(`Ignored unexpected ${message.type} from host`, { level: 'warn', category: 'connection' });
+    }
+  };
+
+  // Host opens with its public key (or null); answer with ours and derive the session key
+  const handleHello = ({ publicKey }) => {
+    const channel = transport;
+    if (!publicKey || !config.encryption || !e2eSupported()) {
+      log('Transfers are NOT end-to-end encrypted (needs HTTPS or localhost on both sides).', { level: 'warn', category: 'crypto' });
+      sessionReady = Promise.resolve(null);
+      events.emit('encryption', { enabled: false });
+      return;
+    }
+    sessionReady = (async () => {
+      const keyPair = await createKeyPair();
+      const ownPublicKey = await exportPublicKey(keyPair);
+      if (transport !== channel) return null;
+      channel.send(createMessage(MSG.KEY_EXCHANGE, { publicKey: ownPublicKey }));
+      const sessionKey = await deriveSessionKey(keyPair, publicKey);
+      const code = fingerprint(ownPublicKey, publicKey);
+      log(`E2E session established. Security code: ${code}`, { category: 'crypto' });
+      events.emit('encryption', { enabled: true, fingerprint: code });
+      return sessionKey;
+    })().catch((e) => {
+      log(`E2E key exchange failed: ${e.message}`, { level: 'error', category: 'crypto' });
+      events.emit('encryption', { enabled: false });
+      return null;
+    });
+  };
+
+  const handleChallenge = ({ nonce }) => {
+    challenge = nonce;
+    if (pin) {
+      answerChallenge(pin);
+    } else {
+      log('Host requires a room PIN.', { category: 'auth' });
+      events.emit('pin-required');
+    }
+  };
+
+  // A PIN entered before the next challenge arrives is used for that challenge
+  const answerChallenge = (value) => {
+    pin = value;
+    if (!challenge || !transport) return;
+    send(MSG.AUTH_RESPONSE, { proof: computeProof(value, challenge, transport.localId) });
+    challenge = null;
+  };
+
+  const handleAuthOk = (message) => {
+    const channel = transport;
+    authed = true;
+    if (!visitToken) visitToken = message.visitToken || null;
+    log('Host accepted this device.', { category: 'auth' });
+    events.emit('ready');
+    // Never start a file before encryption is settled
+    Promise.resolve(sessionReady).then(() => {
+      if (transport === channel) outgoing.resume();
+    });
+  };
+
+  const handleAuthFail = (message) => {
+    const reason = reasonOf(message);
+    log(`PIN rejected: ${reason.reason}`, { level: 'warn', category: 'auth' });
+    pin = '';
+    events.emit('auth-failed', { ...reason, final: !!message.final });
+  };
+
+  // --- Files from the host ---
+  // The shop only sends files to customers it let in, so these are accepted as they come
+  const handleStart = (start) => {
+    log(`Signal: FILE START received for ${start.name} from host`, { category: 'transfer', fileId: start.fileId });
+    if (!authed) {
+      send(MSG.FILE_REJECT, { fileId: start.fileId, ...createReason('notSignedIn') });
+      return;
+    }
+    let sink;
+    try {
+      sink = createSink({ fileId: start.fileId, path: start.path || start.name, type: start.mime, size: start.size });
+    } catch (e) {
+      log(`Storage Error: ${e.message}`, { level: 'error', category: 'storage', fileId: start.fileId });
+      send(MSG.FILE_REJECT, { fileId: start.fileId, ...createReason('storeFailed', { error: e.message }) });
+      return;
+    }
+    const fileKey = start.encKey && sessionReady
+      ? sessionReady.then(sessionKey => {
+        if (!sessionKey) throw new Error('No session key.');
+        return unwrapFileKey(sessionKey, start.encKey);
+      })
+      : null;
+    const previous = incoming.get(start.fileId);
+    if (previous) previous.sink.abort();
+    incoming.set(start.fileId, createAssembly(start, sink, fileKey));
+    send(MSG.FILE_READY, { fileId: start.fileId, received: 0 });
+  };
+
+  const rewinder = (fileId) => (received) => send(MSG.FILE_READY, { fileId, received });
+
+  const handleChunk = (data) => {
+    const buffer = incoming.get(data.fileId);
+    if (!buffer) {
+      log(`Ignored chunk for unknown file ${data.fileId} from host.`, { level: 'warn', category: 'transfer', fileId: data.fileId });
+      return;
+    }
+    if (!writeChunk(buffer, data, { log: fileLog(data.fileId), rewind: rewinder(data.fileId) })) return;
+    events.emit('incoming-progress', { fileId: data.fileId, name: buffer.name, received: buffer.received, size: buffer.size });
+  };
+
+  const handleCancel = ({ fileId }) => {
+    log(`Host cancelled ${fileId}.`, { level: 'warn', category: 'transfer', fileId });
+    const buffer = incoming.get(fileId);
+    if (buffer) buffer.sink.abort();
+    incoming.delete(fileId);
+    events.emit('incoming-error', { fileId, ...createReason('shopCancelled') });
+  };
+
+  const handleEnd = async ({ fileId, hash }) => {
+    const buffer = incoming.get(fileId);
+    if (!buffer) {
+      send(MSG.FILE_ACK, { fileId, verified: false, ...createReason('customerNeverReceived') });
+      return;
+    }
+    if (!isComplete(buffer, { log: fileLog(fileId), rewind: rewinder(fileId) })) return;
+    incoming.delete(fileId);
+
+    let result;
+    try {
+      result = await finishAssembly(buffer, hash, fileLog(fileId));
+    } catch (e) {
+      log(`Storage Error: ${e.message}`, { level: 'error', category: 'storage', fileId });
+      send(MSG.FILE_ACK, { fileId, verified: false, ...createReason('customerSaveFailed', { error: e.message }) });
+      events.emit('incoming-error', { fileId, reason: e.message });
+      return;
+    }
+    const { digest, problem, blob } = result;
+    send(MSG.FILE_ACK, { fileId, verified: !problem, ...problem });
+    log(`Received ${buffer.path} from host.`, { category: 'transfer', fileId });
+    events.emit('received', {
+      fileId,
+      name: buffer.name,
+      path: buffer.path,
+      size: buffer.received,
+      type: buffer.type,
+      hash: digest,
+      verified: !problem,
+      problem,
+      encrypted: !!buffer.fileKey,
+      transform: buffer.transform,
+      job: buffer.job,
+      origin: buffer.origin,
+      blob
+    });
+  };
+
+  const dropIncoming = () => {
+    incoming.forEach((buffer, fileId) => {
+      buffer.sink.abort();
+      events.emit('incoming-error', { fileId, ...createReason('connectionLost') });
+    });
+    incoming.clear();
+  };
+
+  // --- Snippets ---
+  // Resolves with { snippetId, status: delivered | failed, reason, code, params }
+  const sendSnippet = (text) => {
+    const snippetId = createId();
+    if (!text.trim()) return Promise.resolve({ snippetId, status: 'failed', ...createReason('nothingToSend') });
+    if (text.length > MAX_SNIPPET_LENGTH) {
+      return Promise.resolve({ snippetId, status: 'failed', ...createReason('snippetTooLong') });
+    }
+    if (!transport || !authed) return Promise.resolve({ snippetId, status: 'failed', ...createReason('notConnected') });
+    return new Promise((resolve) => {
+      snippets.set(snippetId, resolve);
+      send(MSG.SNIPPET, { snippetId, text });
+    });
+  };
+
+  const handleSnippetAck = (message) => {
+    const { snippetId } = message;
+    const resolve = snippets.get(snippetId);
+    if (!resolve) return;
+    snippets.delete(snippetId);
+    const reason = reasonOf(message);
+    if (reason) log(`Host refused snippet: ${reason.reason}`, { level: 'warn', category: 'transfer' });
+    resolve(reason ? { snippetId, status: 'failed', ...reason } : { snippetId, status: 'delivered' });
+  };
+
+  const handleJobStatus = ({ fileId, status }) => {
+    log(`Host marked job ${fileId} as ${status}.`, { category: 'transfer', fileId });
+    events.emit('job-status', { fileId, status });
+  };
+
+  // Counters in a shared room report progress on jobs the main host gave them
+  const sendJobStatus = (fileId, status) => {
+    if (!authed || !send(MSG.JOB_STATUS, { fileId, status })) return false;
+    log(`Marked job ${fileId} as ${status}.`, { category: 'transfer', fileId });
+    return true;
+  };
+
+  const settleSnippets = (reason) => {
+    snippets.forEach((resolve, snippetId) => resolve({ snippetId, status: 'failed', ...reason }));
+    snippets.clear();
+  };
+
+  // Drop the connection for good; unfinished files are settled as cancelled
+  const close = () => {
+    const channel = transport;
+    transport = null;
+    authed = false;
+    outgoing.abort();
+    settleSnippets(createReason('disconnected'));
+    incoming.forEach(buffer => buffer.sink.abort());
+    incoming.clear();
+    if (channel) channel.close();
+  };
+
+  return {
+    on: events.on,
+    off: events.off,
+    once: events.once,
+    attach,
+    submitPin: answerChallenge,
+    sendFile: outgoing.sendFile,
+    sendSnippet,
+    sendJobStatus,
+    cancel: outgoing.cancel,
+    close,
+    isReady: () => !!transport && authed,
+    isBusy: outgoing.isBusy
+  };
+};
@@ -0,0 +1,113 @@
+// Transports carry protocol messages between two peers. Sender and receiver
+// only rely on this shape:
+//   localId, remoteId   peer IDs of this end and the other end
+//   open                whether send() will deliver
+//   bufferedAmount      bytes queued but not yet on the wire
+//   waitForDrain(n)     resolves once bufferedAmount <= n (or the transport closes)
+//   send(message)       deliver one message, in order
+//   close()
+//   on/off('data' | 'close', fn)
+//   getStats()          optional: promise of an RTCStatsReport, or null
+import { createEmitter } from './emitter.js';
+
+// Wraps a PeerJS DataConnection. Call once the connection is open.
+export const createPeerTransport = (connection, localId) => {
+  const events = createEmitter();
+  connection.on('data', (data) => events.emit('data', data));
+  connection.on('close', () => events.emit('close'));
+
+  return {
+    localId: localId || (connection.provider && connection.provider.id),
+    remoteId: connection.peer,
+    get open() {
+      return connection.open;
+    },
+    get bufferedAmount() {
+      return connection.dataChannel ? connection.dataChannel.bufferedAmount : 0;
+    },
+    waitForDrain: (threshold) => new Promise((resolve) => {
+      const channel = connection.dataChannel;
+      if (!channel || channel.bufferedAmount <= threshold || !connection.open) {
+        resolve();
+        return;
+      }
+      const stopWaitingOnClose = events.once('close', resolve);
+      channel.bufferedAmountLowThreshold = threshold;
+      channel.addEventListener('bufferedamountlow', () => {
+        stopWaitingOnClose();
+        resolve();
+      }, { once: true });
+    }),
+    send: (message) => connection.send(message),
+    close: () => connection.close(),
+    getStats: async () => (connection.peerConnection ? connection.peerConnection.getStats() : null),
+    on: events.on,
+    off: events.off
+  };
+};
+
+// Copies binary payloads the way a real channel would, so neither side can
+// mutate what the other received.
+const cloneMessage = (value) => {
+  if (value instanceof ArrayBuffer) return value.slice(0);
+  if (ArrayBuffer.isView(value)) return value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength);
+  if (Array.isArray(value)) return value.map(cloneMessage);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, cloneMessage(v)]));
+  }
+  return value;
+};
+
+// In-memory pair of connected transports for tests and local tooling.
+// Messages arrive asynchronously and in order. Set `intercept` on either end
+// to inspect, alter (return a new message) or drop (return null) what it sends.
+export const createLoopback = ({ senderId = 'sender', hostId = 'host' } = {}) => {
+  let open = true;
+
+  const createEnd = (localId, remoteId) => {
+    const events = createEmitter();
+    return {
+      localId,
+      remoteId,
+      events,
+      intercept: null,
+      get open() {
+        return open;
+      },
+      bufferedAmount: 0,
+      waitForDrain: () => Promise.resolve(),
+      on: events.on,
+      off: events.off
+    };
+  };
+
+  const a = createEnd(senderId, hostId);
+  const b = createEnd(hostId, senderId);
+
+  const wire = (from, to) => {
+    from.send = (message) => {
+      if (!open) return;
+      const outgoing = from.intercept ? from.intercept(message) : message;
+      if (outgoing === null || outgoing === undefined) return;
+      const copy = cloneMessage(outgoing);
+      setTimeout(() => {
+        if (open) to.events.emit('data', copy);
+      }, 0);
+    };
+  };
+  wire(a, b);
+  wire(b, a);
+
+  const close = () => {
+    if (!open) return;
+    open = false;
+    setTimeout(() => {
+      a.events.emit('close');
+      b.events.emit('close');
+    }, 0);
+  };
+  a.close = close;
+  b.close = close;
+
+  return { sender: a, host: b, close };
+};
@@ -0,0 +1,34 @@
+// Rooms this device has sent to, newest first, so a customer can rejoin with
+// one tap. Each entry keeps the signaling server it was reached on (never ICE
+// credentials), the same subset a join link carries.
+const STORAGE_KEY = 'vantal-share:recent-rooms';
+const MAX_ROOMS = 5;
+
+export const loadRecentRooms = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved.filter(entry => entry && typeof entry.room === 'string') : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+const saveRecentRooms = (rooms) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(rooms));
+  } catch (e) {
+    // Private mode or full storage: the list just is not remembered
+  }
+  return rooms;
+};
+
+// Returns the updated list
+export const rememberRoom = (room, settings) => {
+  const signal = settings && settings.host
+    ? { host: settings.host, port: settings.port, path: settings.path, secure: settings.secure }
+    : null;
+  const others = loadRecentRooms().filter(entry => entry.room !== room);
+  return saveRecentRooms([{ room, signal, lastUsed: Date.now() }, ...others].slice(0, MAX_ROOMS));
+};
+
+export const forgetRoom = (room) => saveRecentRooms(loadRecentRooms().filter(entry => entry.room !== room));
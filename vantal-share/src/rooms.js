@@ -0,0 +1,17 @@
+import { encodeSignalingParam } from './signaling.js';
+
+// Room names double as the host's peer ID. The app and the CLI both go through
+// this, so "Front Desk" typed anywhere reaches the same room.
+export const normalizeRoomId = (name) => name.trim().replace(/\s+/g, '-').toLowerCase();
+
+// Shareable link that opens straight into the sender flow for a room,
+// on the same signaling server as the host
+export const buildJoinUrl = (roomId, signaling) => {
+  const url = new URL(window.location.href);
+  url.search = '';
+  url.hash = '';
+  url.searchParams.set('room', roomId);
+  const signal = encodeSignalingParam(signaling);
+  if (signal) url.searchParams.set('signal', signal);
+  return url.toString();
+};
@@ -0,0 +1,137 @@
+// Incremental SHA-256.
+// crypto.subtle.digest() only hashes a complete buffer, but uploads arrive
+// (and are read) in chunks, so both sides feed this hasher as they go.
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+export const createSha256 = () => {
+  const H = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+  ]);
+  const W = new Uint32Array(64);
+  const block = new Uint8Array(64);
+  let blockLen = 0;
+  let totalLen = 0;
+
+  const compress = (data, off) => {
+    for (let i = 0; i < 16; i++) {
+      const j = off + i * 4;
+      W[i] = (data[j] << 24) | (data[j + 1] << 16) | (data[j + 2] << 8) | data[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const w15 = W[i - 15];
+      const w2 = W[i - 2];
+      const s0 = rotr(w15, 7) ^ rotr(w15, 18) ^ (w15 >>> 3);
+      const s1 = rotr(w2, 17) ^ rotr(w2, 19) ^ (w2 >>> 10);
+      W[i] = (W[i - 16] + s0 + W[i - 7] + s1) | 0;
+    }
+
+    let a = H[0], b = H[1], c = H[2], d = H[3], e = H[4], f = H[5], g = H[6], h = H[7];
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + W[i]) | 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g; g = f; f = e; e = (d + t1) | 0;
+      d = c; c = b; b = a; a = (t1 + t2) | 0;
+    }
+    H[0] += a; H[1] += b; H[2] += c; H[3] += d;
+    H[4] += e; H[5] += f; H[6] += g; H[7] += h;
+  };
+
+  const hasher = {
+    update(chunk) {
+      const data = chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk);
+      totalLen += data.length;
+      let i = 0;
+
+      if (blockLen > 0) {
+        i = Math.min(64 - blockLen, data.length);
+        block.set(data.subarray(0, i), blockLen);
+        blockLen += i;
+        if (blockLen < 64) return hasher;
+        compress(block, 0);
+        blockLen = 0;
+      }
+      for (; i + 64 <= data.length; i += 64) compress(data, i);
+      if (i < data.length) {
+        block.set(data.subarray(i), 0);
+        blockLen = data.length - i;
+      }
+      return hasher;
+    },
+
+    // Returns the 32-byte digest. The hasher must not be updated afterwards.
+    digestBytes() {
+      const bitsHi = Math.floor(totalLen / 0x20000000);
+      const bitsLo = (totalLen << 3) >>> 0;
+
+      block[blockLen++] = 0x80;
+      if (blockLen > 56) {
+        block.fill(0, blockLen);
+        compress(block, 0);
+        blockLen = 0;
+      }
+      block.fill(0, blockLen, 56);
+      for (let i = 0; i < 4; i++) {
+        block[56 + i] = bitsHi >>> (24 - i * 8);
+        block[60 + i] = bitsLo >>> (24 - i * 8);
+      }
+      compress(block, 0);
+
+      const out = new Uint8Array(32);
+      H.forEach((word, i) => {
+        out[i * 4] = word >>> 24;
+        out[i * 4 + 1] = word >>> 16;
+        out[i * 4 + 2] = word >>> 8;
+        out[i * 4 + 3] = word;
+      });
+      return out;
+    },
+
+    // Lowercase hex digest
+    digest() {
+      return toHex(hasher.digestBytes());
+    }
+  };
+  return hasher;
+};
+
+export const toHex = (bytes) => Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+
+const toBytes = (value) => (typeof value === 'string' ? new TextEncoder().encode(value) : new Uint8Array(value));
+
+// HMAC-SHA256 as hex. Pure JS so it also works on plain-http LAN pages,
+// where crypto.subtle is unavailable.
+export const hmacSha256 = (key, message) => {
+  let keyBytes = toBytes(key);
+  if (keyBytes.length > 64) keyBytes = createSha256().update(keyBytes).digestBytes();
+
+  const ipad = new Uint8Array(64);
+  const opad = new Uint8Array(64);
+  for (let i = 0; i < 64; i++) {
+    const b = keyBytes[i] || 0;
+    ipad[i] = b ^ 0x36;
+    opad[i] = b ^ 0x5c;
+  }
+  const inner = createSha256().update(ipad).update(toBytes(message)).digestBytes();
+  return createSha256().update(opad).update(inner).digest();
+};
+
+// Hash a File/Blob without loading it into memory all at once
+export const hashBlob = async (blob, sliceSize = 4 * 1024 * 1024) => {
+  const hasher = createSha256();
+  for (let offset = 0; offset < blob.size; offset += sliceSize) {
+    hasher.update(await blob.slice(offset, offset + sliceSize).arrayBuffer());
+  }
+  return hasher.digest();
+};
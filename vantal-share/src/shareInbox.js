@@ -0,0 +1,34 @@
+// Files and text shared into the app from the phone's share sheet. The service
+// worker (public/sw.js) stores them in IndexedDB and opens /?shared=1; the
+// page sends them once it is in a room, then clears the inbox. Keep the
+// database names in sync with the service worker.
+import { idbRequest } from './storage.js';
+
+const DB_NAME = 'vantal-share-inbox';
+const STORE = 'items';
+
+const openInbox = () => {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORE, { autoIncrement: true });
+  return idbRequest(request);
+};
+
+const withInbox = async (mode, task) => {
+  const db = await openInbox();
+  try {
+    return await task(db.transaction(STORE, mode).objectStore(STORE));
+  } finally {
+    db.close();
+  }
+};
+
+// { files: [File], text } in the order they were shared
+export const loadSharedItems = async () => {
+  const items = await withInbox('readonly', store => idbRequest(store.getAll()));
+  return {
+    files: items.filter(item => item.file).map(item => item.file),
+    text: items.filter(item => item.text).map(item => item.text).join('\n')
+  };
+};
+
+export const clearSharedItems = () => withInbox('readwrite', store => idbRequest(store.clear()));
@@ -0,0 +1,87 @@
+// Where peers meet (the PeerJS signaling server) and how they reach each other
+// (ICE: STUN/TURN). Defaults come from VITE_* env vars at build time and can be
+// overridden per device from the Network Settings panel. Leaving the host empty
+// uses the public PeerJS cloud server.
+const STORAGE_KEY = 'vantal-share:signaling';
+
+// Where `npm run signal` listens unless PEER_PATH says otherwise
+export const DEFAULT_PEER_PATH = '/vantal';
+
+const env = import.meta.env || {};
+
+export const DEFAULT_SIGNALING = {
+  host: env.VITE_PEER_HOST || '',
+  port: env.VITE_PEER_PORT || '',
+  path: env.VITE_PEER_PATH || '',
+  secure: env.VITE_PEER_SECURE ? env.VITE_PEER_SECURE === 'true' : null, // null: match the page
+  key: env.VITE_PEER_KEY || '',
+  iceServers: env.VITE_ICE_SERVERS || '' // One per line: "url [username credential]"
+};
+
+export const loadSignalingSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved ? { ...DEFAULT_SIGNALING, ...saved } : { ...DEFAULT_SIGNALING };
+  } catch (e) {
+    return { ...DEFAULT_SIGNALING };
+  }
+};
+
+export const saveSignalingSettings = (settings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+};
+
+export const resetSignalingSettings = () => {
+  localStorage.removeItem(STORAGE_KEY);
+  return { ...DEFAULT_SIGNALING };
+};
+
+// "turn:turn.example.com:3478 user secret" -> { urls, username, credential }
+export const parseIceServers = (text) => (text || '')
+  .split('\n')
+  .map(line => line.trim())
+  .filter(line => line && !line.startsWith('#'))
+  .map(line => {
+    const [urls, username, credential] = line.split(/\s+/);
+    return username ? { urls, username, credential: credential || '' } : { urls };
+  });
+
+// Options for `new Peer(id, options)`; anything left blank keeps the PeerJS default
+export const buildPeerOptions = (settings) => {
+  const options = {};
+  if (settings.host) {
+    options.host = settings.host;
+    if (settings.port) options.port = Number(settings.port);
+    options.path = settings.path || DEFAULT_PEER_PATH;
+    options.secure = settings.secure === null || settings.secure === undefined
+      ? window.location.protocol === 'https:'
+      : settings.secure;
+  }
+  if (settings.key) options.key = settings.key;
+  const iceServers = parseIceServers(settings.iceServers);
+  if (iceServers.length > 0) options.config = { iceServers };
+  return options;
+};
+
+// The server part travels in join links so a customer's phone finds a
+// self-hosted server without touching settings. ICE credentials never do.
+export const encodeSignalingParam = (settings) => {
+  if (!settings.host) return '';
+  const { host, port, path, secure } = settings;
+  return JSON.stringify({ host, port, path, secure });
+};
+
+export const decodeSignalingParam = (value) => {
+  try {
+    const { host, port, path, secure } = JSON.parse(value);
+    if (typeof host !== 'string' || !host) return null;
+    return {
+      host,
+      port: port ? String(port) : '',
+      path: typeof path === 'string' ? path : '',
+      secure: typeof secure === 'boolean' ? secure : null
+    };
+  } catch (e) {
+    return null;
+  }
+};
@@ -0,0 +1,216 @@
+// Destinations for incoming file data.
+// Every sink has the same shape so the host does not care where bytes go:
+//   write(chunk)  queue a chunk; writes are applied in arrival order
+//   close()       resolves to a Blob/File holding the whole file
+//   abort()       discard whatever was written so far
+
+const SPILL_DIR = 'vantal-spill';
+const IDB_NAME = 'vantal-spill';
+const IDB_STORE = 'pieces';
+const IDB_PIECE_SIZE = 4 * 1024 * 1024; // Batch chunks into 4MB records
+
+export const supportsFolderSave = () => typeof window !== 'undefined' && 'showDirectoryPicker' in window;
+
+const supportsOpfsWritable = () =>
+  typeof navigator !== 'undefined' &&
+  !!navigator.storage &&
+  typeof navigator.storage.getDirectory === 'function' &&
+  typeof FileSystemFileHandle !== 'undefined' &&
+  'createWritable' in FileSystemFileHandle.prototype;
+
+// Must be called from a user gesture (e.g. the "Start Receiving" click)
+export const pickSaveFolder = () => window.showDirectoryPicker({ id: 'vantal-share', mode: 'readwrite' });
+
+// Chains every operation onto one promise so async storage sees chunks in order.
+// A failed write rejects the chain, which makes close() reject too.
+// Exported for the Node CLI's disk sink.
+export const makeSink = ({ open, write, finish, discard }) => {
+  let tail = Promise.resolve().then(open);
+  const enqueue = (task) => {
+    tail = tail.then(task);
+    tail.catch(() => {}); // Surfaced through close(); avoid unhandled rejections
+    return tail;
+  };
+  return {
+    write: (chunk) => { enqueue(() => write(chunk)); },
+    close: () => enqueue(finish),
+    abort: () => {
+      tail = tail.catch(() => {}).then(discard).catch(() => {});
+      return tail;
+    }
+  };
+};
+
+export const createMemorySink = (type) => {
+  let chunks = [];
+  return makeSink({
+    open: () => {},
+    write: (chunk) => { chunks.push(chunk); },
+    finish: () => new Blob(chunks, { type }),
+    discard: () => { chunks = []; }
+  });
+};
+
+// --- File System Access (user folder or OPFS) ---
+
+// Sender-supplied paths can carry "..", backslashes, absolute roots or a drive
+// letter ("C:"); none of those may leave the save location
+export const safeSegments = (path) => path
+  .split(/[\\/]/)
+  .map(segment => segment.trim())
+  .filter(segment => segment && segment !== '.' && segment !== '..' && !/^[a-z]:$/i.test(segment));
+
+// Names being claimed right now, per folder of a save location, so two files
+// with the same name arriving together cannot both pick "scan.pdf"
+const claimedNames = new WeakMap(); // root directory handle -> Map(folder path -> Set of names)
+
+const claimedIn = (root, segments) => {
+  if (!claimedNames.has(root)) claimedNames.set(root, new Map());
+  const folders = claimedNames.get(root);
+  const folder = segments.join('/');
+  if (!folders.has(folder)) folders.set(folder, new Set());
+  const names = folders.get(folder);
+  return {
+    names,
+    release: (name) => {
+      names.delete(name);
+      if (names.size === 0) folders.delete(folder);
+    }
+  };
+};
+
+// Never overwrite: "scan.pdf" becomes "scan (1).pdf" if it already exists.
+// The name is claimed before looking at the disk; release it once the file exists.
+const uniqueName = async (dir, name, claimed) => {
+  const dot = name.lastIndexOf('.');
+  const base = dot > 0 ? name.slice(0, dot) : name;
+  const ext = dot > 0 ? name.slice(dot) : '';
+  for (let n = 0; ; n++) {
+    const candidate = n === 0 ? name : `${base} (${n})${ext}`;
+    if (claimed.names.has(candidate)) continue;
+    claimed.names.add(candidate);
+    try {
+      await dir.getFileHandle(candidate);
+    } catch (e) {
+      if (e.name === 'NotFoundError') return candidate;
+      claimed.release(candidate);
+      throw e;
+    }
+    claimed.release(candidate);
+  }
+};
+
+// `root` may be a directory handle or a promise of one
+export const createFolderSink = (root, path, type) => {
+  let dir = null;
+  let handle = null;
+  let writable = null;
+  return makeSink({
+    open: async () => {
+      const segments = safeSegments(path);
+      const name = segments.pop() || 'file';
+      const rootDir = await root;
+      dir = rootDir;
+      for (const segment of segments) {
+        dir = await dir.getDirectoryHandle(segment, { create: true });
+      }
+      const claimed = claimedIn(rootDir, segments);
+      const unique = await uniqueName(dir, name, claimed);
+      try {
+        handle = await dir.getFileHandle(unique, { create: true });
+      } finally {
+        claimed.release(unique);
+      }
+      writable = await handle.createWritable();
+    },
+    write: (chunk) => writable.write(chunk),
+    finish: async () => {
+      await writable.close();
+      const file = await handle.getFile();
+      // Wrapping a disk-backed File in a Blob does not copy its bytes
+      return file.type || !type ? file : new Blob([file], { type });
+    },
+    discard: async () => {
+      if (writable) await writable.abort();
+      if (handle) await dir.removeEntry(handle.name);
+    }
+  });
+};
+
+const getSpillDir = async () => {
+  const root = await navigator.storage.getDirectory();
+  return root.getDirectoryHandle(SPILL_DIR, { create: true });
+};
+
+// --- IndexedDB ---
+
+export const idbRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openSpillDb = () => {
+  const request = indexedDB.open(IDB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(IDB_STORE);
+  return idbRequest(request);
+};
+
+export const createIdbSink = (fileId, type) => {
+  let db = null;
+  let pending = [];
+  let pendingBytes = 0;
+  let pieces = 0;
+
+  const flush = async () => {
+    if (pendingBytes === 0) return;
+    const piece = new Blob(pending);
+    pending = [];
+    pendingBytes = 0;
+    const store = db.transaction(IDB_STORE, 'readwrite').objectStore(IDB_STORE);
+    await idbRequest(store.put(piece, `${fileId}:${pieces++}`));
+  };
+
+  return makeSink({
+    open: async () => { db = await openSpillDb(); },
+    write: async (chunk) => {
+      pending.push(chunk);
+      pendingBytes += chunk.byteLength;
+      if (pendingBytes >= IDB_PIECE_SIZE) await flush();
+    },
+    finish: async () => {
+      await flush();
+      const store = db.transaction(IDB_STORE).objectStore(IDB_STORE);
+      const blobs = await Promise.all(
+        Array.from({ length: pieces }, (_, i) => idbRequest(store.get(`${fileId}:${i}`)))
+      );
+      // Blobs read back from IndexedDB stay disk-backed
+      return new Blob(blobs, { type });
+    },
+    discard: async () => {
+      pending = [];
+      if (!db) return;
+      const store = db.transaction(IDB_STORE, 'readwrite').objectStore(IDB_STORE);
+      await idbRequest(store.delete(IDBKeyRange.bound(`${fileId}:`, `${fileId}:\uffff`)));
+    }
+  });
+};
+
+// Low-memory browser storage: OPFS where it can be written from the page, else IndexedDB
+export const createSpillSink = (fileId, type) => (
+  supportsOpfsWritable()
+    ? createFolderSink(getSpillDir(), fileId, type)
+    : createIdbSink(fileId, type)
+);
+
+// Drop spilled data from earlier sessions
+export const clearSpill = async () => {
+  if (supportsOpfsWritable()) {
+    const root = await navigator.storage.getDirectory();
+    await root.removeEntry(SPILL_DIR, { recursive: true }).catch(() => {});
+  }
+  if (typeof indexedDB !== 'undefined') {
+    const db = await openSpillDb();
+    await idbRequest(db.transaction(IDB_STORE, 'readwrite').objectStore(IDB_STORE).clear());
+    db.close();
+  }
+};
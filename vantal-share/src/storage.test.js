@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFolderSink } from './storage.js';
+
+// Just enough of FileSystemDirectoryHandle for the folder sink. Every call
+// yields first, like the real API, so overlapping saves interleave.
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const createFakeFile = (name) => {
+  const file = { name, data: new Blob([]) };
+  file.createWritable = async () => {
+    const chunks = [];
+    return {
+      write: async (chunk) => { chunks.push(chunk); },
+      close: async () => { file.data = new Blob(chunks); },
+      abort: async () => {}
+    };
+  };
+  file.getFile = async () => new File([file.data], name);
+  return file;
+};
+
+const createFakeDir = () => {
+  const files = new Map();
+  const dirs = new Map();
+  return {
+    files,
+    getDirectoryHandle: async (name) => {
+      await tick();
+      if (!dirs.has(name)) dirs.set(name, createFakeDir());
+      return dirs.get(name);
+    },
+    getFileHandle: async (name, { create = false } = {}) => {
+      await tick();
+      if (!files.has(name)) {
+        if (!create) throw new DOMException(`${name} not found`, 'NotFoundError');
+        files.set(name, createFakeFile(name));
+      }
+      return files.get(name);
+    },
+    removeEntry: async (name) => {
+      await tick();
+      files.delete(name);
+    }
+  };
+};
+
+const textOf = async (blob) => new TextDecoder().decode(await blob.arrayBuffer());
+
+test('keeps both of two same-named files saved to a folder at once', async () => {
+  const root = createFakeDir();
+  const first = createFolderSink(root, 'scan.pdf', 'application/pdf');
+  const second = createFolderSink(root, 'scan.pdf', 'application/pdf');
+  first.write(new TextEncoder().encode('first'));
+  second.write(new TextEncoder().encode('second'));
+
+  const [a, b] = await Promise.all([first.close(), second.close()]);
+  assert.equal(await textOf(a), 'first');
+  assert.equal(await textOf(b), 'second');
+  assert.deepEqual([...root.files.keys()].sort(), ['scan (1).pdf', 'scan.pdf']);
+  assert.equal(await textOf(root.files.get('scan.pdf').data), 'first');
+  assert.equal(await textOf(root.files.get('scan (1).pdf').data), 'second');
+});
+
+test('numbers a new file after names already in the folder', async () => {
+  const root = createFakeDir();
+  await root.getFileHandle('scan.pdf', { create: true });
+  const sink = createFolderSink(root, 'scan.pdf');
+  sink.write(new TextEncoder().encode('new'));
+  await sink.close();
+  assert.ok(root.files.has('scan (1).pdf'));
+});
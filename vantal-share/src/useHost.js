@@ -0,0 +1,565 @@
+import { useState, useRef } from 'react';
+import Peer from 'peerjs';
+import {
+  pickSaveFolder,
+  createMemorySink,
+  createFolderSink,
+  createSpillSink,
+  clearSpill
+} from './storage.js';
+import { DEFAULT_POLICY, createId, createPeerTransport, createReceiver, createSender, reasonOf } from './protocol/index.js';
+import { buildPeerOptions } from './signaling.js';
+import { saveHistoryFile, loadRoomHistory, updateHistoryFile, deleteHistoryFile } from './history.js';
+import { notificationsAllowed, requestNotifications, showNotification } from './notify.js';
+import { JOB_STATUS_LABELS } from './printJobs.js';
+import { normalizeRoomId } from './rooms.js';
+import { formatBytes } from './format.js';
+
+// The host side of a room: the PeerJS peer, the protocol receiver and everything
+// that arrives through it. App.jsx only renders what this hands back.
+
+const SPILL_THRESHOLD = 64 * 1024 * 1024; // "Automatic" storage keeps files under 64MB in RAM
+const COUNTER_RETRY_MS = 5 * 1000; // Extra counter: how often to look for the main one again
+
+// Any peer can say it is a counter, so it only gets customer files once it
+// passed the room PIN and staff on the main counter let it in
+export const isLinkedCounter = (counter) => counter.authed && counter.accepted;
+
+// History record (+ its Blob, if kept) -> card shown in the host list
+const toFileCard = (record, blob) => ({
+  fileId: record.id, // Records from before history had its own ids
+  ...record,
+  size: (record.bytes / 1024).toFixed(1) + ' KB',
+  blob: blob || null, // Kept for ZIP downloads
+  url: blob ? URL.createObjectURL(blob) : null,
+  timestamp: new Date(record.receivedAt).toLocaleString()
+});
+
+// The peer, transports and active transfers come from App.jsx: the sender side
+// and the diagnostics tab share them
+export const useHost = ({ addLog, t, announce, signaling, setRole, setStatus, peerEngine, hostTransports, activeTransfers, lastStats }) => {
+  const [customId, setCustomId] = useState('');
+  const [peerId, setPeerId] = useState('');
+  const [error, setError] = useState('');
+  const [files, setFiles] = useState([]);
+  const [senders, setSenders] = useState([]); // Live sender connections
+  // Shared rooms: the room's PeerJS ID belongs to the main counter; extra counters
+  // connect to it like a customer would and get customer files relayed to them
+  const [hostMode, setHostMode] = useState('main'); // main | counter
+  const [counters, setCounters] = useState([]); // Main: extra counters { id, connectedAt, fileCount, authed, accepted }
+  const countersRef = useRef(counters);
+  countersRef.current = counters;
+  const counterIds = useRef(new Set()); // Main: peer IDs that connected as counters
+  const [routing, setRouting] = useState('manual');
+  const routingRef = useRef(routing);
+  routingRef.current = routing;
+  const nextCounter = useRef(0); // Main: round-robin position
+  const relays = useRef(new Map()); // Main: relayed fileId -> { recordId, fileId, sender, counterId } of the original
+  const [roomTaken, setRoomTaken] = useState(''); // Room name another computer already hosts
+  const counterRef = useRef(null); // Counter: sender session to the main counter
+  const counterRetry = useRef(null); // Counter: reconnect timer
+  const relayedHere = useRef(new Map()); // Counter: fileId from the main counter -> history id
+  const [counterLink, setCounterLink] = useState(''); // Counter: connecting | connected | offline | pin
+  const [returnTransfers, setReturnTransfers] = useState([]); // Files sent back { id, senderId, name, progress, status, error }
+  const returnInput = useRef(null);
+  const returnTarget = useRef(null); // Sender the file picker was opened for
+  const returnChains = useRef({}); // senderId -> promise of the last queued send-back
+  const [snippets, setSnippets] = useState([]); // Text/link snippets, shown in the file feed
+  const [notifyOn, setNotifyOn] = useState(notificationsAllowed); // Notify while the tab is hidden
+  const notifyRef = useRef(notifyOn);
+  notifyRef.current = notifyOn;
+  const receiverRef = useRef(null); // Protocol receiver for every sender
+  const [storageMode, setStorageMode] = useState('auto'); // auto | browser | folder
+  const [saveFolderName, setSaveFolderName] = useState('');
+  const saveFolder = useRef(null); // FileSystemDirectoryHandle in 'folder' mode
+  const [policy, setPolicy] = useState(DEFAULT_POLICY);
+  // The receiver outlives renders, so it reads the live policy through a ref
+  const policyRef = useRef(policy);
+  policyRef.current = policy;
+  const [approvals, setApprovals] = useState([]); // File-starts waiting for staff
+  const [roomPin, setRoomPin] = useState(''); // Optional PIN set before starting
+
+  const startHosting = async () => {
+    if (!customId) {
+      setError(t('error.noRoomName'));
+      return;
+    }
+    // The folder picker needs the click's user activation, so it goes first
+    if (storageMode === 'folder') {
+      try {
+        saveFolder.current = await pickSaveFolder();
+        setSaveFolderName(saveFolder.current.name);
+      } catch (e) {
+        setError(t('error.noFolder'));
+        return;
+      }
+    }
+    setStatus('Initializing...');
+    addLog(`Starting Host with ID: ${customId}`, { category: 'connection' });
+    setError('');
+    setRoomTaken('');
+    await clearSpill().catch(e => addLog(`Spill cleanup failed: ${e.message}`, { level: 'warn', category: 'storage' }));
+    
+    const cleanId = normalizeRoomId(customId);
+
+    const peer = new Peer(cleanId, buildPeerOptions(signaling));
+    const receiver = createReceiver({
+      pin: roomPin,
+      getPolicy: () => policyRef.current,
+      createSink: ({ fileId, path, type, size }) => createSink(fileId, path, type, size)
+    });
+    receiver.on('log', (message, context) => addLog(message, { category: 'transfer', ...context }));
+    receiver.on('progress', ({ senderId, name }) => activeTransfers.current.set(senderId, name));
+    receiver.on('sender-joined', ({ senderId, authed }) => {
+      const entry = { id: senderId, connectedAt: new Date().toLocaleTimeString(), fileCount: 0, authed, fingerprint: null };
+      if (counterIds.current.has(senderId)) {
+        addLog(`Counter ${senderId} asks to join the room.`, { category: 'connection', peer: senderId });
+        setCounters(prev => [...prev.filter(c => c.id !== senderId), { ...entry, accepted: false }]);
+        announce(t('announce.counterRequest'));
+      } else {
+        setSenders(prev => [...prev.filter(s => s.id !== senderId), entry]);
+        announce(t('announce.customerJoined'));
+      }
+    });
+    receiver.on('sender-authed', ({ senderId }) => {
+      setSenders(prev => prev.map(s => s.id === senderId ? { ...s, authed: true } : s));
+      setCounters(prev => prev.map(c => c.id === senderId ? { ...c, authed: true } : c));
+    });
+    receiver.on('encryption', ({ senderId, fingerprint }) => {
+      setSenders(prev => prev.map(s => s.id === senderId ? { ...s, fingerprint } : s));
+    });
+    receiver.on('sender-left', ({ senderId }) => {
+      activeTransfers.current.delete(senderId);
+      if (!counterIds.current.delete(senderId)) announce(t('announce.customerLeft'));
+      setSenders(prev => prev.filter(s => s.id !== senderId));
+      setCounters(prev => prev.filter(c => c.id !== senderId));
+    });
+    receiver.on('approval-required', (approval) => {
+      setApprovals(prev => [...prev, approval]);
+      announce(t('announce.approval', { name: approval.start.path || approval.start.name }));
+    });
+    receiver.on('approval-cancelled', ({ senderId, fileId }) => {
+      setApprovals(prev => prev.filter(a => a.senderId !== senderId || a.fileId !== fileId));
+    });
+    receiver.on('complete', (file) => {
+      activeTransfers.current.delete(file.senderId);
+      const record = addReceivedFile(file, cleanId);
+      // Files a counter hands back stay here
+      if (!counterIds.current.has(file.senderId)) routeFile(record);
+    });
+    receiver.on('job-status', ({ senderId, fileId, status }) => {
+      const relay = relays.current.get(fileId);
+      if (!relay || relay.counterId !== senderId) return;
+      applyJobStatus({ id: relay.recordId, fileId: relay.fileId, sender: relay.sender }, status, senderId);
+    });
+    receiver.on('error', ({ senderId }) => activeTransfers.current.delete(senderId));
+    receiver.on('snippet', ({ senderId, snippetId, text }) => {
+      const receivedAt = Date.now();
+      notifyArrival(t('notify.newText'), text.slice(0, 120));
+      setSnippets(prev => [{
+        id: createId(), // The sender's snippetId is only unique to that sender
+        snippetId,
+        kind: 'snippet',
+        text,
+        sender: senderId,
+        receivedAt,
+        timestamp: new Date(receivedAt).toLocaleString()
+      }, ...prev]);
+    });
+    receiver.on('send-stage', ({ fileId, stage }) => updateReturn(fileId, { status: stage }));
+    receiver.on('send-progress', ({ senderId, fileId, sent, size }) => {
+      activeTransfers.current.set(senderId, 'sending back');
+      updateReturn(fileId, { progress: size > 0 ? Math.round((sent / size) * 100) : 100 });
+    });
+    receiverRef.current = receiver;
+
+    peer.on('open', (id) => {
+      setPeerId(id);
+      setStatus('Online & Waiting');
+      setRole('host');
+      announce(t('announce.online', { room: id }));
+      addLog(`Host Online. ID: ${id}`, { category: 'connection' });
+      restoreHistory(id);
+    });
+
+    peer.on('connection', (connection) => {
+      connection.on('open', () => {
+        if (connection.metadata && connection.metadata.role === 'counter') counterIds.current.add(connection.peer);
+        const transport = createPeerTransport(connection, peer.id);
+        hostTransports.current.set(connection.peer, transport);
+        transport.on('close', () => {
+          if (hostTransports.current.get(connection.peer) === transport) hostTransports.current.delete(connection.peer);
+        });
+        receiver.addConnection(transport);
+      });
+    });
+
+    peer.on('error', (err) => {
+      addLog(`Peer Error: ${err.type}`, { level: 'error', category: 'connection' });
+      if (err.type === 'unavailable-id') {
+        // Another computer hosts this room; this one can join it as a counter instead
+        setRoomTaken(cleanId);
+        setError(t('error.roomTaken', { room: cleanId }));
+      } else {
+        setError(t('error.peer', { type: err.type }));
+      }
+    });
+
+    peerEngine.current = peer;
+  };
+
+  // --- Shared rooms (extra counter) ---
+  // An extra counter is a sender session to the main counter that only receives:
+  // relayed customer files land in the usual host list and history
+  const connectCounter = (room) => {
+    const peer = new Peer(buildPeerOptions(signaling));
+    const session = createSender({
+      createSink: ({ fileId, path, type, size }) => createSink(fileId, path, type, size)
+    });
+    const retryLater = () => {
+      if (counterRef.current !== session) return;
+      setCounterLink('offline');
+      clearTimeout(counterRetry.current);
+      counterRetry.current = setTimeout(() => {
+        if (counterRef.current !== session) return;
+        session.close();
+        peer.destroy();
+        connectCounter(room);
+      }, COUNTER_RETRY_MS);
+    };
+
+    session.on('log', (message, context) => addLog(message, { category: 'transfer', peer: room, ...context }));
+    session.on('pin-required', () => {
+      if (roomPin) session.submitPin(roomPin);
+      else setCounterLink('pin');
+    });
+    session.on('auth-failed', ({ reason, final }) => {
+      addLog(`Main counter refused this counter: ${reason}`, { level: 'error', category: 'auth' });
+      if (final) setCounterLink('pin');
+    });
+    session.on('ready', () => {
+      setCounterLink('connected');
+      setStatus('Counter connected');
+      announce(t('host.counterLinked'));
+    });
+    session.on('disconnected', retryLater);
+    session.on('received', (file) => {
+      const record = addReceivedFile({ ...file, senderId: file.origin || room }, room);
+      relayedHere.current.set(file.fileId, record.id);
+    });
+    session.on('job-status', ({ fileId, status }) => {
+      if (relayedHere.current.has(fileId)) storeJobStatus(relayedHere.current.get(fileId), status);
+    });
+    counterRef.current = session;
+    peerEngine.current = peer;
+    setCounterLink('connecting');
+
+    peer.on('open', () => {
+      const connection = peer.connect(room, { reliable: true, metadata: { role: 'counter' } });
+      connection.on('open', () => session.attach(createPeerTransport(connection, peer.id)));
+    });
+    peer.on('error', (err) => {
+      addLog(`Peer Error: ${err.type}`, { level: 'error', category: 'connection' });
+      // peer-unavailable: the main counter is not online (yet)
+      retryLater();
+    });
+  };
+
+  const joinAsCounter = () => {
+    const room = roomTaken;
+    if (peerEngine.current) peerEngine.current.destroy();
+    if (receiverRef.current) receiverRef.current.close();
+    receiverRef.current = null;
+    setError('');
+    setRoomTaken('');
+    setHostMode('counter');
+    setPeerId(room);
+    setRole('host');
+    addLog(`Joining ${room} as an extra counter`, { category: 'connection' });
+    restoreHistory(room);
+    connectCounter(room);
+  };
+
+  const resolveApproval = (approval, accepted) => {
+    setApprovals(prev => prev.filter(a => a !== approval));
+    if (!receiverRef.current) return;
+    if (accepted) receiverRef.current.approve(approval.senderId, approval.fileId);
+    else receiverRef.current.decline(approval.senderId, approval.fileId);
+  };
+
+  // Where incoming bytes go: the chosen folder, browser storage, or RAM for small files
+  const createSink = (fileId, path, type, size) => {
+    if (storageMode === 'folder' && saveFolder.current) {
+      return createFolderSink(saveFolder.current, path, type);
+    }
+    if (storageMode === 'browser' || size > SPILL_THRESHOLD) {
+      return createSpillSink(fileId, type);
+    }
+    return createMemorySink(type);
+  };
+
+  // Same room as an earlier session: bring its files back
+  const restoreHistory = async (room) => {
+    try {
+      const records = await loadRoomHistory(room);
+      if (records.length === 0) return;
+      const restored = records.map(({ blob, room: _room, ...record }) => toFileCard(record, blob));
+      setFiles(prev => [...prev, ...restored.filter(r => !prev.some(f => f.id === r.id))]);
+      addLog(`Restored ${records.length} file(s) from earlier sessions.`, { category: 'storage' });
+    } catch (e) {
+      addLog(`History Error: ${e.message}`, { level: 'error', category: 'storage' });
+    }
+  };
+
+  const addReceivedFile = (file, room) => {
+    // Our own id: fileIds come from senders and are only unique per sender
+    const record = {
+      id: createId(),
+      fileId: file.fileId,
+      name: file.name,
+      path: file.path,
+      bytes: file.size, // Received size, for accuracy
+      type: file.type || '',
+      sender: file.senderId,
+      hash: file.hash,
+      verified: file.verified,
+      problem: file.problem,
+      encrypted: file.encrypted,
+      transform: file.transform || null,
+      job: file.job || null,
+      jobStatus: file.job ? 'received' : null,
+      savedToFolder: storageMode === 'folder',
+      folderName: storageMode === 'folder' && saveFolder.current ? saveFolder.current.name : '',
+      receivedAt: Date.now()
+    };
+
+    try {
+        setFiles(prev => [toFileCard(record, file.blob), ...prev]);
+        setSenders(prev => prev.map(s => s.id === file.senderId ? { ...s, fileCount: s.fileCount + 1 } : s));
+    } catch (e) {
+        addLog(`Blob Error: ${e.message}`, { level: 'error', category: 'storage' });
+    }
+
+    // Files in a chosen folder are already on disk; keep just their details
+    saveHistoryFile(room, record, record.savedToFolder ? null : file.blob)
+      .catch(e => addLog(`History Error: could not keep ${file.name} (${e.name === 'QuotaExceededError' ? 'storage full' : e.message})`, { level: 'error', category: 'storage' }));
+    notifyArrival(t('notify.newFile', { name: file.name }), t('notify.newFileBody', { size: formatBytes(file.size), peer: file.senderId.slice(0, 8) }));
+    announce(t('notify.newFile', { name: file.name }));
+    return { ...record, blob: file.blob };
+  };
+
+  // Only while the tab is in the background; in front the list already shows it
+  const notifyArrival = (title, body) => {
+    if (!notifyRef.current || !document.hidden) return;
+    showNotification(title, body).catch(e => addLog(`Notification Error: ${e.message}`, { level: 'warn', category: 'app' }));
+  };
+
+  const toggleNotifications = async () => {
+    if (notifyOn) {
+      setNotifyOn(false);
+      return;
+    }
+    const allowed = await requestNotifications();
+    setNotifyOn(allowed);
+    if (!allowed) addLog('Notifications are blocked for this site.', { level: 'warn', category: 'app' });
+  };
+
+  const deleteFile = (file) => {
+    if (file.url) URL.revokeObjectURL(file.url);
+    setFiles(prev => prev.filter(f => f.id !== file.id));
+    deleteHistoryFile(file.id)
+      .then(() => addLog(`Deleted ${file.path} from history.`, { category: 'storage' }))
+      .catch(e => addLog(`History Error: ${e.message}`, { level: 'error', category: 'storage' }));
+  };
+
+  const storeJobStatus = (id, status) => {
+    setFiles(prev => prev.map(f => f.id === id ? { ...f, jobStatus: status } : f));
+    updateHistoryFile(id, { jobStatus: status })
+      .catch(e => addLog(`History Error: ${e.message}`, { level: 'error', category: 'storage' }));
+  };
+
+  // Main: record a job's new status and pass it on to the customer and to every
+  // counter holding a copy, except the one it came from
+  // file: { id, fileId, sender } of the customer's file
+  const applyJobStatus = (file, status, fromCounter = null) => {
+    storeJobStatus(file.id, status);
+    const receiver = receiverRef.current;
+    if (!receiver) return;
+    relays.current.forEach((relay, relayId) => {
+      if (relay.recordId === file.id && relay.counterId !== fromCounter) receiver.setJobStatus(relay.counterId, relayId, status);
+    });
+    if (!receiver.setJobStatus(file.sender, file.fileId, status)) {
+      addLog(`Job ${file.fileId} marked ${JOB_STATUS_LABELS[status]}, but the customer is no longer connected.`, { level: 'warn', category: 'transfer', peer: file.sender, fileId: file.fileId });
+    }
+  };
+
+  // Host: move a print job on. An extra counter reports it to the main one,
+  // which tells the customer.
+  const setJobStatus = (file, status) => {
+    if (hostMode === 'main') {
+      applyJobStatus(file, status);
+      return;
+    }
+    storeJobStatus(file.id, status);
+    if (!counterRef.current || !counterRef.current.sendJobStatus(file.fileId, status)) {
+      addLog(`${file.name} marked ${JOB_STATUS_LABELS[status]}, but the main counter is offline.`, { level: 'warn', category: 'transfer', fileId: file.fileId });
+    }
+  };
+
+  // --- Shared rooms (main counter) ---
+  // file: a file card or the record addReceivedFile returned. One file at a time per counter.
+  const relayToCounter = (file, counterId) => {
+    const relayId = createId();
+    relays.current.set(relayId, { recordId: file.id, fileId: file.fileId, sender: file.sender, counterId });
+    setFiles(prev => prev.map(f => f.id === file.id
+      ? { ...f, assignedTo: [...(f.assignedTo || []).filter(id => id !== counterId), counterId] }
+      : f));
+    const previous = returnChains.current[counterId] || Promise.resolve();
+    returnChains.current[counterId] = previous.then(async () => {
+      const receiver = receiverRef.current;
+      if (!receiver) return;
+      addLog(`Relaying ${file.path} to counter ${counterId}`, { category: 'transfer', peer: counterId, fileId: relayId });
+      const result = await receiver.sendFile(counterId, file.blob, {
+        fileId: relayId,
+        path: file.path,
+        transform: file.transform || null,
+        job: file.job || null,
+        origin: file.sender
+      });
+      if (result.status === 'verified') {
+        setCounters(prev => prev.map(c => c.id === counterId ? { ...c, fileCount: c.fileCount + 1 } : c));
+      } else {
+        addLog(`Could not relay ${file.path} to counter ${counterId}: ${result.reason || result.status}`, { level: 'warn', category: 'transfer', peer: counterId, fileId: relayId });
+      }
+    });
+  };
+
+  const acceptCounter = (counterId) => {
+    addLog(`Accepted ${counterId} as a counter.`, { category: 'connection', peer: counterId });
+    setCounters(prev => prev.map(c => c.id === counterId ? { ...c, accepted: true } : c));
+  };
+
+  const declineCounter = (counterId) => {
+    addLog(`Declined ${counterId} as a counter.`, { level: 'warn', category: 'connection', peer: counterId });
+    const transport = hostTransports.current.get(counterId);
+    if (transport) transport.close();
+    setCounters(prev => prev.filter(c => c.id !== counterId));
+  };
+
+  // New customer file on the main counter: copy or hand it out per the routing mode
+  const routeFile = (file) => {
+    const ready = countersRef.current.filter(isLinkedCounter);
+    if (!file.blob || ready.length === 0) return;
+    if (routingRef.current === 'mirror') {
+      ready.forEach(c => relayToCounter(file, c.id));
+    } else if (routingRef.current === 'round-robin') {
+      relayToCounter(file, ready[nextCounter.current++ % ready.length].id);
+    }
+  };
+
+  // --- Sending files back to a customer ---
+  const updateReturn = (id, fields) => {
+    setReturnTransfers(prev => prev.map(transfer => transfer.id === id ? { ...transfer, ...fields } : transfer));
+  };
+
+  const pickReturnFiles = (senderId) => {
+    returnTarget.current = senderId;
+    returnInput.current.click();
+  };
+
+  // One file at a time per customer; later picks wait their turn
+  const sendBack = (e) => {
+    const senderId = returnTarget.current;
+    const picked = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (!senderId || picked.length === 0) return;
+
+    picked.forEach(file => {
+      const id = createId();
+      setReturnTransfers(prev => [{ id, senderId, name: file.name, progress: 0, status: 'queued', error: '' }, ...prev]);
+      const previous = returnChains.current[senderId] || Promise.resolve();
+      returnChains.current[senderId] = previous.then(async () => {
+        const receiver = receiverRef.current;
+        if (!receiver) return;
+        addLog(`Sending ${file.name} back to ${senderId}`, { category: 'transfer', peer: senderId, fileId: id });
+        const result = await receiver.sendFile(senderId, file, { fileId: id });
+        updateReturn(id, { status: result.status, error: reasonOf(result) });
+      });
+    });
+  };
+
+  const destroyHost = () => {
+    // Partial files are discarded; completed ones already in a chosen folder stay there
+    if (receiverRef.current) receiverRef.current.close();
+    const counterSession = counterRef.current;
+    counterRef.current = null;
+    clearTimeout(counterRetry.current);
+    if (counterSession) counterSession.close();
+    if (peerEngine.current) peerEngine.current.destroy();
+    // Received files stay in the history for the next time this room is hosted
+    files.forEach(file => file.url && URL.revokeObjectURL(file.url));
+    clearSpill().catch(() => {});
+    setRole('home');
+    setFiles([]);
+    setReturnTransfers([]);
+    returnChains.current = {};
+    setSnippets([]);
+    setSenders([]);
+    setPeerId('');
+    setCustomId('');
+    receiverRef.current = null;
+    setRoomPin('');
+    setApprovals([]);
+    saveFolder.current = null;
+    setSaveFolderName('');
+    hostTransports.current.clear();
+    activeTransfers.current.clear();
+    lastStats.current.clear();
+    setHostMode('main');
+    setCounters([]);
+    counterIds.current.clear();
+    relays.current.clear();
+    nextCounter.current = 0;
+    setCounterLink('');
+    addLog('Stopped hosting.', { category: 'connection' });
+  };
+
+  return {
+    customId,
+    setCustomId,
+    peerId,
+    error,
+    files,
+    senders,
+    hostMode,
+    counters,
+    routing,
+    setRouting,
+    roomTaken,
+    counterLink,
+    returnTransfers,
+    returnInput,
+    snippets,
+    notifyOn,
+    storageMode,
+    setStorageMode,
+    saveFolderName,
+    policy,
+    setPolicy,
+    approvals,
+    roomPin,
+    setRoomPin,
+    startHosting,
+    joinAsCounter,
+    resolveApproval,
+    toggleNotifications,
+    deleteFile,
+    setJobStatus,
+    relayToCounter,
+    acceptCounter,
+    declineCounter,
+    pickReturnFiles,
+    sendBack,
+    destroyHost
+  };
+};
@@ -0,0 +1,633 @@
+import { useState, useEffect, useRef } from 'react';
+import Peer from 'peerjs';
+import { createId, createPeerTransport, createSender, reasonOf } from './protocol/index.js';
+import { buildPeerOptions, decodeSignalingParam } from './signaling.js';
+import { loadSharedItems, clearSharedItems } from './shareInbox.js';
+import { DEFAULT_JOB, toPrintJob } from './printJobs.js';
+import { DEFAULT_IMAGE_OPTIONS, IMAGE_FORMATS, canCompress, compressImage, replaceExtension } from './imageCompress.js';
+import { loadRecentRooms, rememberRoom } from './recentRooms.js';
+import { buildJoinUrl, normalizeRoomId } from './rooms.js';
+import { formatBytes } from './format.js';
+
+// The customer side of a room: joining and rejoining the host, the upload queue,
+// snippets and files the shop sends back. App.jsx only renders what this hands back.
+
+// Auto-reconnect: 1s, 2s, 4s... capped at 30s, then hand over to the Reconnect button
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30 * 1000;
+export const RETRY_LIMIT = 8;
+const CONNECT_TIMEOUT_MS = 15 * 1000;
+
+// --- Drag & Drop Folder Walker ---
+// Resolves a dropped FileSystemEntry into [{ file, path }] with folder-relative paths
+const readEntry = (entry, prefix = '') => {
+  return new Promise((resolve) => {
+    if (entry.isFile) {
+      entry.file((file) => resolve([{ file, path: prefix + file.name }]), () => resolve([]));
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      const children = [];
+      // readEntries returns results in batches until it yields an empty one
+      const readBatch = () => reader.readEntries(async (batch) => {
+        if (batch.length > 0) {
+          children.push(...batch);
+          readBatch();
+          return;
+        }
+        const nested = await Promise.all(children.map(child => readEntry(child, `${prefix}${entry.name}/`)));
+        resolve(nested.flat());
+      }, () => resolve([]));
+      readBatch();
+    } else {
+      resolve([]);
+    }
+  });
+};
+
+// The peer, transport and active transfers come from App.jsx: the host side and
+// the diagnostics tab share them
+export const useSender = ({ addLog, t, tReason, announce, signaling, setSignaling, setRole, setStatus, peerEngine, senderTransport, activeTransfers, lastStats }) => {
+  const [targetId, setTargetId] = useState('');
+  const targetRoom = useRef(''); // Normalized peer ID of the host being joined
+  const targetSignaling = useRef(null); // Signaling settings the room was joined with
+  const senderRef = useRef(null); // Protocol sender session for the joined room
+  const senderConn = useRef(null); // Current DataConnection to the host
+  const [conn, setConn] = useState(null);
+  const retry = useRef({ active: false, attempt: 0, timer: null }); // active once a room was joined
+  const [retryInfo, setRetryInfo] = useState(null); // { attempt, gaveUp } while the host is unreachable
+  const [recentRooms, setRecentRooms] = useState(loadRecentRooms);
+  const pendingShare = useRef(null); // { files, text } from the share sheet, sent once in a room
+  const [sharedCount, setSharedCount] = useState(0);
+  const [authed, setAuthed] = useState(false);
+  const [pinPrompt, setPinPrompt] = useState(false);
+  const [pinInput, setPinInput] = useState('');
+  const [authError, setAuthError] = useState('');
+  const [e2e, setE2e] = useState(null); // { enabled, fingerprint } once the host says hello
+  const [snippetText, setSnippetText] = useState(''); // Compose box
+  const [snippetStatus, setSnippetStatus] = useState(''); // '', 'sending', 'sent' or a failure (reason or text)
+  const [fromHost, setFromHost] = useState([]); // Files the shop sent back
+  const [incomingFile, setIncomingFile] = useState(null); // { fileId, name, received, size } in flight
+  const [jobForm, setJobForm] = useState({ ...DEFAULT_JOB, enabled: false }); // Print options for new files
+  const jobFormRef = useRef(jobForm); // Files shared in are queued from a handler set up on the first render
+  jobFormRef.current = jobForm;
+  const [editingJob, setEditingJob] = useState(null); // Queue item whose print options are open
+  const [printJobs, setPrintJobs] = useState([]); // { fileId, path, job, status } for delivered jobs
+  const [uploadProgress, setUploadProgress] = useState(0);
+  const [currentFileName, setCurrentFileName] = useState('');
+  const [uploadPaused, setUploadPaused] = useState(false);
+  const [uploadStage, setUploadStage] = useState(''); // compressing | hashing | awaiting | sending | verifying | verified | failed
+  const [uploadError, setUploadError] = useState('');
+  const [transferStats, setTransferStats] = useState(null); // { speed: bytes/s, eta: seconds }
+  const announcedStep = useRef(0); // Quarter of the current file last read out to screen readers
+  const [queue, setQueue] = useState([]); // Render copy of queueRef
+  const queueRef = useRef([]); // [{ id, file, path, status: queued|sending|done|failed, error }]
+  const [imageOptions, setImageOptions] = useState(DEFAULT_IMAGE_OPTIONS); // Shrink photos before sending
+  const imageOptionsRef = useRef(imageOptions);
+  imageOptionsRef.current = imageOptions;
+  const [dragActive, setDragActive] = useState(false);
+
+  useEffect(() => {
+    // Opened from a QR code / shared link: join that room as a sender right away
+    const params = new URLSearchParams(window.location.search);
+    const room = params.get('room');
+    if (room) {
+      // The link names the host's signaling server; use it for this visit only
+      const linked = decodeSignalingParam(params.get('signal'));
+      const settings = linked ? { ...signaling, ...linked } : signaling;
+      if (linked) setSignaling(settings);
+      setTargetId(room);
+      connectToHost(room, settings);
+    }
+
+    // Opened by the OS share sheet (see public/sw.js): send to the last room used
+    if (params.get('shared')) {
+      window.history.replaceState(null, '', window.location.pathname);
+      loadSharedItems().then(({ files, text }) => {
+        if (files.length === 0 && !text) return;
+        pendingShare.current = { files, text };
+        setSharedCount(files.length + (text ? 1 : 0));
+        addLog(`Shared into the app: ${files.length} file(s)${text ? ' and text' : ''}.`, { category: 'app' });
+        const [last] = loadRecentRooms();
+        if (last && !room) joinRecentRoom(last);
+      }).catch(e => addLog(`Share Error: ${e.message}`, { level: 'error', category: 'storage' }));
+    }
+
+    // A phone that slept or lost Wi-Fi tries again as soon as it is back
+    const wake = () => {
+      if (document.visibilityState !== 'visible' || !retry.current.active) return;
+      if (senderConn.current && senderConn.current.open) return;
+      addLog('Back online. Reconnecting to host...', { category: 'connection' });
+      retry.current.attempt = 0;
+      reconnectNow();
+    };
+    document.addEventListener('visibilitychange', wake);
+    window.addEventListener('online', wake);
+
+    return () => {
+      document.removeEventListener('visibilitychange', wake);
+      window.removeEventListener('online', wake);
+      clearTimeout(retry.current.timer);
+      if (peerEngine.current) peerEngine.current.destroy();
+    };
+  }, []);
+
+  // One session per room, kept across reconnects so an interrupted file resumes
+  const createSenderSession = () => {
+    const session = createSender();
+    session.on('log', (message, context) => addLog(message, { category: 'transfer', peer: targetRoom.current, ...context }));
+    session.on('encryption', setE2e);
+    session.on('pin-required', () => {
+      setPinPrompt(true);
+      announce(t('sender.pinNeeded'));
+    });
+    session.on('ready', () => {
+      announce(`${t('announce.connected', { room: targetRoom.current })} ${t('announce.ready')}`);
+      setAuthed(true);
+      setPinPrompt(false);
+      setPinInput('');
+      setAuthError('');
+      takeShared();
+      processQueue();
+    });
+    session.on('auth-failed', (failure) => {
+      setAuthError(reasonOf(failure));
+      announce(tReason(failure));
+      setPinPrompt(!failure.final);
+      // The host drops us after too many wrong PINs; retrying would only add more
+      if (failure.final) retry.current.active = false;
+    });
+    session.on('disconnected', () => {
+      setAuthed(false);
+      setStatus('Disconnected');
+      setConn(null);
+      announce(t('announce.disconnected'));
+      scheduleReconnect('Host connection lost.');
+    });
+    session.on('stage', ({ stage }) => {
+      setUploadStage(stage);
+      if (stage === 'sending') setUploadPaused(false);
+      else setTransferStats(null);
+    });
+    session.on('progress', ({ fileId, sent, size }) => {
+      const percent = size > 0 ? Math.max(1, Math.min(100, Math.round((sent / size) * 100))) : 100;
+      setUploadProgress(percent);
+      // Every quarter, not every chunk; completion is read out once verified
+      const step = Math.floor(percent / 25);
+      const item = queueRef.current.find(i => i.id === fileId);
+      if (item && step > announcedStep.current && percent < 100) {
+        announcedStep.current = step;
+        announce(t('announce.progress', { name: item.path, percent: step * 25 }));
+      }
+    });
+    session.on('stats', ({ speed, eta }) => setTransferStats({ speed, eta }));
+    session.on('paused', () => {
+      setUploadPaused(true);
+      setTransferStats(null);
+    });
+    session.on('incoming-progress', setIncomingFile);
+    session.on('incoming-error', ({ fileId, reason }) => {
+      setIncomingFile(null);
+      addLog(`Receive Error: ${reason}`, { level: 'error', category: 'transfer', fileId });
+    });
+    session.on('job-status', ({ fileId, status }) => {
+      setPrintJobs(prev => prev.map(job => job.fileId === fileId ? { ...job, status } : job));
+    });
+    session.on('received', (file) => {
+      setIncomingFile(null);
+      announce(t('announce.fromShop', { name: file.name }));
+      setFromHost(prev => [{
+        id: file.fileId,
+        name: file.name,
+        path: file.path,
+        size: formatBytes(file.size),
+        url: URL.createObjectURL(file.blob),
+        verified: file.verified,
+        problem: file.problem
+      }, ...prev]);
+    });
+    return session;
+  };
+
+  const connectToHost = (room = targetId, settings = signaling) => {
+    if (!room) return;
+    targetRoom.current = normalizeRoomId(room);
+    targetSignaling.current = settings;
+    if (!senderRef.current) senderRef.current = createSenderSession();
+    // A second Connect (e.g. after "Shop not found") replaces the earlier attempt
+    if (peerEngine.current) peerEngine.current.destroy();
+    setStatus('Connecting...');
+    addLog(`Connecting to ${targetRoom.current}...`, { category: 'connection' });
+    const peer = new Peer(buildPeerOptions(settings));
+    peerEngine.current = peer;
+    
+    // Fires again after peer.reconnect(), which re-opens the data connection
+    peer.on('open', (myId) => {
+      addLog(`My Sender ID: ${myId}`, { category: 'connection' });
+      openConnection(peer, settings);
+    });
+    
+    peer.on('error', (err) => {
+        addLog(`Peer Error: ${err.type}`, { level: 'error', category: 'connection' });
+        if (retry.current.active) {
+          scheduleReconnect('Host unreachable.');
+        } else {
+          setStatus('Shop not found.');
+        }
+    });
+
+    // Lost the signaling server; the data connection may still be up
+    peer.on('disconnected', () => {
+      if (peerEngine.current === peer) addLog('Signaling server connection lost.', { level: 'warn', category: 'connection' });
+    });
+  };
+
+  const openConnection = (peer, settings = targetSignaling.current) => {
+    if (senderConn.current) senderConn.current.close();
+    const connection = peer.connect(targetRoom.current, { reliable: true });
+    senderConn.current = connection;
+
+    // PeerJS does not always report a host that never answers
+    const timeout = setTimeout(() => {
+      if (connection.open || senderConn.current !== connection) return;
+      addLog('Host did not answer.', { level: 'warn', category: 'connection' });
+      connection.close();
+      scheduleReconnect('Host did not answer.');
+    }, CONNECT_TIMEOUT_MS);
+    
+    connection.on('open', () => {
+      clearTimeout(timeout);
+      if (senderConn.current !== connection) return;
+      setE2e(null);
+      setConn(connection);
+      setStatus('Connected');
+      setRole('sender');
+      addLog(`Connected to Host!`, { category: 'connection' });
+      retry.current = { active: true, attempt: 0, timer: null };
+      setRetryInfo(null);
+      setRecentRooms(rememberRoom(targetRoom.current, settings));
+      // A refresh (or the browser restoring a killed tab) rejoins this room
+      window.history.replaceState(null, '', buildJoinUrl(targetRoom.current, settings));
+      // Uploads continue once the host sends auth-ok
+      senderTransport.current = createPeerTransport(connection, peer.id);
+      senderRef.current.attach(senderTransport.current);
+    });
+    
+    connection.on('error', (e) => {
+        clearTimeout(timeout);
+        setStatus('Connection Failed');
+        addLog(`Connection Error: ${e}`, { level: 'error', category: 'connection' });
+    });
+  };
+
+  // Backoff between attempts; only once a room was joined, and only one timer at a time
+  const scheduleReconnect = (reason) => {
+    const state = retry.current;
+    if (!state.active || state.timer) return;
+    if (state.attempt >= RETRY_LIMIT) {
+      addLog(`${reason} Gave up after ${RETRY_LIMIT} attempts.`, { level: 'error', category: 'connection' });
+      setRetryInfo({ attempt: state.attempt, gaveUp: true });
+      announce(t('sender.unreachable'));
+      return;
+    }
+    const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** state.attempt) * (0.8 + Math.random() * 0.4);
+    state.attempt++;
+    addLog(`${reason} Retrying in ${Math.round(delay / 1000)}s (attempt ${state.attempt}/${RETRY_LIMIT}).`, { level: 'warn', category: 'connection' });
+    setRetryInfo({ attempt: state.attempt, gaveUp: false });
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      reconnectNow();
+    }, delay);
+  };
+
+  const reconnectNow = () => {
+    clearTimeout(retry.current.timer);
+    retry.current.timer = null;
+    const peer = peerEngine.current;
+    if (!peer || peer.destroyed) {
+      connectToHost(targetRoom.current, targetSignaling.current);
+    } else if (peer.disconnected) {
+      addLog('Reconnecting to signaling server...', { category: 'connection' });
+      peer.reconnect();
+    } else {
+      addLog('Re-opening connection to host...', { category: 'connection' });
+      openConnection(peer);
+    }
+  };
+
+  // Disconnect button: stop retrying and release the peer, connection and session
+  const leaveRoom = () => {
+    clearTimeout(retry.current.timer);
+    retry.current = { active: false, attempt: 0, timer: null };
+    setRetryInfo(null);
+    if (senderRef.current) senderRef.current.close();
+    senderRef.current = null;
+    if (senderConn.current) senderConn.current.close();
+    senderConn.current = null;
+    senderTransport.current = null;
+    activeTransfers.current.clear();
+    lastStats.current.clear();
+    if (peerEngine.current) peerEngine.current.destroy();
+    peerEngine.current = null;
+    targetRoom.current = '';
+    setRole('home');
+    setTargetId('');
+    setStatus('');
+    // Drop ?room= so a refresh does not rejoin
+    window.history.replaceState(null, '', window.location.pathname);
+    setConn(null);
+    queueRef.current = [];
+    setQueue([]);
+    fromHost.forEach(file => URL.revokeObjectURL(file.url));
+    setFromHost([]);
+    setPrintJobs([]);
+    setEditingJob(null);
+    setIncomingFile(null);
+    setSnippetText('');
+    setSnippetStatus('');
+    setE2e(null);
+    setAuthed(false);
+    setPinPrompt(false);
+    setAuthError('');
+    setUploadPaused(false);
+    resetUpload();
+    addLog('Left the room.', { category: 'connection' });
+  };
+
+  // Queue what was shared from the OS once the host has let us in
+  const takeShared = () => {
+    const shared = pendingShare.current;
+    if (!shared) return;
+    pendingShare.current = null;
+    setSharedCount(0);
+    clearSharedItems().catch(e => addLog(`Share Error: ${e.message}`, { level: 'warn', category: 'storage' }));
+    if (shared.text) setSnippetText(shared.text);
+    enqueueFiles(shared.files.map(file => ({ file, path: file.name })));
+  };
+
+  const joinRecentRoom = ({ room, signal }) => {
+    const settings = signal ? { ...signaling, ...signal } : signaling;
+    if (signal) setSignaling(settings);
+    setTargetId(room);
+    connectToHost(room, settings);
+  };
+
+  // --- Text snippets ---
+  const sendSnippet = async (e) => {
+    e.preventDefault();
+    const session = senderRef.current;
+    if (!session || !snippetText.trim()) return;
+    setSnippetStatus('sending');
+    const result = await session.sendSnippet(snippetText);
+    if (result.status === 'delivered') {
+      addLog('Text sent to the shop.', { category: 'transfer' });
+      setSnippetText('');
+      setSnippetStatus('sent');
+      announce(t('sender.snippetSent'));
+      setTimeout(() => setSnippetStatus(current => current === 'sent' ? '' : current), 2500);
+    } else {
+      setSnippetStatus(reasonOf(result));
+    }
+  };
+
+  const pasteSnippet = async () => {
+    try {
+      const text = await navigator.clipboard.readText();
+      if (text) setSnippetText(prev => (prev ? `${prev}\n${text}` : text));
+    } catch (err) {
+      addLog(`Clipboard Error: ${err.message}`, { level: 'error', category: 'app' });
+      setSnippetStatus(t('error.clipboard'));
+    }
+  };
+
+  const submitPin = (e) => {
+    e.preventDefault();
+    if (!pinInput.trim() || !senderRef.current) return;
+    setAuthError('');
+    senderRef.current.submitPin(pinInput);
+  };
+
+  const resumeUpload = () => {
+    retry.current.active = true;
+    retry.current.attempt = 0;
+    setRetryInfo(null);
+    reconnectNow();
+  };
+
+  const resetUpload = () => {
+    setTransferStats(null);
+    setUploadProgress(0);
+    setCurrentFileName('');
+    setUploadStage('');
+    setUploadError('');
+  };
+
+  // --- Queue ---
+  const syncQueue = () => setQueue(queueRef.current.map(item => ({ ...item })));
+
+  const enqueueFiles = (picked) => {
+    if (picked.length === 0) return;
+    const form = jobFormRef.current;
+    picked.forEach(({ file, path }) => {
+      queueRef.current.push({
+        id: createId(),
+        file,
+        path: path || file.name,
+        job: form.enabled ? { ...form } : null, // Form values; cleaned up by toPrintJob when sent
+        status: 'queued',
+        error: ''
+      });
+    });
+    syncQueue();
+    addLog(`Queued ${picked.length} file(s).`, { category: 'transfer' });
+    processQueue();
+  };
+
+  const handleFileInput = (e) => {
+    const picked = Array.from(e.target.files).map(file => ({ file, path: file.webkitRelativePath || file.name }));
+    e.target.value = '';
+    enqueueFiles(picked);
+  };
+
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    if (!senderRef.current || !senderRef.current.isReady()) return;
+
+    // Entries must be grabbed synchronously; the DataTransfer is cleared after the event
+    const entries = Array.from(e.dataTransfer.items || [])
+      .map(i => i.webkitGetAsEntry && i.webkitGetAsEntry())
+      .filter(Boolean);
+    const picked = entries.length > 0
+      ? (await Promise.all(entries.map(entry => readEntry(entry)))).flat()
+      : Array.from(e.dataTransfer.files).map(file => ({ file, path: file.name }));
+    enqueueFiles(picked);
+  };
+
+  // Send the next queued item, one at a time (including host verification)
+  const processQueue = () => {
+    const session = senderRef.current;
+    if (!session || !session.isReady() || session.isBusy()) return;
+    if (queueRef.current.some(i => i.status === 'sending')) return;
+    const next = queueRef.current.find(i => i.status === 'queued');
+    if (!next) return;
+
+    next.status = 'sending';
+    syncQueue();
+    sendFile(next);
+  };
+
+  const moveQueueItem = (id, direction) => {
+    const list = queueRef.current;
+    const index = list.findIndex(i => i.id === id);
+    const target = index + direction;
+    if (index < 0 || target < 0 || target >= list.length) return;
+    if (list[target].status !== 'queued') return;
+    [list[index], list[target]] = [list[target], list[index]];
+    syncQueue();
+  };
+
+  const cancelQueueItem = (id) => {
+    const item = queueRef.current.find(i => i.id === id);
+    if (!item) return;
+
+    if (item.status === 'sending') {
+      if (senderRef.current) senderRef.current.cancel(item.id);
+      setUploadPaused(false);
+      resetUpload();
+    } else {
+      addLog(`Cancelled ${item.path}`, { category: 'transfer' });
+    }
+
+    queueRef.current = queueRef.current.filter(i => i !== item);
+    syncQueue();
+    processQueue();
+  };
+
+  const updateItemJob = (id, changes) => {
+    const item = queueRef.current.find(i => i.id === id);
+    if (!item || item.status !== 'queued') return;
+    item.job = changes ? { ...(item.job || DEFAULT_JOB), ...changes } : null;
+    syncQueue();
+  };
+
+  const clearFinished = () => {
+    queueRef.current = queueRef.current.filter(i => i.status === 'queued' || i.status === 'sending');
+    syncQueue();
+  };
+
+  // Resize and re-encode a photo once, before its first attempt. The original is
+  // sent as-is if the browser cannot decode it (e.g. HEIC outside Safari).
+  const shrinkImage = async (item) => {
+    const options = imageOptionsRef.current;
+    if (item.prepared || !options.enabled || !canCompress(item.file)) return;
+    item.prepared = true;
+    setUploadStage('compressing');
+    try {
+      const { file, transform, saved } = await compressImage(item.file, options);
+      item.originalSize = item.file.size;
+      item.file = file;
+      item.path = replaceExtension(item.path, IMAGE_FORMATS.find(f => f.type === file.type).extension);
+      item.transform = transform;
+      addLog(saved > 0
+        ? `Shrunk ${transform.originalName}: ${formatBytes(transform.originalSize)} -> ${formatBytes(file.size)} (${transform.width}x${transform.height}).`
+        : `Re-encoded ${transform.originalName} without its metadata; it did not get smaller (${formatBytes(transform.originalSize)} -> ${formatBytes(file.size)}).`, { category: 'transfer', fileId: item.id });
+    } catch (e) {
+      addLog(`Could not shrink ${item.path}, sending the original: ${e.message}`, { level: 'warn', category: 'transfer', fileId: item.id });
+    }
+    syncQueue();
+  };
+
+  // The queue item ID doubles as the protocol fileId
+  const sendFile = async (item) => {
+    announcedStep.current = 0;
+    setCurrentFileName(item.path);
+    setUploadProgress(1);
+    setUploadError('');
+
+    await shrinkImage(item);
+    // Cancelled or left the room while the photo was being shrunk
+    if (!senderRef.current || !queueRef.current.includes(item)) return;
+    setCurrentFileName(item.path);
+
+    const host = targetRoom.current;
+    activeTransfers.current.set(host, item.path);
+    setEditingJob(current => (current === item.id ? null : current));
+    const job = item.job ? toPrintJob(item.job) : null;
+    const result = await senderRef.current.sendFile(item.file, { path: item.path, fileId: item.id, transform: item.transform, job });
+    activeTransfers.current.delete(host);
+    if (result.status === 'cancelled') return;
+
+    item.status = result.status === 'verified' ? 'done' : 'failed';
+    item.error = reasonOf(result);
+    syncQueue();
+    if (result.status === 'verified' && job) {
+      setPrintJobs(prev => [{ fileId: item.id, path: item.path, job, status: 'received' }, ...prev]);
+    }
+
+    if (result.status === 'verified') {
+      announce(t('announce.sent', { name: item.path }));
+      setTimeout(() => {
+        if (!queueRef.current.some(i => i.status === 'sending')) resetUpload();
+      }, 2500);
+    } else {
+      announce(t('announce.failed', { name: item.path, reason: tReason(item.error) }));
+      // Leave the error up until the customer dismisses it or the next item starts
+      setUploadError(item.error);
+    }
+    processQueue();
+  };
+
+
+  return {
+    targetId,
+    setTargetId,
+    targetRoom,
+    conn,
+    retryInfo,
+    recentRooms,
+    setRecentRooms,
+    sharedCount,
+    authed,
+    pinPrompt,
+    pinInput,
+    setPinInput,
+    authError,
+    e2e,
+    snippetText,
+    setSnippetText,
+    snippetStatus,
+    setSnippetStatus,
+    fromHost,
+    incomingFile,
+    jobForm,
+    setJobForm,
+    editingJob,
+    setEditingJob,
+    printJobs,
+    uploadProgress,
+    currentFileName,
+    uploadPaused,
+    uploadStage,
+    uploadError,
+    transferStats,
+    queue,
+    imageOptions,
+    setImageOptions,
+    dragActive,
+    setDragActive,
+    connectToHost,
+    leaveRoom,
+    joinRecentRoom,
+    sendSnippet,
+    pasteSnippet,
+    submitPin,
+    resumeUpload,
+    resetUpload,
+    handleFileInput,
+    handleDrop,
+    moveQueueItem,
+    cancelQueueItem,
+    updateItemJob,
+    clearFinished
+  };
+};
@@ -0,0 +1,184 @@
+// Minimal ZIP writer for "Download all/selected" on the host. Entries are
+// stored, not deflated: received files are mostly photos, PDFs and video that
+// do not compress, and storing lets the archive reference each Blob instead of
+// copying it. ZIP64 records are added only when sizes or offsets need them.
+const encoder = new TextEncoder();
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32Update = (crc, bytes) => {
+  let c = crc;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  return c;
+};
+
+// Reads the Blob once in chunks, so large files never sit in memory twice
+const blobCrc32 = async (blob) => {
+  const reader = blob.stream().getReader();
+  let crc = 0xFFFFFFFF;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    crc = crc32Update(crc, value);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+const MAX_32 = 0xFFFFFFFF;
+const MAX_16 = 0xFFFF;
+
+const dosDateTime = (time) => {
+  const d = new Date(time);
+  const year = Math.max(d.getFullYear(), 1980);
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+};
+
+// Little-endian record builder
+const record = (size) => {
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  let at = 0;
+  const w = {
+    bytes,
+    u16: (v) => { view.setUint16(at, v, true); at += 2; return w; },
+    u32: (v) => { view.setUint32(at, v, true); at += 4; return w; },
+    u64: (v) => { view.setBigUint64(at, BigInt(v), true); at += 8; return w; },
+    raw: (b) => { bytes.set(b, at); at += b.length; return w; }
+  };
+  return w;
+};
+
+// Sender-supplied paths can carry "..", absolute roots, backslashes or a drive letter
+export const safeZipPath = (path) => path
+  .replace(/\\/g, '/')
+  .split('/')
+  .filter(part => part && part !== '.' && part !== '..' && !/^[a-z]:$/i.test(part))
+  .join('/') || 'file';
+
+// Second "photo.jpg" in the same folder becomes "photo (2).jpg"
+export const uniqueZipPaths = (paths) => {
+  const seen = new Set();
+  return paths.map(path => {
+    let candidate = path;
+    for (let n = 2; seen.has(candidate.toLowerCase()); n++) {
+      const dot = path.lastIndexOf('.');
+      const slash = path.lastIndexOf('/');
+      candidate = dot > slash + 1
+        ? `${path.slice(0, dot)} (${n})${path.slice(dot)}`
+        : `${path} (${n})`;
+    }
+    seen.add(candidate.toLowerCase());
+    return candidate;
+  });
+};
+
+// entries: [{ path, blob, lastModified }]. Yields Uint8Array headers and the
+// entry Blobs themselves, in archive order.
+export async function* zipParts(entries, { onEntry } = {}) {
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.path);
+    const size = entry.blob.size;
+    const crc = await blobCrc32(entry.blob);
+    const { time, date } = dosDateTime(entry.lastModified || Date.now());
+    const zip64 = size >= MAX_32 || offset >= MAX_32;
+    const version = zip64 ? 45 : 20;
+
+    const local = record(30 + name.length + (zip64 ? 20 : 0))
+      .u32(0x04034B50).u16(version).u16(0x0800).u16(0) // UTF-8 names, stored
+      .u16(time).u16(date).u32(crc)
+      .u32(zip64 ? MAX_32 : size).u32(zip64 ? MAX_32 : size)
+      .u16(name.length).u16(zip64 ? 20 : 0)
+      .raw(name);
+    if (zip64) local.u16(0x0001).u16(16).u64(size).u64(size);
+
+    central.push({ name, size, crc, time, date, offset, zip64, version });
+    yield local.bytes;
+    yield entry.blob;
+    offset += local.bytes.length + size;
+    if (onEntry) onEntry(entry);
+  }
+
+  const centralStart = offset;
+  for (const c of central) {
+    const extra = c.zip64 ? 28 : 0;
+    const header = record(46 + c.name.length + extra)
+      .u32(0x02014B50).u16(c.version).u16(c.version).u16(0x0800).u16(0)
+      .u16(c.time).u16(c.date).u32(c.crc)
+      .u32(c.zip64 ? MAX_32 : c.size).u32(c.zip64 ? MAX_32 : c.size)
+      .u16(c.name.length).u16(extra).u16(0).u16(0).u16(0).u32(0)
+      .u32(c.zip64 ? MAX_32 : c.offset)
+      .raw(c.name);
+    if (c.zip64) header.u16(0x0001).u16(24).u64(c.size).u64(c.size).u64(c.offset);
+    yield header.bytes;
+    offset += header.bytes.length;
+  }
+
+  const centralSize = offset - centralStart;
+  const count = central.length;
+  if (count >= MAX_16 || centralStart >= MAX_32 || centralSize >= MAX_32) {
+    yield record(56)
+      .u32(0x06064B50).u64(44).u16(45).u16(45).u32(0).u32(0)
+      .u64(count).u64(count).u64(centralSize).u64(centralStart)
+      .bytes;
+    yield record(20).u32(0x07064B50).u32(0).u64(offset).u32(1).bytes;
+  }
+  yield record(22)
+    .u32(0x06054B50).u16(0).u16(0)
+    .u16(Math.min(count, MAX_16)).u16(Math.min(count, MAX_16))
+    .u32(Math.min(centralSize, MAX_32)).u32(Math.min(centralStart, MAX_32))
+    .u16(0)
+    .bytes;
+}
+
+export const supportsStreamingSave = () => typeof window !== 'undefined' && 'showSaveFilePicker' in window;
+
+// Streams the archive straight to disk where the browser allows it; otherwise
+// builds a Blob from references to the entry Blobs (no second copy of the data)
+// and hands it to a download link. Resolves false if the user cancels the picker.
+export const saveZip = async (entries, fileName, options = {}) => {
+  if (supportsStreamingSave()) {
+    let handle;
+    try {
+      handle = await window.showSaveFilePicker({
+        suggestedName: fileName,
+        types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }]
+      });
+    } catch (e) {
+      if (e.name === 'AbortError') return false;
+      throw e;
+    }
+    const writable = await handle.createWritable();
+    try {
+      for await (const part of zipParts(entries, options)) await writable.write(part);
+      await writable.close();
+    } catch (e) {
+      await writable.abort().catch(() => {});
+      throw e;
+    }
+    return true;
+  }
+
+  const parts = [];
+  for await (const part of zipParts(entries, options)) parts.push(part);
+  const url = URL.createObjectURL(new Blob(parts, { type: 'application/zip' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+  return true;
+};
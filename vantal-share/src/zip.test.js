@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { safeZipPath, uniqueZipPaths, zipParts } from './zip.js';
+
+const LOCAL = 0x04034B50;
+const CENTRAL = 0x02014B50;
+const END = 0x06054B50;
+
+const buildZip = async (entries) => {
+  const parts = [];
+  for await (const part of zipParts(entries)) parts.push(part);
+  return new Uint8Array(await new Blob(parts).arrayBuffer());
+};
+
+const text = (value) => new Blob([new TextEncoder().encode(value)]);
+const decode = (bytes) => new TextDecoder().decode(bytes);
+
+test('builds a stored archive with matching headers, CRC32 and sizes', async () => {
+  const when = new Date(2024, 4, 17, 13, 45, 30).getTime();
+  const entries = [
+    { path: 'check.txt', blob: text('123456789'), lastModified: when },
+    { path: 'scans/empty.pdf', blob: new Blob([]), lastModified: when }
+  ];
+  const zip = await buildZip(entries);
+  const view = new DataView(zip.buffer);
+
+  // End of central directory: the last 22 bytes, no comment
+  const end = zip.length - 22;
+  assert.equal(view.getUint32(end, true), END);
+  assert.equal(view.getUint16(end + 10, true), 2);
+  const centralSize = view.getUint32(end + 12, true);
+  const centralStart = view.getUint32(end + 16, true);
+  assert.equal(centralStart + centralSize, end);
+
+  const expected = [
+    { name: 'check.txt', crc: 0xCBF43926, size: 9, data: '123456789' }, // CRC-32 check value
+    { name: 'scans/empty.pdf', crc: 0, size: 0, data: '' }
+  ];
+  let at = centralStart;
+  expected.forEach(({ name, crc, size, data }) => {
+    assert.equal(view.getUint32(at, true), CENTRAL);
+    assert.equal(view.getUint16(at + 8, true), 0x0800); // UTF-8 names
+    assert.equal(view.getUint16(at + 10, true), 0); // Stored
+    assert.equal(view.getUint16(at + 12, true), (13 << 11) | (45 << 5) | 15);
+    assert.equal(view.getUint16(at + 14, true), (44 << 9) | (5 << 5) | 17);
+    assert.equal(view.getUint32(at + 16, true), crc);
+    assert.equal(view.getUint32(at + 20, true), size);
+    assert.equal(view.getUint32(at + 24, true), size);
+    const nameLength = view.getUint16(at + 28, true);
+    assert.equal(decode(zip.subarray(at + 46, at + 46 + nameLength)), name);
+
+    const local = view.getUint32(at + 42, true);
+    assert.equal(view.getUint32(local, true), LOCAL);
+    assert.equal(view.getUint32(local + 14, true), crc);
+    assert.equal(view.getUint32(local + 18, true), size);
+    assert.equal(view.getUint32(local + 22, true), size);
+    assert.equal(view.getUint16(local + 26, true), nameLength);
+    const dataStart = local + 30 + nameLength + view.getUint16(local + 28, true);
+    assert.equal(decode(zip.subarray(dataStart, dataStart + size)), data);
+
+    at += 46 + nameLength + view.getUint16(at + 30, true);
+  });
+  assert.equal(at, end);
+});
+
+test('reports each entry once it is written', async () => {
+  const entries = [{ path: 'a.txt', blob: text('a') }, { path: 'b.txt', blob: text('b') }];
+  const written = [];
+  for await (const part of zipParts(entries, { onEntry: entry => written.push(entry.path) })) assert.ok(part);
+  assert.deepEqual(written, ['a.txt', 'b.txt']);
+});
+
+test('keeps sender paths inside the archive', () => {
+  assert.equal(safeZipPath('../../etc/passwd'), 'etc/passwd');
+  assert.equal(safeZipPath('scans/./../a.pdf'), 'scans/a.pdf');
+  assert.equal(safeZipPath('/abs/b.pdf'), 'abs/b.pdf');
+  assert.equal(safeZipPath('C:\\Users\\me\\c.pdf'), 'Users/me/c.pdf');
+  assert.equal(safeZipPath('d:/e.pdf'), 'e.pdf');
+  assert.equal(safeZipPath('..'), 'file');
+});
+
+test('renames duplicate paths in the archive', () => {
+  assert.deepEqual(
+    uniqueZipPaths(['photo.jpg', 'Photo.JPG', 'photo.jpg', 'scans/photo.jpg', 'README', 'README', '.env', '.env']),
+    ['photo.jpg', 'Photo (2).JPG', 'photo (3).jpg', 'scans/photo.jpg', 'README', 'README (2)', '.env', '.env (2)']
+  );
+});